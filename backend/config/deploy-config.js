@@ -99,6 +99,7 @@ export const getCorsOptions = () => {
       'Authorization', 
       'Accept', 
       'X-Requested-With',
+      'X-Time-Zone',
       'Origin',
       'Access-Control-Request-Method',
       'Access-Control-Request-Headers'
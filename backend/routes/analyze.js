@@ -2,11 +2,32 @@
 // KEEPING ALL YOUR EXISTING CODE, JUST UPDATING USER MANAGEMENT
 
 import express from 'express';
-import { GoogleGenerativeAI } from '@google/generative-ai';
+import crypto from 'crypto';
 import uploadMiddleware from '../middleware/upload.js';
 import { cleanupFiles } from '../utils/cleanup.js';
 import sharp from 'sharp';
 import promptLoader from '../utils/promptLoader.js';
+import {
+  buildStructuredOutputInstructions,
+  parseStructuredPrompt,
+  extractCompletedFields
+} from '../utils/structuredPrompt.js';
+import {
+  ENGINE_PARAMETERS,
+  getRendererMetadata,
+  validateEngineParams,
+  renderPrompt,
+  renderPromptPair,
+  renderSettingsLine,
+  splitStableDiffusionText
+} from '../utils/promptRenderers.js';
+import { countClipTokens, CLIP_CHUNK_SIZE } from '../utils/clipTokenizer.js';
+import { parseTokenBudget, compressStructuredPrompt, trimTermList } from '../utils/promptCompression.js';
+import { readImageDimensions, mapDimensionsToEngines } from '../utils/imageDimensions.js';
+import { extractPalette, formatPaletteForPrompt } from '../utils/paletteExtractor.js';
+import { composeTemplate, validateTemplate } from '../utils/promptTemplate.js';
+import { parseVariationCount, planVariations, buildVariationInstructions } from '../utils/promptVariations.js';
+import { isValidTimeZone } from '../utils/timeZone.js';
 
 // Firebase Admin SDK imports
 import { db, admin } from '../server.js';
@@ -14,6 +35,12 @@ import verifyFirebaseToken from '../middleware/auth.js';
 
 // NEW: Import the config service
 import { firestoreConfigService } from '../services/firestoreConfigService.js';
+import { getVisionProvider } from '../services/visionProviders/index.js';
+import { analysisJobService } from '../services/analysisJobService.js';
+import { analysisHistoryService } from '../services/analysisHistoryService.js';
+import { promptTemplateService } from '../services/promptTemplateService.js';
+import { experimentService, validateExperiment, OUTCOME_SIGNALS } from '../services/experimentService.js';
+import { refinementService } from '../services/refinementService.js';
 
 const router = express.Router();
 
@@ -33,53 +60,32 @@ router.get('/my-usage', verifyFirebaseToken, async (req, res) => {
     const userDoc = await userRef.get();
     
     if (!userDoc.exists) {
+      // User doesn't exist yet, report zero usage against their limits
       console.log('⚠️ User document not found, returning default values');
-      // User doesn't exist yet, return zero usage
-      return res.json({
-        success: true,
-        usage: {
-          current: 0,
-          limit: 3, // Default anonymous limit
-          remaining: 3,
-          isAnonymous: user.firebase.sign_in_provider === 'anonymous',
-          isPro: false, // Keep for frontend compatibility
-          tier: 'free'
-        }
-      });
     }
 
-    const userData = userDoc.data();
+    // Until the first analysis creates the document, report windows in the browser's time zone
+    const userData = userDoc.data() || { timeZone: getRequestTimeZone(req) };
     console.log('📊 User data from Firestore:', userData);
     
-    // Get current limit from Firestore config
+    // Evaluate every limit window through the same path the analyze route uses
     const config = await firestoreConfigService.getConfig();
     const userTier = userData.tier || 'free'; // Handle empty tier
-    const tierLimits = config.tiers?.[userTier] || config.tiers?.free;
-    
-    // Determine current limit based on tier
-    let currentLimit;
-    let isUnlimited = false;
-    
-    if (userTier === 'admin') {
-      currentLimit = 'unlimited';
-      isUnlimited = true;
-    } else if (userTier === 'pro') {
-      currentLimit = tierLimits?.dailyLimit === -1 ? 'unlimited' : tierLimits?.dailyLimit || 50;
-      isUnlimited = tierLimits?.dailyLimit === -1;
-    } else {
-      // Free tier or anonymous
-      currentLimit = user.firebase.sign_in_provider === 'anonymous' 
-        ? (config.anonymousLimit || 3)
-        : (tierLimits?.dailyLimit || 3);
-    }
+    const isAnonymous = user.firebase.sign_in_provider === 'anonymous';
+    const limits = firestoreConfigService.resolveLimits(userData, config, { isAnonymous });
+    const { exceededWindow, resetTime, timeZone, windows } = firestoreConfigService.evaluateLimits(userData, limits);
     
     const responseData = {
       success: true,
       usage: {
-        current: userData.dailyUsage || 0, // Use daily usage instead of total
-        limit: currentLimit,
-        remaining: isUnlimited ? 'unlimited' : Math.max(0, currentLimit - (userData.dailyUsage || 0)),
-        isAnonymous: user.firebase.sign_in_provider === 'anonymous',
+        current: windows.daily.used, // Use daily usage instead of total
+        limit: windows.daily.limit,
+        remaining: windows.daily.remaining,
+        windows,
+        exceededWindow,
+        resetTime,
+        timeZone,
+        isAnonymous,
         isPro: userTier === 'pro', // Keep for frontend compatibility
         tier: userTier
       }
@@ -98,21 +104,44 @@ router.get('/my-usage', verifyFirebaseToken, async (req, res) => {
   }
 });
 
-router.get('/health', (req, res) => {
-  res.json({
+router.get('/health', async (req, res) => {
+  const registry = firestoreConfigService.getRegistry(await firestoreConfigService.getConfig());
+  const health = {
     status: 'OK',
     timestamp: new Date().toISOString(),
     service: 'Image Analysis API',
     message: 'Service is running normally',
-    availableGoals: ['copy_image', 'copy_style'],
-    availableEngines: ['midjourney', 'dalle', 'stable_diffusion', 'gemini_imagen', 'flux', 'leonardo']
-  });
+    availableGoals: registry.goals.map(goal => goal.id),
+    availableEngines: registry.engines.map(engine => engine.id)
+  };
+
+  // Optional live probe of the vision provider (costs one model call)
+  if (req.query.probe === 'true') {
+    try {
+      const provider = await getVisionProvider();
+      health.provider = await provider.healthCheck();
+    } catch (error) {
+      health.provider = { status: 'error', error: error.message };
+    }
+  }
+
+  res.json(health);
 });
 
 router.get('/config', async (req, res) => {
   try {
     // Get current limits from Firestore
     const firestoreConfig = await firestoreConfigService.getConfig();
+    const providerConfig = await firestoreConfigService.getProviderConfig();
+    const registry = firestoreConfigService.getRegistry(firestoreConfig);
+
+    let providerCapabilities = null;
+    try {
+      const provider = await getVisionProvider();
+      providerCapabilities = provider.getCapabilities();
+    } catch (error) {
+      console.warn('⚠️ Vision provider unavailable:', error.message);
+    }
     
     res.json({
       service: 'Image Analysis API',
@@ -124,33 +153,24 @@ router.get('/config', async (req, res) => {
         anonymousLimit: firestoreConfig.anonymousLimit || 3,
         tiers: firestoreConfig.tiers || {}
       },
-      goals: [
-        {
-          id: 'copy_image',
-          name: 'Copy Image',
-          description: 'Generate prompts to recreate images',
-          requiresEngine: true
-        },
-        {
-          id: 'copy_style',
-          name: 'Copy Style',
-          description: 'Extract and describe artistic styles',
-          requiresEngine: true
-        }
-      ],
-      engines: [
-        { id: 'midjourney', name: 'Midjourney' },
-        { id: 'dalle', name: 'DALL-E 3' },
-        { id: 'stable_diffusion', name: 'Stable Diffusion' },
-        { id: 'gemini_imagen', name: 'Gemini Imagen' },
-        { id: 'flux', name: 'Flux' },
-        { id: 'leonardo', name: 'Leonardo AI' }
-      ],
+      multiEngine: firestoreConfigService.getMultiEngineConfig(firestoreConfig),
+      goals: registry.goals,
+      // Engines carry the parameter schema and common negatives of the prompt format they render with
+      engines: registry.engines.map(engine => ({ ...engine, ...getRendererMetadata(engine.renderer) })),
       environment: {
         nodeEnv: process.env.NODE_ENV || 'development',
         frontendUrl: process.env.FRONTEND_URL || 'Not configured',
-        aiModel: 'gemini-1.5-flash',
+        aiProvider: providerConfig.name,
+        aiModel: providerConfig.model,
+        providerCapabilities,
+        analysisJobs: analysisJobService.getQueueStats(),
         promptsLoaded: Object.keys(promptLoader.getAllPrompts()).length,
+        // Bundled prompts back every goal/format pair without a Firestore template, so gaps show up here
+        prompts: promptLoader.getDiagnostics(
+          registry.goals.map(goal => goal.id),
+          [...new Set(registry.engines.map(engine => engine.renderer))]
+        ),
+        promptTemplates: promptTemplateService.getCacheStats(),
         firestoreConfigLoaded: !!firestoreConfig
       }
     });
@@ -164,12 +184,6 @@ router.get('/config', async (req, res) => {
   }
 });
 
-// =============================================================================
-// AI SERVICE INITIALIZATION
-// =============================================================================
-
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-
 // =============================================================================
 // IMAGE PROCESSING UTILITIES
 // =============================================================================
@@ -197,11 +211,10 @@ async function processImagesForAI(imageFiles) {
   for (const file of imageFiles) {
     try {
       const base64Data = await convertImageToBase64(file.path);
+      // convertImageToBase64 always re-encodes to JPEG
       processedImages.push({
-        inlineData: {
-          data: base64Data,
-          mimeType: file.mimetype
-        }
+        data: base64Data,
+        mimeType: 'image/jpeg'
       });
     } catch (error) {
       console.error(`Error processing ${file.filename}:`, error);
@@ -212,310 +225,2151 @@ async function processImagesForAI(imageFiles) {
   return processedImages;
 }
 
+/**
+ * Process uploads for the model and measure the original images
+ * Stores the source dimensions, the engine parameters they map to and the
+ * dominant color palette on the context
+ * @returns {Array} Processed images for the vision provider
+ */
+async function prepareImages(context) {
+  const { uploadedFiles } = context;
+  const processedImages = await processImagesForAI(uploadedFiles);
+
+  context.imageDimensions = [];
+  for (const file of uploadedFiles) {
+    context.imageDimensions.push(await readImageDimensions(file.path));
+  }
+  // The first upload is the image being recreated, so it decides the output shape
+  context.detectedParams = mapDimensionsToEngines(context.imageDimensions[0]);
+
+  // The palette only grounds the prompt, so a failure here doesn't stop the analysis
+  try {
+    context.palette = await extractPalette(uploadedFiles.map(file => file.path));
+  } catch (error) {
+    console.warn('⚠️ Could not extract color palette:', error.message);
+    context.palette = [];
+  }
+
+  return processedImages;
+}
+
 // =============================================================================
-// CLEAN OUTPUT PROCESSOR
+// ANALYSIS REQUEST HELPERS
 // =============================================================================
 
 /**
- * Clean AI output to remove ALL markdown and formatting
- * Returns ONLY the final prompt/analysis
+ * Read the browser's IANA time zone from the X-Time-Zone header
+ * Returns null when missing or not a zone this runtime knows
  */
-function cleanFinalOutput(text) {
-  return text
-    // Remove ALL markdown headers
-    .replace(/#{1,6}\s*[^#\n]*\*\*[^*]*\*\*[^#\n]*/g, '')
-    .replace(/#{1,6}\s*/g, '')
+function getRequestTimeZone(req) {
+  const timeZone = req.get('X-Time-Zone');
+  return timeZone && isValidTimeZone(timeZone) ? timeZone : null;
+}
 
-    // Remove ALL bold/italic markers
-    .replace(/\*{1,3}([^*]+)\*{1,3}/g, '$1')
+/**
+ * Load (or lazily create) the user's Firestore document and tier config
+ * New documents take the browser's time zone so resets happen at local midnight
+ */
+async function loadUserContext(user, { timeZone = null } = {}) {
+  const userRef = db.collection('users').doc(user.uid);
+  const userDoc = await userRef.get();
 
-    // Remove ALL code blocks and inline code
-    .replace(/`{1,3}([^`]+)`{1,3}/g, '$1')
+  if (!userDoc.exists) {
+    console.warn(`No user document for UID: ${user.uid}. Creating new one.`);
+    const now = admin.firestore.FieldValue.serverTimestamp();
+    await userRef.set({
+      tier: 'free',
+      timeZone: timeZone || 'UTC',
+      subscriptionId: '',
+      subscriptionStatus: '',
+      subscriptionEnd: admin.firestore.Timestamp.fromDate(new Date('2099-12-31')),
+      usageCount: 0,
+      dailyUsage: 0,
+      weeklyUsage: 0,
+      monthlyUsage: 0,
+      lastDailyReset: now,
+      lastWeeklyReset: now,
+      lastMonthlyReset: now,
+      createdAt: now,
+      lastLogin: now
+    });
+  }
 
-    // Remove ALL bullet points and list markers
-    .replace(/^\s*[-*+•]\s*/gm, '')
-    .replace(/^\s*\d+\.\s*/gm, '')
+  const userData = userDoc.data() || { tier: 'free', timeZone: timeZone || 'UTC', dailyUsage: 0, usageCount: 0 };
 
-    // Remove ALL emoji headers and special markers
-    .replace(/🔍|🎨|🏞️|🔧|📝|💭|⭐|🔗|🎯|📋|✨/g, '')
+  // Get config and determine user's limits
+  const config = await firestoreConfigService.getConfig();
+  const userTier = userData.tier || 'free';
+  const limits = firestoreConfigService.resolveLimits(userData, config, {
+    isAnonymous: user.firebase.sign_in_provider === 'anonymous'
+  });
 
-    // Remove section labels and special formatting
-    .replace(/Visual Description:|Composition & Aesthetics:|Context & Environment:|Technical Analysis:|Text & Readable Content:|Interpretation & Insights:|Notable Features:|Multi-Image Analysis|Special Focus Area:|DALL-E 3 Prompt|Midjourney Prompt|Stable Diffusion Prompt/gi, '')
+  console.log(`📊 User tier: ${userTier}, Daily usage: ${userData.dailyUsage || 0}`);
 
-    // Clean up extra whitespace and line breaks
-    .replace(/\n\s*\n\s*\n/g, '\n\n')
-    .replace(/^\s+|\s+$/gm, '')
-    .trim();
+  return { userRef, userData, userTier, limits, config };
 }
 
-// =============================================================================
-// MAIN ANALYSIS ENDPOINT
-// =============================================================================
+/**
+ * Build the 403 response for an exhausted limit window
+ */
+function buildLimitExceededError(user, limits, evaluation, units = 1) {
+  const window = evaluation.exceededWindow;
+  const { used, limit, remaining, resetTime } = evaluation.windows[window];
+  const isAnonymous = user.firebase.sign_in_provider === 'anonymous';
 
-router.post('/',
-  verifyFirebaseToken,
-  uploadMiddleware(),
-  async (req, res) => {
-    const startTime = Date.now();
-    let uploadedFiles = [];
+  const isFreeDaily = window === 'daily' && limits.tier !== 'pro';
+  const code = isFreeDaily ? 'USAGE_LIMIT_EXCEEDED' : `${window.toUpperCase()}_LIMIT_EXCEEDED`;
+
+  let error;
+  if (remaining > 0) {
+    // Some uses are left, just not enough for a multi-engine request
+    error = `This request needs ${units} uses but only ${remaining} remain in your ${window} limit. Try fewer engines.`;
+  } else if (isFreeDaily) {
+    error = `You have reached the limit of ${limit} uses. ${isAnonymous ? 'Please sign in to continue.' : 'Upgrade to Pro for higher limits.'}`;
+  } else {
+    error = `You have reached your ${window} limit of ${limit} analyses. Limit resets ${window}.`;
+  }
+
+  const userType = isAnonymous ? 'anonymous' : limits.tier;
+  console.log(`${userType} user ${user.uid} exceeded ${window} limit (${used}/${limit}).`);
+
+  return {
+    status: 403,
+    body: {
+      success: false,
+      error,
+      code,
+      window,
+      limit,
+      resetTime,
+      usage: evaluation.windows
+    }
+  };
+}
+
+/**
+ * Check every limit window and atomically reserve a usage slot
+ * The slot is committed after a successful analysis or released on failure
+ * @param {number} units - Usage units the request costs
+ * @returns {Object} { reservation, usage, error } - error is { status, body } when blocked
+ */
+async function reserveUsageSlot(user, { limits }, units = 1) {
+  if (limits.isUnlimited) {
+    // Admin users have unlimited access
+    console.log(`👑 ${limits.tier} user - unlimited access`);
+  }
 
+  const reservation = await firestoreConfigService.reserveUsage(user.uid, limits, units);
+
+  if (!reservation.reserved) {
+    return {
+      reservation: null,
+      usage: reservation.evaluation,
+      error: buildLimitExceededError(user, limits, reservation.evaluation, units)
+    };
+  }
+
+  const { daily } = reservation.evaluation.windows;
+  console.log(`🎟️ Reserved ${units} usage unit${units !== 1 ? 's' : ''} (${reservation.reservationId}) for user ${user.uid} (${daily.used}/${daily.limit})`);
+  return { reservation, usage: reservation.evaluation, error: null };
+}
+
+/**
+ * Validate goal and engine selection against the registry
+ * @returns {Object|null} { status, body } when invalid
+ */
+function validateGoalAndEngine(goal, engine, registry) {
+  const validGoals = registry.goals.map(entry => entry.id);
+  if (!validGoals.includes(goal)) {
+    return {
+      status: 400,
+      body: {
+        success: false,
+        error: 'Invalid analysis goal',
+        code: 'INVALID_GOAL',
+        validGoals
+      }
+    };
+  }
+
+  // Every goal requires engine selection
+  if (!engine) {
+    return {
+      status: 400,
+      body: {
+        success: false,
+        error: 'Generation engine required for prompt creation goals',
+        code: 'ENGINE_REQUIRED'
+      }
+    };
+  }
+
+  const validEngines = registry.engines.map(entry => entry.id);
+  if (!validEngines.includes(engine)) {
+    return {
+      status: 400,
+      body: {
+        success: false,
+        error: 'Invalid generation engine',
+        code: 'INVALID_ENGINE',
+        validEngines
+      }
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Reject goals and engines the user's tier doesn't include
+ * @returns {Object|null} { status, body } when not allowed
+ */
+function checkTierAccess(entries, userTier) {
+  const lockedEntry = entries.find(entry => !firestoreConfigService.isAvailableForTier(entry, userTier));
+  if (!lockedEntry) {
+    return null;
+  }
+
+  return {
+    status: 403,
+    body: {
+      success: false,
+      error: `${lockedEntry.name} is not included in your plan. Upgrade to unlock it.`,
+      code: 'FEATURE_NOT_AVAILABLE',
+      feature: lockedEntry.id
+    }
+  };
+}
+
+/**
+ * Read the requested engines from either `engines[]` or the single `engine` field
+ * Accepts repeated fields or a comma-separated string; duplicates are dropped
+ * @returns {string[]} Engine IDs in request order
+ */
+function parseEngineList(engine, engines) {
+  const values = engines === undefined ? [engine] : [].concat(engines);
+
+  return [...new Set(
+    values
+      .flatMap(value => String(value ?? '').split(','))
+      .map(value => value.trim())
+      .filter(Boolean)
+  )];
+}
+
+/**
+ * Parse the optional `params` field: a JSON object of engine ID to parameter overrides
+ * Multipart requests send it as a JSON string
+ * @param {Object} renderers - Engine ID to the prompt format it renders with
+ * @returns {Object} { value, errors } - value maps every requested engine to its validated overrides
+ */
+function parseEngineParams(rawParams, engines, renderers) {
+  let parsed = rawParams ?? {};
+  if (typeof parsed === 'string') {
     try {
-      const { user } = req;
-      const {
-        prompt = '',
-        goal = 'copy_image',
-        engine = ''
-      } = req.body;
+      parsed = parsed.trim() ? JSON.parse(parsed) : {};
+    } catch {
+      return { value: null, errors: ['"params" must be valid JSON'] };
+    }
+  }
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    return { value: null, errors: ['"params" must be an object keyed by engine'] };
+  }
+
+  const errors = [];
+  const value = {};
+  for (const engineId of engines) {
+    const result = validateEngineParams(renderers[engineId], parsed[engineId]);
+    if (result.value) {
+      value[engineId] = result.value;
+    } else {
+      errors.push(...result.errors.map(error => `${engineId}: ${error}`));
+    }
+  }
+
+  return errors.length > 0 ? { value: null, errors } : { value, errors };
+}
+
+// Goes into the meta-prompt verbatim, so only plain language names are accepted
+const LANGUAGE_PATTERN = /^[\p{L}][\p{L} ()-]{1,39}$/u;
 
-      uploadedFiles = req.files || [];
+/**
+ * Run all pre-model checks shared by the analysis endpoints
+ * @returns {Object} Request context, or { error: { status, body } }
+ */
+async function prepareAnalysisRequest(req) {
+  const { user } = req;
+  const {
+    prompt = '',
+    goal = 'copy_image',
+    engine = '',
+    engines: requestedEngines,
+    params: requestedParams,
+    language = '',
+    variations: requestedVariations,
+    tokenBudget: requestedTokenBudget
+  } = req.body;
+  const uploadedFiles = req.files || [];
+  const engines = parseEngineList(engine, requestedEngines);
 
-      if (!uploadedFiles || uploadedFiles.length === 0) {
-        return res.status(400).json({
+  if (uploadedFiles.length === 0) {
+    return {
+      error: {
+        status: 400,
+        body: {
           success: false,
           error: 'No images provided',
           code: 'NO_IMAGES'
-        });
+        }
       }
+    };
+  }
 
-      console.log('🎯 Analysis Request:', {
-        imageCount: uploadedFiles.length,
-        goal: goal,
-        engine: engine,
-        hasCustomPrompt: Boolean(prompt),
-        userId: user.uid,
-        isAnonymous: user.firebase.sign_in_provider === 'anonymous'
-      });
+  console.log('🎯 Analysis Request:', {
+    imageCount: uploadedFiles.length,
+    goal: goal,
+    engines: engines,
+    hasCustomPrompt: Boolean(prompt),
+    userId: user.uid,
+    isAnonymous: user.firebase.sign_in_provider === 'anonymous'
+  });
 
-      // 1. GET USER DATA FROM FIRESTORE AND CHECK LIMITS
-      const userRef = db.collection('users').doc(user.uid);
-      const userDoc = await userRef.get();
-
-      if (!userDoc.exists) {
-        console.warn(`No user document for UID: ${user.uid}. Creating new one.`);
-        const now = admin.firestore.FieldValue.serverTimestamp();
-        await userRef.set({
-          tier: 'free',
-          subscriptionId: '',
-          subscriptionStatus: '',
-          subscriptionEnd: admin.firestore.Timestamp.fromDate(new Date('2099-12-31')),
-          usageCount: 0,
-          dailyUsage: 0,
-          weeklyUsage: 0,
-          monthlyUsage: 0,
-          lastDailyReset: now,
-          lastWeeklyReset: now,
-          lastMonthlyReset: now,
-          createdAt: now,
-          lastLogin: now
-        });
+  const registry = firestoreConfigService.getRegistry(await firestoreConfigService.getConfig());
+  for (const engineId of engines.length > 0 ? engines : [engine]) {
+    const validationError = validateGoalAndEngine(goal, engineId, registry);
+    if (validationError) {
+      return { error: validationError };
+    }
+  }
+
+  const goalConfig = registry.goals.find(entry => entry.id === goal);
+  const engineConfigs = engines.map(engineId => registry.engines.find(entry => entry.id === engineId));
+  const renderers = Object.fromEntries(engineConfigs.map(entry => [entry.id, entry.renderer]));
+
+  const minImages = goalConfig.minImages || 1;
+  if (uploadedFiles.length < minImages) {
+    return {
+      error: {
+        status: 400,
+        body: {
+          success: false,
+          error: `This goal needs at least ${minImages} images`,
+          code: 'NOT_ENOUGH_IMAGES',
+          minImages
+        }
       }
+    };
+  }
 
-      let userData = userDoc.data() || { tier: 'free', dailyUsage: 0, usageCount: 0 };
-      
-      // Get config and determine user's limits
-      const config = await firestoreConfigService.getConfig();
-      const userTier = userData.tier || 'free';
-      const tierLimits = config.tiers?.[userTier] || config.tiers?.free;
-      
-      console.log(`📊 User tier: ${userTier}, Daily usage: ${userData.dailyUsage || 0}`);
-
-      // Check limits based on user type and tier
-      let currentLimit;
-      let currentUsage = userData.dailyUsage || 0;
-      
-      if (userTier === 'admin') {
-        // Admin users have unlimited access
-        console.log('👑 Admin user - unlimited access');
-      } else if (userTier === 'pro') {
-        currentLimit = tierLimits?.dailyLimit || 50;
-        if (currentLimit !== -1 && currentUsage >= currentLimit) {
-          console.log(`Pro user ${user.uid} exceeded daily limit (${currentUsage}/${currentLimit}).`);
-          return res.status(403).json({
-            success: false,
-            error: `You have reached your daily limit of ${currentLimit} analyses. Limit resets daily.`,
-            code: 'DAILY_LIMIT_EXCEEDED',
-            resetTime: 'midnight'
-          });
+  if (typeof language !== 'string' || (language && !LANGUAGE_PATTERN.test(language))) {
+    return {
+      error: {
+        status: 400,
+        body: {
+          success: false,
+          error: 'Language must be a language name such as "German"',
+          code: 'INVALID_LANGUAGE'
         }
-      } else {
-        // Free tier or anonymous users
-        if (user.firebase.sign_in_provider === 'anonymous') {
-          currentLimit = config.anonymousLimit || 3;
-        } else {
-          currentLimit = tierLimits?.dailyLimit || 3;
+      }
+    };
+  }
+
+  const { value: variationCount, error: variationError } = parseVariationCount(requestedVariations);
+  if (variationError) {
+    return {
+      error: {
+        status: 400,
+        body: {
+          success: false,
+          error: variationError,
+          code: 'INVALID_VARIATIONS'
         }
-        
-        if (currentUsage >= currentLimit) {
-          const userType = user.firebase.sign_in_provider === 'anonymous' ? 'anonymous' : 'free';
-          console.log(`${userType} user ${user.uid} exceeded limit (${currentUsage}/${currentLimit}).`);
-          return res.status(403).json({
-            success: false,
-            error: `You have reached the limit of ${currentLimit} uses. ${user.firebase.sign_in_provider === 'anonymous' ? 'Please sign in to continue.' : 'Upgrade to Pro for higher limits.'}`,
-            code: 'USAGE_LIMIT_EXCEEDED'
-          });
+      }
+    };
+  }
+  if (variationCount > 1 && engines.length > 1) {
+    return {
+      error: {
+        status: 400,
+        body: {
+          success: false,
+          error: 'Variations can only be requested for a single engine',
+          code: 'INVALID_VARIATIONS'
         }
       }
+    };
+  }
 
-      // Validate goal - only copy_image and copy_style
-      const validGoals = ['copy_image', 'copy_style'];
-      if (!validGoals.includes(goal)) {
-        return res.status(400).json({
+  // Only Stable Diffusion prompts are measured in CLIP tokens; other engines ignore the budget
+  const { value: tokenBudget, error: tokenBudgetError } = parseTokenBudget(requestedTokenBudget);
+  if (tokenBudgetError) {
+    return {
+      error: {
+        status: 400,
+        body: {
           success: false,
-          error: 'Invalid analysis goal',
-          code: 'INVALID_GOAL',
-          validGoals
-        });
+          error: tokenBudgetError,
+          code: 'INVALID_TOKEN_BUDGET'
+        }
       }
+    };
+  }
 
-      // Both remaining goals require engine selection
-      if (!engine) {
-        return res.status(400).json({
+  const { value: params, errors: paramErrors } = parseEngineParams(requestedParams, engines, renderers);
+  if (!params) {
+    return {
+      error: {
+        status: 400,
+        body: {
           success: false,
-          error: 'Generation engine required for prompt creation goals',
-          code: 'ENGINE_REQUIRED'
-        });
+          error: 'Invalid engine parameters',
+          code: 'INVALID_ENGINE_PARAMS',
+          details: paramErrors.join('; ')
+        }
       }
+    };
+  }
+
+  // 1. GET USER DATA FROM FIRESTORE AND RESERVE A USAGE SLOT
+  // Reserving last means rejected requests never hold a slot
+  const userContext = await loadUserContext(user, { timeZone: getRequestTimeZone(req) });
+
+  const tierError = checkTierAccess([goalConfig, ...engineConfigs], userContext.userTier);
+  if (tierError) {
+    return { error: tierError };
+  }
+
+  // Resolve the template versions (and any experiment variant) once so every engine call and the metadata agree
+  const templates = Object.fromEntries(await Promise.all(
+    engines.map(async (engineId) => [engineId, await experimentService.resolveTemplate(goal, renderers[engineId], user.uid)])
+  ));
 
-      const validEngines = ['midjourney', 'dalle', 'stable_diffusion', 'gemini_imagen', 'flux', 'leonardo'];
-      if (!validEngines.includes(engine)) {
-        return res.status(400).json({
+  const { maxEngines } = firestoreConfigService.getMultiEngineConfig(userContext.config);
+  if (engines.length > maxEngines) {
+    return {
+      error: {
+        status: 400,
+        body: {
           success: false,
-          error: 'Invalid generation engine',
-          code: 'INVALID_ENGINE',
-          validEngines
-        });
+          error: `You can request prompts for up to ${maxEngines} engines at once`,
+          code: 'TOO_MANY_ENGINES',
+          maxEngines
+        }
       }
+    };
+  }
 
-      // Process images for AI analysis
-      const processedImages = await processImagesForAI(uploadedFiles);
-      console.log(`📸 Successfully processed ${processedImages.length} images`);
+  const maxVariations = firestoreConfigService.getMaxVariations(userContext.config, userContext.userTier);
+  if (variationCount > maxVariations) {
+    return {
+      error: {
+        status: 400,
+        body: {
+          success: false,
+          error: `Your plan allows up to ${maxVariations} variation${maxVariations !== 1 ? 's' : ''} per request`,
+          code: 'TOO_MANY_VARIATIONS',
+          maxVariations
+        }
+      }
+    };
+  }
 
-      // Get the appropriate prompt
-      const analysisPrompt = promptLoader.getPrompt(goal, engine);
-      const finalPrompt = prompt ? `${analysisPrompt}\n\nAdditional focus: ${prompt}` : analysisPrompt;
+  // Variations share one upload and count as a single analysis
+  const units = firestoreConfigService.getAnalysisCost(userContext.config, engines.length);
+  const { reservation, usage, error: limitError } = await reserveUsageSlot(user, userContext, units);
+  if (limitError) {
+    return { error: limitError };
+  }
 
-      console.log(`📝 Using prompt for ${goal}/${engine}`);
+  return {
+    ...userContext,
+    // Ties client outcome signals back to this analysis
+    analysisId: crypto.randomUUID(),
+    user,
+    prompt,
+    goal,
+    goalConfig,
+    // The first engine stays the primary one for single-prompt consumers
+    engine: engines[0],
+    engines,
+    renderers,
+    engineConfigs: Object.fromEntries(engineConfigs.map(entry => [entry.id, entry])),
+    templates,
+    params,
+    language,
+    // Emphasis, temperature and seed per variation; null for a single prompt
+    variations: variationCount > 1 ? planVariations(variationCount) : null,
+    tokenBudget,
+    units,
+    uploadedFiles,
+    reservation,
+    usage
+  };
+}
 
-      // Prepare content for Gemini
-      const content = [finalPrompt, ...processedImages];
+// Ask providers for a JSON response (native JSON mode where supported)
+const JSON_OUTPUT = { responseFormat: 'json' };
 
-      // Call Gemini API
-      const model = genAI.getGenerativeModel({ model: 'gemini-1.5-flash' });
+/**
+ * Structured output requirements that depend on the request
+ * @returns {Object} { differenceCount } - one difference per upload for comparing goals
+ */
+function getStructuredOptions({ goalConfig, uploadedFiles }) {
+  return { differenceCount: goalConfig?.comparesImages ? uploadedFiles.length : 0 };
+}
 
-      console.log('🤖 Sending request to Gemini API...');
-      const result = await model.generateContent(content);
-      const response = await result.response;
-      const rawAnalysis = response.text();
+/**
+ * Values for the template variables of an engine's meta-prompt
+ * @returns {Object} Keyed like TEMPLATE_VARIABLES
+ */
+function getTemplateValues(context, engine) {
+  const { uploadedFiles, detectedParams = {}, palette, prompt, language, engineConfigs } = context;
 
-      // Clean the output to remove all formatting
-      const cleanedAnalysis = cleanFinalOutput(rawAnalysis);
+  return {
+    imageCount: uploadedFiles.length,
+    multipleImages: uploadedFiles.length > 1,
+    aspectRatio: detectedParams.midjourney?.aspectRatio || '',
+    palette: formatPaletteForPrompt(palette),
+    userFocus: prompt,
+    language,
+    maxLength: engineConfigs[engine]?.maxLength || ''
+  };
+}
 
-      const processingTime = Date.now() - startTime;
+/**
+ * Build the model instruction for an engine from the request context
+ * @param {Object} variation - Entry from planVariations when generating one of several variations
+ */
+function buildAnalysisPrompt(context, engine, variation = null) {
+  const { goal } = context;
+  // Engines added through the registry share the prompts of the format they render with
+  const renderer = context.renderers[engine];
+  const template = context.templates[engine];
+  console.log(`📝 Using prompt for ${goal}/${renderer} (${template.source}${template.version ? ` v${template.version}` : ''})`);
 
-      console.log('✅ Analysis completed successfully:', {
-        processingTime: `${processingTime}ms`,
-        rawLength: rawAnalysis.length,
-        cleanedLength: cleanedAnalysis.length,
-        goal: goal,
-        engine: engine
-      });
+  const sections = composeTemplate(template.body, getTemplateValues(context, engine));
+  if (variation) {
+    sections.push(buildVariationInstructions(variation));
+  }
+  sections.push(buildStructuredOutputInstructions(renderer, Object.keys(ENGINE_PARAMETERS[renderer]), getStructuredOptions(context)));
+  return sections.join('\n\n');
+}
 
-      // 2. INCREMENT ALL USAGE COUNTERS IN FIRESTORE (ONLY IF ANALYSIS SUCCEEDED)
-      await userRef.update({ 
-        usageCount: admin.firestore.FieldValue.increment(1),
-        dailyUsage: admin.firestore.FieldValue.increment(1),
-        weeklyUsage: admin.firestore.FieldValue.increment(1),
-        monthlyUsage: admin.firestore.FieldValue.increment(1),
-        lastLogin: admin.firestore.FieldValue.serverTimestamp()
-      });
-      console.log(`Usage counters for user ${user.uid} incremented. Daily: ${(userData.dailyUsage || 0) + 1}, Total: ${userData.usageCount + 1}`);
+/**
+ * Validate the model's structured output, asking once for a corrected reply if it is invalid
+ * @param {Object} provider - Vision provider
+ * @param {string} finalPrompt - Instruction the raw output answered
+ * @param {Array} processedImages - Output of processImagesForAI
+ * @param {string} rawAnalysis - Raw model output
+ * @param {Object} options - Output of getStructuredOptions
+ * @param {Object} modelOptions - Provider options of the original call, reused for the retry
+ * @returns {Object} Validated structured prompt
+ */
+async function resolveStructuredPrompt(provider, finalPrompt, processedImages, rawAnalysis, options, modelOptions = JSON_OUTPUT) {
+  let { value, errors } = parseStructuredPrompt(rawAnalysis, options);
 
-      // Return successful response
-      res.json({
-        success: true,
-        analysis: cleanedAnalysis,
-        metadata: {
-          goal: goal,
-          engine: engine,
-          imageCount: uploadedFiles.length,
-          processingTime: processingTime,
-          hasCustomPrompt: Boolean(prompt),
-          output_type: 'prompt', // Both functions generate prompts
-          user_id: user.uid,
-          is_anonymous: user.firebase.sign_in_provider === 'anonymous',
-          current_usage: (userData.dailyUsage || 0) + 1,
-          limit: userTier === 'admin' ? 'unlimited' : (userTier === 'pro' && tierLimits?.dailyLimit === -1) ? 'unlimited' : currentLimit,
-          tier: userTier
-        }
-      });
+  if (!value) {
+    console.warn(`⚠️ Model returned an invalid structured prompt, retrying: ${errors.join('; ')}`);
+    const repairPrompt = `${finalPrompt}\n\nYour previous reply was rejected: ${errors.join('; ')}. Reply again with only the corrected JSON object.`;
+    ({ value, errors } = parseStructuredPrompt(await provider.analyze(repairPrompt, processedImages, modelOptions), options));
+  }
 
-    } catch (error) {
-      console.error('❌ Analysis Error:', error);
+  if (!value) {
+    throw new Error(`Model returned an invalid structured prompt: ${errors.join('; ')}`);
+  }
+  return value;
+}
 
-      let errorResponse = {
-        success: false,
-        error: 'Analysis failed',
-        code: 'ANALYSIS_ERROR'
-      };
+/**
+ * Generate a structured and rendered prompt for every requested engine from one set of processed images
+ * Engines run in parallel; any failure fails the whole request so the reservation is released
+ * @param {Object} provider - Vision provider
+ * @param {Object} context - Request context ({ goal, engines, params, prompt, palette })
+ * @param {Array} processedImages - Output of processImagesForAI
+ * @param {Function} onEngineDone - Optional (engine, result) callback as each engine finishes
+ * @returns {Object} Output of collectEngineResults - maps of engine ID to rendered prompt, structured prompt, effective parameters, separate positive/negative prompts and measurements
+ */
+async function generateEnginePrompts(provider, context, processedImages, onEngineDone) {
+  const results = await Promise.all(context.engines.map(async (engine) => {
+    const finalPrompt = buildAnalysisPrompt(context, engine);
+    const rawAnalysis = await provider.analyze(finalPrompt, processedImages, JSON_OUTPUT);
+    const structured = await resolveStructuredPrompt(provider, finalPrompt, processedImages, rawAnalysis, getStructuredOptions(context));
+    const result = await renderWithinLimit(provider, context, engine, structured, getStructuredOptions(context));
 
-      // Handle authentication middleware errors (e.g. 401)
-      // Important: Check if response has already been sent by previous middleware
-      if (res.headersSent) {
-        return; // If so, just end to avoid "Cannot set headers after they are sent to the client" error
-      }
+    console.log(`🧩 ${engine} prompt ready (${result.analysis.length} chars)`);
+    if (onEngineDone) {
+      onEngineDone(engine, result);
+    }
+    return result;
+  }));
 
-      // Handle specific error types
-      if (error.constructor.name === 'MulterError') {
-        if (error.code === 'LIMIT_FILE_SIZE') {
-          errorResponse = {
-            success: false,
-            error: 'One or more files are too large. Maximum size is 10MB.',
-            code: 'FILE_SIZE_LIMIT_EXCEEDED'
-          };
-          return res.status(413).json(errorResponse);
-        }
-        errorResponse = {
-          success: false,
-          error: `File upload error: ${error.message}`,
-          code: 'UPLOAD_ERROR'
-        };
-        return res.status(400).json(errorResponse);
-      }
-      else if (error.message?.includes('API key')) {
-        errorResponse = {
-          success: false,
-          error: 'AI service configuration error',
-          code: 'API_KEY_ERROR'
-        };
-      } else if (error.message?.includes('quota') || error.message?.includes('rate limit')) {
-        errorResponse = {
-          success: false,
-          error: 'AI service rate limit reached. Please try again later.',
-          code: 'AI_RATE_LIMIT_ERROR'
-        };
-      } else if (error.message?.includes('timeout')) {
-        errorResponse = {
-          success: false,
-          error: 'Analysis request timed out. Please try with smaller images.',
-          code: 'TIMEOUT_ERROR'
-        };
-      } else if (error.message?.includes('Failed to process image')) {
-        errorResponse = {
-          success: false,
-          error: error.message,
-          code: 'IMAGE_PROCESSING_ERROR'
-        };
-      }
+  return collectEngineResults(results);
+}
 
-      res.status(500).json(errorResponse);
+/**
+ * Generate several variations of the primary engine's prompt from one set of processed images
+ * The first variation doubles as the regular result, so single-prompt consumers keep working
+ * @param {Function} onVariationDone - Optional (variation) callback as each variation finishes
+ * @returns {Object} Output of collectEngineResults plus variations
+ */
+async function generateVariations(provider, context, processedImages, onVariationDone) {
+  const { engine } = context;
 
-    } finally {
-      // CRITICAL: Always clean up uploaded files
-      if (uploadedFiles && uploadedFiles.length > 0) {
-        await cleanupFiles(uploadedFiles);
-      }
+  const generated = await Promise.all(context.variations.map(async (variation) => {
+    const finalPrompt = buildAnalysisPrompt(context, engine, variation);
+    const modelOptions = { ...JSON_OUTPUT, temperature: variation.temperature, seed: variation.seed };
+    const rawAnalysis = await provider.analyze(finalPrompt, processedImages, modelOptions);
+    const structured = await resolveStructuredPrompt(provider, finalPrompt, processedImages, rawAnalysis, getStructuredOptions(context), modelOptions);
+    const result = await renderWithinLimit(provider, context, engine, structured, getStructuredOptions(context));
+
+    const entry = {
+      id: variation.id,
+      emphasis: variation.emphasis,
+      label: variation.label,
+      temperature: variation.temperature,
+      seed: variation.seed,
+      analysis: result.analysis,
+      ...(result.promptPair && result.promptPair),
+      shortened: Boolean(result.lengthCheck?.shortened),
+      structured: result.structured,
+      params: result.params
+    };
+    console.log(`🎲 ${variation.label} variation ready (${entry.analysis.length} chars)`);
+    if (onVariationDone) {
+      onVariationDone(entry);
+    }
+    return { entry, result };
+  }));
+
+  return {
+    ...collectEngineResults([generated[0].result]),
+    variations: generated.map(({ entry }) => entry)
+  };
+}
+
+/**
+ * Render one engine's prompt with the parameters the user chose for it
+ * Engines flagged with `negativePrompt` in the registry also get the positive and negative prompt as separate texts
+ * @returns {Object} { engine, analysis, structured, params, promptPair, tokenCount } - promptPair and tokenCount are null where they don't apply
+ */
+function renderEngineResult(context, engine, structured) {
+  const renderer = context.renderers[engine];
+  const render = (candidate) => renderPrompt(candidate, renderer, context.params[engine], context.detectedParams?.[renderer]);
+
+  let tokenCount = null;
+  if (renderer === 'stable_diffusion') {
+    ({ structured, tokenCount } = fitClipTokenBudget(structured, render, context.tokenBudget));
+  }
+
+  const { prompt, params } = render(structured);
+  const promptPair = context.engineConfigs?.[engine]?.negativePrompt ? renderPromptPair(structured, renderer, params) : null;
+  return { engine, analysis: prompt, structured, params, promptPair, tokenCount };
+}
+
+/**
+ * Count the CLIP tokens of a Stable Diffusion prompt, first compressing it to the requested budget
+ * @param {Function} render - (structured) => output of renderPrompt
+ * @param {number|null} budget - Token budget for the positive prompt, if any
+ * @returns {Object} { structured, tokenCount } - structured is the compressed prompt when it had to shrink
+ */
+function fitClipTokenBudget(structured, render, budget) {
+  let compression = null;
+  if (budget) {
+    const measure = (candidate) => countClipTokens(splitStableDiffusionText(render(candidate).prompt).prompt).count;
+    compression = compressStructuredPrompt(structured, budget, measure);
+    if (compression.compressed) {
+      console.log(`🗜️ Compressed Stable Diffusion prompt from ${compression.originalCount} to ${compression.count} tokens (budget ${budget})`);
     }
   }
-);
 
-export default router;
\ No newline at end of file
+  const finalStructured = compression ? compression.structured : structured;
+  const { prompt, negativePrompt } = splitStableDiffusionText(render(finalStructured).prompt);
+  return {
+    structured: finalStructured,
+    tokenCount: {
+      prompt: countClipTokens(prompt),
+      negative_prompt: countClipTokens(negativePrompt),
+      chunk_size: CLIP_CHUNK_SIZE,
+      budget: budget || null,
+      compressed: Boolean(compression?.compressed),
+      original_count: compression ? compression.originalCount : null
+    }
+  };
+}
+
+// Aim below the limit, since the model can only estimate how long its fields will render
+const SHORTENING_TARGET = 0.9;
+
+/**
+ * Instruction for shortening a structured prompt whose rendered text is over the engine's character limit
+ * @param {string} renderer - Prompt format of the engine
+ * @param {Object} structured - Structured prompt that rendered too long
+ * @param {number} length - Rendered length of the positive prompt in characters
+ * @param {number} limit - Engine's character limit
+ * @param {Object} options - Output of getStructuredOptions
+ * @returns {string}
+ */
+function buildShorteningPrompt(renderer, structured, length, limit, options) {
+  return [
+    `You described a set of images as this JSON object:\n${JSON.stringify(structured, null, 2)}`,
+    `Rendered for ${renderer} it comes to ${length} characters, but ${renderer} accepts at most ${limit}. ` +
+      `Shorten the text fields so the rendered prompt stays under ${Math.floor(limit * SHORTENING_TARGET)} characters. ` +
+      'Keep the subject and style intact and cut secondary details first.',
+    buildStructuredOutputInstructions(renderer, Object.keys(ENGINE_PARAMETERS[renderer]), options)
+  ].join('\n\n');
+}
+
+/**
+ * Length of what goes in the prompt box: engines with a negative input get that half separately,
+ * and the settings line is entered in the engine's own controls
+ */
+function getPositiveLength(context, result) {
+  const text = result.promptPair ? result.promptPair.prompt : result.analysis;
+  const settings = renderSettingsLine(context.renderers[result.engine], result.params);
+  return settings && text.endsWith(`\n${settings}`) ? text.length - settings.length - 1 : text.length;
+}
+
+/**
+ * Keep the separate negative prompt under the engine's `maxNegativeLength`, if the registry sets one
+ * @returns {Object} { result, check } - check is null when there is no negative limit
+ */
+function fitNegativePrompt(result, limit) {
+  if (!limit || !result.promptPair) {
+    return { result, check: null };
+  }
+
+  const originalLength = result.promptPair.negativePrompt.length;
+  const { text, trimmed } = trimTermList(result.promptPair.negativePrompt, limit);
+  return {
+    result: trimmed ? { ...result, promptPair: { ...result.promptPair, negativePrompt: text } } : result,
+    check: { limit, length: text.length, original_length: originalLength, trimmed }
+  };
+}
+
+/**
+ * Render an engine's prompt and keep it under the engine's `maxLength` from the registry
+ * The limit applies to the positive prompt only, never to a separate negative prompt or settings lines
+ * Over-limit prompts get one model pass to shorten them; anything still over is trimmed by
+ * dropping low-priority terms, the same way Stable Diffusion prompts fit a token budget
+ * @param {Object} options - Output of getStructuredOptions, for validating the shortened prompt
+ * @returns {Object} renderEngineResult output plus lengthCheck, which is null for engines with neither limit
+ */
+async function renderWithinLimit(provider, context, engine, structured, options) {
+  const { maxLength: limit, maxNegativeLength } = context.engineConfigs?.[engine] || {};
+  const rendered = renderEngineResult(context, engine, structured);
+  const originalLength = getPositiveLength(context, rendered);
+
+  if (!limit || originalLength <= limit) {
+    const { result, check: negative } = fitNegativePrompt(rendered, maxNegativeLength);
+    const lengthCheck = limit || negative
+      ? { limit: limit || null, length: originalLength, original_length: originalLength, shortened: false, trimmed: false, negative }
+      : null;
+    return { ...result, lengthCheck };
+  }
+
+  console.warn(`✂️ ${engine} prompt is ${originalLength} characters, over its ${limit} limit; shortening`);
+  let shortened = rendered;
+  try {
+    const shorteningPrompt = buildShorteningPrompt(context.renderers[engine], rendered.structured, originalLength, limit, options);
+    const rawAnalysis = await provider.analyze(shorteningPrompt, [], JSON_OUTPUT);
+    const candidate = await resolveStructuredPrompt(provider, shorteningPrompt, [], rawAnalysis, options);
+    shortened = renderEngineResult(context, engine, candidate);
+  } catch (error) {
+    // The prompt is still usable, so fall back to trimming instead of failing the analysis
+    console.error(`❌ Shortening pass failed for ${engine}, trimming instead:`, error);
+  }
+
+  const trimmed = getPositiveLength(context, shortened) > limit;
+  if (trimmed) {
+    const measure = (candidate) => getPositiveLength(context, renderEngineResult(context, engine, candidate));
+    shortened = renderEngineResult(context, engine, compressStructuredPrompt(shortened.structured, limit, measure).structured);
+  }
+
+  const { result, check: negative } = fitNegativePrompt(shortened, maxNegativeLength);
+  return {
+    ...result,
+    lengthCheck: { limit, length: getPositiveLength(context, result), original_length: originalLength, shortened: true, trimmed, negative }
+  };
+}
+
+function collectEngineResults(results) {
+  return {
+    prompts: Object.fromEntries(results.map(result => [result.engine, result.analysis])),
+    structured: Object.fromEntries(results.map(result => [result.engine, result.structured])),
+    params: Object.fromEntries(results.map(result => [result.engine, result.params])),
+    promptPairs: Object.fromEntries(results.filter(result => result.promptPair).map(result => [result.engine, result.promptPair])),
+    tokenCounts: Object.fromEntries(results.filter(result => result.tokenCount).map(result => [result.engine, result.tokenCount])),
+    lengthChecks: Object.fromEntries(results.filter(result => result.lengthCheck).map(result => [result.engine, result.lengthCheck]))
+  };
+}
+
+/**
+ * Separate positive and negative prompt fields of a response
+ * `prompt` falls back to the combined text for engines without a negative input, where `negativePrompt` is null
+ * @param {Object} results - Output of collectEngineResults
+ * @param {string} engine - Primary engine ID
+ * @returns {Object} { prompt, negativePrompt, promptPairs }
+ */
+function buildPromptPairFields(results, engine) {
+  const pair = results.promptPairs[engine];
+  return {
+    prompt: pair ? pair.prompt : results.prompts[engine],
+    negativePrompt: pair ? pair.negativePrompt : null,
+    promptPairs: results.promptPairs
+  };
+}
+
+/**
+ * Settle the request's usage reservation exactly once
+ * Commit after a successful analysis, release on any failure or abandoned request
+ * Errors are logged rather than thrown so they never mask the analysis outcome
+ * @param {Object} context - Request context holding the reservation
+ * @param {boolean} succeeded - Whether the analysis completed
+ */
+async function settleReservation(context, succeeded) {
+  const { reservation, user } = context;
+  if (!reservation) {
+    return;
+  }
+  context.reservation = null;
+
+  try {
+    if (succeeded) {
+      await firestoreConfigService.commitUsage(user.uid, reservation.reservationId);
+      console.log(`Usage slot ${reservation.reservationId} committed for user ${user.uid}. Daily: ${context.usage.windows.daily.used}`);
+    } else {
+      await firestoreConfigService.releaseUsage(user.uid, reservation.reservationId);
+      console.log(`↩️ Usage slot ${reservation.reservationId} released for user ${user.uid}`);
+    }
+  } catch (error) {
+    console.error(`❌ Failed to ${succeeded ? 'commit' : 'release'} usage slot ${reservation.reservationId}:`, error);
+  }
+}
+
+/**
+ * Record the experiment variants a completed analysis ran under
+ * Best effort, like history: a failed write never fails the analysis
+ */
+async function recordExperimentExposures(context) {
+  const { analysisId, engines, templates, user } = context;
+
+  await Promise.all(engines
+    .filter(engineId => templates[engineId].experiment)
+    .map(async (engineId) => {
+      try {
+        await experimentService.recordExposure({
+          analysisId,
+          engine: engineId,
+          uid: user.uid,
+          experiment: templates[engineId].experiment
+        });
+      } catch (error) {
+        console.error(`❌ Failed to record experiment exposure for ${analysisId}/${engineId}:`, error);
+      }
+    }));
+}
+
+/**
+ * Whether the user's analyses get a refinement session
+ */
+function canUserRefine(user, config, userTier) {
+  return firestoreConfigService.canRefine(config, userTier, {
+    isAnonymous: user.firebase.sign_in_provider === 'anonymous'
+  });
+}
+
+/**
+ * Open a refinement session so the user can revise the prompts without re-uploading
+ * Best effort, like history: without a session the analysis just can't be refined
+ * Users who can't refine get no session, so nothing is stored for them
+ * @param {Object} results - { prompts, structured, params } from generateEnginePrompts
+ * @param {Array} processedImages - Kept in memory for the first refinement turns
+ */
+async function recordRefinementSession(context, results, processedImages) {
+  const { analysisId, user, userTier, config, goal, engine, engines, renderers, params, detectedParams, tokenBudget } = context;
+
+  if (!canUserRefine(user, config, userTier)) {
+    return;
+  }
+
+  try {
+    await refinementService.startSession({
+      analysisId,
+      uid: user.uid,
+      goal,
+      engine,
+      engines,
+      renderers,
+      requestedParams: params,
+      detectedParams,
+      tokenBudget,
+      differenceCount: getStructuredOptions(context).differenceCount,
+      results,
+      processedImages
+    });
+  } catch (error) {
+    console.error(`❌ Failed to open refinement session for analysis ${analysisId}:`, error);
+  }
+}
+
+/**
+ * Save a completed analysis to the user's history when their tier includes it
+ * History is best effort: a failed write never fails the analysis
+ * @param {Object} results - { prompts, promptPairs, structured, params, variations } from generateEnginePrompts
+ * @returns {string|null} History entry ID
+ */
+async function recordHistory(context, provider, { prompts, promptPairs, structured, params, variations }, processingTime) {
+  const { user, userTier, config, goal, engine, engines, prompt, uploadedFiles } = context;
+
+  if (!firestoreConfigService.hasFeature(config, userTier, 'history')) {
+    return null;
+  }
+
+  try {
+    return await analysisHistoryService.recordAnalysis(user.uid, {
+      goal,
+      engine,
+      engines,
+      focus: prompt,
+      prompt: prompts[engine],
+      prompts,
+      promptPairs,
+      structured,
+      params,
+      variations,
+      processingTime,
+      provider: provider.name,
+      model: provider.model,
+      files: uploadedFiles
+    });
+  } catch (error) {
+    console.error(`❌ Failed to save analysis history for user ${user.uid}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Metadata shared by the JSON and streaming responses
+ * @param {Object} results - Output of collectEngineResults, for the measurements taken while rendering
+ */
+function buildResponseMetadata(context, provider, processingTime, historyId = null, { tokenCounts = {}, lengthChecks = {} } = {}) {
+  const { analysisId, user, userTier, config, usage, goal, engine, engines, renderers, templates, variations, units, prompt, uploadedFiles, imageDimensions = [], detectedParams = {}, palette = [] } = context;
+  const { daily, weekly, monthly } = usage.windows;
+
+  return {
+    goal: goal,
+    engine: engine,
+    engines: engines,
+    imageCount: uploadedFiles.length,
+    image_dimensions: imageDimensions,
+    detected_params: Object.fromEntries(engines.map(engineId => [engineId, detectedParams[renderers[engineId]] || {}])),
+    palette: palette,
+    // CLIP token counts and chunk boundaries of Stable Diffusion prompts
+    token_counts: tokenCounts,
+    // Rendered length against each engine's character limit, and whether it had to be shortened
+    length_checks: lengthChecks,
+    // Trace output quality back to the exact prompt template that produced it
+    prompt_versions: Object.fromEntries(engines.map(engineId => [
+      engineId,
+      {
+        version: templates[engineId].version,
+        source: templates[engineId].source,
+        experiment: templates[engineId].experiment
+      }
+    ])),
+    // Sampling settings per variation, so a result can be reproduced
+    variation_settings: variations
+      ? variations.map(({ id, emphasis, temperature, seed }) => ({ id, emphasis, temperature, seed }))
+      : null,
+    processingTime: processingTime,
+    hasCustomPrompt: Boolean(prompt),
+    output_type: 'prompt', // Both functions generate prompts
+    provider: provider.name,
+    model: provider.model,
+    user_id: user.uid,
+    is_anonymous: user.firebase.sign_in_provider === 'anonymous',
+    current_usage: daily.used,
+    usage_units: units,
+    limit: daily.limit,
+    remaining: {
+      daily: daily.remaining,
+      weekly: weekly.remaining,
+      monthly: monthly.remaining
+    },
+    tier: userTier,
+    // Lets the results screen explain what follow-up refinements cost; null when it can't offer them
+    refinement: canUserRefine(user, config, userTier) ? firestoreConfigService.getRefinementConfig(config, userTier) : null,
+    history_id: historyId,
+    analysis_id: analysisId
+  };
+}
+
+/**
+ * Run the full non-streaming analysis pipeline
+ * Commits the reserved usage slot on success and releases it on failure
+ * @returns {Object} { analysis, prompt, negativePrompt, promptPairs, prompts, structured, params, metadata } - analysis is the primary engine's prompt
+ */
+async function runAnalysis(context, startTime) {
+  const { goal, engine, engines } = context;
+
+  let provider;
+  let results;
+  let processedImages;
+  try {
+    // Process images once, whatever the number of engines
+    processedImages = await prepareImages(context);
+    console.log(`📸 Successfully processed ${processedImages.length} images`);
+
+    // Call the configured vision provider (and validate its output) per engine
+    provider = await getVisionProvider();
+    results = context.variations
+      ? await generateVariations(provider, context, processedImages)
+      : await generateEnginePrompts(provider, context, processedImages);
+  } catch (error) {
+    await settleReservation(context, false);
+    throw error;
+  }
+
+  const processingTime = Date.now() - startTime;
+
+  console.log('✅ Analysis completed successfully:', {
+    processingTime: `${processingTime}ms`,
+    goal: goal,
+    engines: engines
+  });
+
+  // 2. COMMIT THE RESERVED USAGE SLOT (ONLY IF ANALYSIS SUCCEEDED)
+  await settleReservation(context, true);
+
+  // 3. SAVE TO HISTORY (uploaded files are still on disk for thumbnails)
+  const historyId = await recordHistory(context, provider, results, processingTime);
+  await recordExperimentExposures(context);
+  await recordRefinementSession(context, results, processedImages);
+
+  return {
+    analysis: results.prompts[engine],
+    ...buildPromptPairFields(results, engine),
+    shortened: Boolean(results.lengthChecks[engine]?.shortened),
+    prompts: results.prompts,
+    structured: results.structured,
+    params: results.params,
+    ...(results.variations && { variations: results.variations }),
+    metadata: buildResponseMetadata(context, provider, processingTime, historyId, results)
+  };
+}
+
+/**
+ * Map analysis failures to an HTTP status and error body
+ */
+function mapAnalysisError(error) {
+  // Handle specific error types
+  if (error.constructor.name === 'MulterError') {
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return {
+        status: 413,
+        body: {
+          success: false,
+          error: 'One or more files are too large. Maximum size is 10MB.',
+          code: 'FILE_SIZE_LIMIT_EXCEEDED'
+        }
+      };
+    }
+    return {
+      status: 400,
+      body: {
+        success: false,
+        error: `File upload error: ${error.message}`,
+        code: 'UPLOAD_ERROR'
+      }
+    };
+  }
+
+  // A goal/engine pair with no prompt anywhere is a deployment problem, not a bad request
+  if (error.code === 'PROMPT_NOT_FOUND') {
+    return {
+      status: 500,
+      body: {
+        success: false,
+        error: 'This goal is not available for the selected engine right now',
+        code: 'PROMPT_NOT_CONFIGURED'
+      }
+    };
+  }
+
+  // Refinement turns are re-checked when they are saved (see refinementService.addTurn)
+  if (error.code === 'REFINEMENT_LIMIT_REACHED') {
+    return buildRefinementLimitError(error.maxTurns);
+  }
+  if (error.code === 'REFINEMENT_CONFLICT') {
+    return {
+      status: 409,
+      body: {
+        success: false,
+        error: 'Another refinement of this analysis finished first. Please try again.',
+        code: 'REFINEMENT_CONFLICT'
+      }
+    };
+  }
+
+  let errorResponse = {
+    success: false,
+    error: 'Analysis failed',
+    code: 'ANALYSIS_ERROR'
+  };
+
+  if (error.message?.includes('API key')) {
+    errorResponse = {
+      success: false,
+      error: 'AI service configuration error',
+      code: 'API_KEY_ERROR'
+    };
+  } else if (error.message?.includes('quota') || error.message?.includes('rate limit')) {
+    errorResponse = {
+      success: false,
+      error: 'AI service rate limit reached. Please try again later.',
+      code: 'AI_RATE_LIMIT_ERROR'
+    };
+  } else if (error.message?.includes('timeout')) {
+    errorResponse = {
+      success: false,
+      error: 'Analysis request timed out. Please try with smaller images.',
+      code: 'TIMEOUT_ERROR'
+    };
+  } else if (error.message?.includes('Failed to process image')) {
+    errorResponse = {
+      success: false,
+      error: error.message,
+      code: 'IMAGE_PROCESSING_ERROR'
+    };
+  } else if (error.message?.includes('invalid structured prompt')) {
+    return {
+      status: 502,
+      body: {
+        success: false,
+        error: 'The AI service returned an unusable response. Please try again.',
+        code: 'INVALID_MODEL_OUTPUT'
+      }
+    };
+  }
+
+  return { status: 500, body: errorResponse };
+}
+
+// =============================================================================
+// MAIN ANALYSIS ENDPOINT
+// =============================================================================
+
+router.post('/',
+  verifyFirebaseToken,
+  uploadMiddleware(),
+  async (req, res) => {
+    const startTime = Date.now();
+    const uploadedFiles = req.files || [];
+    let context = null;
+
+    try {
+      context = await prepareAnalysisRequest(req);
+      if (context.error) {
+        return res.status(context.error.status).json(context.error.body);
+      }
+
+      const result = await runAnalysis(context, startTime);
+
+      // Return successful response
+      res.json({
+        success: true,
+        ...result
+      });
+
+    } catch (error) {
+      console.error('❌ Analysis Error:', error);
+
+      if (context?.reservation) {
+        await settleReservation(context, false);
+      }
+
+      // Handle authentication middleware errors (e.g. 401)
+      // Important: Check if response has already been sent by previous middleware
+      if (res.headersSent) {
+        return; // If so, just end to avoid "Cannot set headers after they are sent to the client" error
+      }
+
+      const { status, body } = mapAnalysisError(error);
+      res.status(status).json(body);
+
+    } finally {
+      // CRITICAL: Always clean up uploaded files
+      if (uploadedFiles && uploadedFiles.length > 0) {
+        await cleanupFiles(uploadedFiles);
+      }
+    }
+  }
+);
+
+// =============================================================================
+// STREAMING ANALYSIS ENDPOINT (SERVER-SENT EVENTS)
+// =============================================================================
+
+/**
+ * Write a single SSE event
+ */
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  // compression middleware buffers output unless flushed
+  if (typeof res.flush === 'function') {
+    res.flush();
+  }
+}
+
+router.post('/stream',
+  verifyFirebaseToken,
+  uploadMiddleware(),
+  async (req, res) => {
+    const startTime = Date.now();
+    const uploadedFiles = req.files || [];
+    let clientClosed = false;
+    let context = null;
+
+    res.on('close', () => {
+      if (!res.writableEnded) {
+        clientClosed = true;
+        console.log('⚠️ Stream client disconnected before completion');
+      }
+    });
+
+    try {
+      context = await prepareAnalysisRequest(req);
+      if (context.error) {
+        // Nothing streamed yet, so plain JSON errors still work
+        return res.status(context.error.status).json(context.error.body);
+      }
+
+      const { goal, engine, engines } = context;
+
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+      });
+
+      sendEvent(res, 'stage', { stage: 'upload', message: `Received ${uploadedFiles.length} image${uploadedFiles.length !== 1 ? 's' : ''}` });
+
+      sendEvent(res, 'stage', { stage: 'image_processing', message: 'Optimizing images' });
+      const processedImages = await prepareImages(context);
+      console.log(`📸 Successfully processed ${processedImages.length} images`);
+
+      const provider = await getVisionProvider();
+      let results;
+
+      if (context.variations) {
+        // Variations run in parallel like engines, so each is sent whole as it finishes
+        sendEvent(res, 'stage', { stage: 'model_call', message: `Generating ${context.variations.length} variations` });
+        results = await generateVariations(provider, context, processedImages, (variation) => {
+          if (!clientClosed) {
+            sendEvent(res, 'variation', variation);
+          }
+        });
+      } else if (engines.length > 1) {
+        // Parallel engines can't share one token stream, so each prompt is sent whole as it finishes
+        sendEvent(res, 'stage', { stage: 'model_call', message: `Generating prompts for ${engines.length} engines` });
+        results = await generateEnginePrompts(provider, context, processedImages, (engineId, result) => {
+          if (!clientClosed) {
+            sendEvent(res, 'engine', result);
+          }
+        });
+      } else {
+        const finalPrompt = buildAnalysisPrompt(context, engine);
+
+        sendEvent(res, 'stage', { stage: 'model_call', message: 'Generating prompt' });
+
+        // The model streams JSON, so forward each text field once its value is complete
+        let rawAnalysis = '';
+        const sentFields = new Set();
+        for await (const chunk of provider.analyzeStream(finalPrompt, processedImages, JSON_OUTPUT)) {
+          if (clientClosed) {
+            break;
+          }
+          rawAnalysis += chunk;
+
+          for (const [field, value] of Object.entries(extractCompletedFields(rawAnalysis))) {
+            if (!sentFields.has(field)) {
+              sentFields.add(field);
+              sendEvent(res, 'field', { field, value });
+            }
+          }
+        }
+
+        if (!clientClosed) {
+          sendEvent(res, 'stage', { stage: 'validating', message: 'Checking the prompt structure' });
+          const structured = await resolveStructuredPrompt(provider, finalPrompt, processedImages, rawAnalysis, getStructuredOptions(context));
+          results = collectEngineResults([await renderWithinLimit(provider, context, engine, structured, getStructuredOptions(context))]);
+        }
+      }
+
+      // Abandoned streams are never charged
+      if (clientClosed) {
+        await settleReservation(context, false);
+        return;
+      }
+
+      const processingTime = Date.now() - startTime;
+
+      console.log('✅ Streamed analysis completed successfully:', {
+        processingTime: `${processingTime}ms`,
+        goal: goal,
+        engines: engines
+      });
+
+      await settleReservation(context, true);
+      const historyId = await recordHistory(context, provider, results, processingTime);
+      await recordExperimentExposures(context);
+      await recordRefinementSession(context, results, processedImages);
+
+      sendEvent(res, 'done', {
+        success: true,
+        analysis: results.prompts[engine],
+        ...buildPromptPairFields(results, engine),
+        shortened: Boolean(results.lengthChecks[engine]?.shortened),
+        prompts: results.prompts,
+        structured: results.structured,
+        params: results.params,
+        ...(results.variations && { variations: results.variations }),
+        metadata: buildResponseMetadata(context, provider, processingTime, historyId, results)
+      });
+      res.end();
+
+    } catch (error) {
+      console.error('❌ Streaming Analysis Error:', error);
+
+      if (context?.reservation) {
+        await settleReservation(context, false);
+      }
+
+      const { status, body } = mapAnalysisError(error);
+
+      if (!res.headersSent) {
+        return res.status(status).json(body);
+      }
+
+      if (!clientClosed) {
+        sendEvent(res, 'error', body);
+      }
+      res.end();
+
+    } finally {
+      // CRITICAL: Always clean up uploaded files
+      if (uploadedFiles && uploadedFiles.length > 0) {
+        await cleanupFiles(uploadedFiles);
+      }
+    }
+  }
+);
+
+// =============================================================================
+// ASYNCHRONOUS ANALYSIS JOBS
+// =============================================================================
+
+router.post('/jobs',
+  verifyFirebaseToken,
+  uploadMiddleware(),
+  async (req, res) => {
+    const uploadedFiles = req.files || [];
+    let handedToWorker = false;
+    let context = null;
+
+    try {
+      context = await prepareAnalysisRequest(req);
+      if (context.error) {
+        return res.status(context.error.status).json(context.error.body);
+      }
+
+      const jobId = await analysisJobService.createJob(context.user.uid, {
+        goal: context.goal,
+        engine: context.engine,
+        engines: context.engines,
+        prompt: context.prompt,
+        imageCount: uploadedFiles.length,
+        reservationId: context.reservation?.reservationId
+      });
+
+      // The worker owns the uploaded files from here and cleans them up
+      const queuedAt = Date.now();
+      analysisJobService.enqueue(jobId, async () => {
+        try {
+          return await runAnalysis(context, queuedAt);
+        } finally {
+          await cleanupFiles(uploadedFiles);
+        }
+      }, (error) => mapAnalysisError(error).body);
+      handedToWorker = true;
+
+      res.status(202).json({
+        success: true,
+        jobId,
+        status: 'queued',
+        statusUrl: `${req.baseUrl}/jobs/${jobId}`
+      });
+
+    } catch (error) {
+      console.error('❌ Job Submission Error:', error);
+
+      // A job that never reached the worker must not keep its usage slot
+      if (!handedToWorker && context?.reservation) {
+        await settleReservation(context, false);
+      }
+
+      if (res.headersSent) {
+        return;
+      }
+
+      const { status, body } = mapAnalysisError(error);
+      res.status(status).json(body);
+
+    } finally {
+      if (!handedToWorker && uploadedFiles.length > 0) {
+        await cleanupFiles(uploadedFiles);
+      }
+    }
+  }
+);
+
+router.get('/jobs/:id', verifyFirebaseToken, async (req, res) => {
+  try {
+    const job = await analysisJobService.getJob(req.params.id, req.user.uid);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Analysis job not found',
+        code: 'JOB_NOT_FOUND'
+      });
+    }
+
+    res.json({
+      success: true,
+      job
+    });
+
+  } catch (error) {
+    console.error('❌ Error getting analysis job:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get analysis job',
+      code: 'JOB_STATUS_ERROR'
+    });
+  }
+});
+
+// =============================================================================
+// PROMPT REFINEMENT
+// =============================================================================
+
+const MAX_INSTRUCTION_LENGTH = 500;
+
+/**
+ * Instruction for revising an earlier version of an engine's structured prompt
+ * @param {Object} session - Refinement session
+ * @param {string} engine - Engine being refined
+ * @param {Object} base - Version the user is refining
+ * @param {string} instruction - What the user wants changed
+ * @param {boolean} hasImages - Whether the original images are attached again
+ * @returns {string}
+ */
+function buildRefinementPrompt(session, engine, base, instruction, hasImages) {
+  const renderer = session.renderers[engine];
+
+  return [
+    `You described ${hasImages ? 'the attached images' : 'a set of images'} as this JSON object:\n${JSON.stringify(base.structured, null, 2)}`,
+    hasImages ? '' : 'The images are no longer available, so work from this description alone.',
+    `Revise the description following this request from the user: "${instruction}"\nChange only what the request asks for and keep every other detail as it is.`,
+    buildStructuredOutputInstructions(renderer, Object.keys(ENGINE_PARAMETERS[renderer]), { differenceCount: session.differenceCount })
+  ].filter(Boolean).join('\n\n');
+}
+
+/**
+ * Validate a refinement request against its session and the user's tier
+ * Reserves usage when the tier's cost rule charges for this turn
+ * @returns {Object} Refinement context, or { error: { status, body } }
+ */
+async function prepareRefinementRequest(req) {
+  const { user } = req;
+  const { analysisId, engine: requestedEngine, instruction } = req.body || {};
+  const trimmedInstruction = typeof instruction === 'string' ? instruction.trim() : '';
+
+  if (typeof analysisId !== 'string' || !trimmedInstruction || trimmedInstruction.length > MAX_INSTRUCTION_LENGTH) {
+    return {
+      error: {
+        status: 400,
+        body: {
+          success: false,
+          error: `Send an analysisId and an instruction of up to ${MAX_INSTRUCTION_LENGTH} characters`,
+          code: 'INVALID_REFINEMENT'
+        }
+      }
+    };
+  }
+
+  // Clients may send the version as a string ("2"); anything that isn't a whole number is rejected
+  const rawVersion = req.body.fromVersion ?? null;
+  const fromVersion = typeof rawVersion === 'string' && rawVersion.trim() !== '' ? Number(rawVersion) : rawVersion;
+  if (fromVersion !== null && !Number.isInteger(fromVersion)) {
+    return {
+      error: {
+        status: 400,
+        body: {
+          success: false,
+          error: 'fromVersion must be a whole version number',
+          code: 'INVALID_REFINEMENT'
+        }
+      }
+    };
+  }
+
+  const session = await refinementService.getSession(user.uid, analysisId);
+  if (!session) {
+    return {
+      error: {
+        status: 404,
+        body: {
+          success: false,
+          error: 'Analysis not found',
+          code: 'ANALYSIS_NOT_FOUND'
+        }
+      }
+    };
+  }
+
+  const engine = requestedEngine || session.engine;
+  if (!session.engines.includes(engine)) {
+    return {
+      error: {
+        status: 400,
+        body: {
+          success: false,
+          error: 'This analysis has no prompt for that engine',
+          code: 'INVALID_ENGINE',
+          validEngines: session.engines
+        }
+      }
+    };
+  }
+
+  // Refinements build on the latest version unless the user reverted to an earlier one
+  const versions = refinementService.getVersions(session, engine);
+  const base = fromVersion === null ? versions[versions.length - 1] : versions.find(version => version.version === fromVersion);
+  if (!base) {
+    return {
+      error: {
+        status: 404,
+        body: {
+          success: false,
+          error: `Version ${fromVersion} of this prompt does not exist`,
+          code: 'VERSION_NOT_FOUND'
+        }
+      }
+    };
+  }
+
+  const userContext = await loadUserContext(user);
+  const refinement = firestoreConfigService.getRefinementConfig(userContext.config, userContext.userTier);
+  // This read only saves a model call; addTurn re-checks the limit and decides the cost when saving
+  if (session.turns.length >= refinement.maxTurns) {
+    return { error: buildRefinementLimitError(refinement.maxTurns) };
+  }
+
+  const units = firestoreConfigService.getRefinementCost(userContext.config, userContext.userTier, session.turns.length + 1);
+  let reservation = null;
+  let usage = null;
+  if (units > 0) {
+    let limitError;
+    ({ reservation, usage, error: limitError } = await reserveUsageSlot(user, userContext, units));
+    if (limitError) {
+      return { error: limitError };
+    }
+  }
+
+  // Engines disabled since the analysis lose only their separate negative prompt
+  const engineConfig = firestoreConfigService.getRegistry(userContext.config).engines.find(entry => entry.id === engine) || null;
+
+  return {
+    user,
+    userTier: userContext.userTier,
+    config: userContext.config,
+    session,
+    engine,
+    engineConfig,
+    base,
+    instruction: trimmedInstruction,
+    refinement,
+    units,
+    reservation,
+    usage
+  };
+}
+
+/**
+ * Build the 403 response for a session that used up its refinement turns
+ */
+function buildRefinementLimitError(maxTurns) {
+  return {
+    status: 403,
+    body: {
+      success: false,
+      error: `This analysis has reached its limit of ${maxTurns} refinements. Start a new analysis to keep going.`,
+      code: 'REFINEMENT_LIMIT_REACHED',
+      maxTurns
+    }
+  };
+}
+
+router.post('/refine', verifyFirebaseToken, async (req, res) => {
+  let context = null;
+
+  try {
+    context = await prepareRefinementRequest(req);
+    if (context.error) {
+      return res.status(context.error.status).json(context.error.body);
+    }
+
+    const { session, userTier, config, engine, engineConfig, base, instruction, refinement } = context;
+    // Early turns still see the images; once they leave the cache the structured prompt is enough
+    const images = refinementService.getCachedImages(session.id) || [];
+    const provider = await getVisionProvider();
+
+    const finalPrompt = buildRefinementPrompt(session, engine, base, instruction, images.length > 0);
+    const rawAnalysis = await provider.analyze(finalPrompt, images, JSON_OUTPUT);
+    const structured = await resolveStructuredPrompt(provider, finalPrompt, images, rawAnalysis, { differenceCount: session.differenceCount });
+    const result = await renderWithinLimit(provider, {
+      renderers: session.renderers,
+      params: session.requestedParams,
+      detectedParams: session.detectedParams,
+      engineConfigs: { [engine]: engineConfig },
+      tokenBudget: session.tokenBudget
+    }, engine, structured, { differenceCount: session.differenceCount });
+
+    const { version, units, session: updated } = await refinementService.addTurn(session.id, {
+      engine,
+      baseVersion: base.version,
+      instruction,
+      prompt: result.analysis,
+      structured: result.structured,
+      params: result.params,
+      usedImages: images.length > 0
+    }, {
+      maxTurns: refinement.maxTurns,
+      reservedUnits: context.units,
+      getCost: (turn) => firestoreConfigService.getRefinementCost(config, userTier, turn)
+    });
+    // A turn that came out free hands its reserved unit back
+    await settleReservation(context, units > 0);
+
+    res.json({
+      success: true,
+      analysisId: session.id,
+      engine,
+      version,
+      analysis: result.analysis,
+      prompt: result.promptPair?.prompt ?? result.analysis,
+      negativePrompt: result.promptPair?.negativePrompt ?? null,
+      shortened: Boolean(result.lengthCheck?.shortened),
+      structured: result.structured,
+      params: result.params,
+      versions: refinementService.getVersions(updated, engine),
+      refinement: { ...refinement, turnsUsed: updated.turns.length },
+      metadata: {
+        usage_units: units,
+        used_images: images.length > 0,
+        token_count: result.tokenCount,
+        length_check: result.lengthCheck,
+        provider: provider.name,
+        model: provider.model
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Refinement Error:', error);
+
+    if (context?.reservation) {
+      await settleReservation(context, false);
+    }
+
+    const { status, body } = mapAnalysisError(error);
+    res.status(status).json(body);
+  }
+});
+
+// Every version of every engine's prompt, for reopening a refinement conversation
+router.get('/refine/:analysisId', verifyFirebaseToken, async (req, res) => {
+  try {
+    const session = await refinementService.getSession(req.user.uid, req.params.analysisId);
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        error: 'Analysis not found',
+        code: 'ANALYSIS_NOT_FOUND'
+      });
+    }
+
+    const { config, userTier } = await loadUserContext(req.user);
+
+    res.json({
+      success: true,
+      analysisId: session.id,
+      engines: session.engines,
+      versions: Object.fromEntries(session.engines.map(engineId => [engineId, refinementService.getVersions(session, engineId)])),
+      refinement: {
+        ...firestoreConfigService.getRefinementConfig(config, userTier),
+        turnsUsed: session.turns.length
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error loading refinement session:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load refinements',
+      code: 'REFINEMENT_ERROR'
+    });
+  }
+});
+
+// =============================================================================
+// TOKEN COUNTING
+// =============================================================================
+
+const MAX_TOKEN_TEXT_LENGTH = 10000;
+
+// CLIP token counts for Stable Diffusion text as the user edits it on the results screen
+router.post('/tokens', verifyFirebaseToken, (req, res) => {
+  const { text } = req.body || {};
+
+  if (typeof text !== 'string' || text.length > MAX_TOKEN_TEXT_LENGTH) {
+    return res.status(400).json({
+      success: false,
+      error: `Send the prompt as text of up to ${MAX_TOKEN_TEXT_LENGTH} characters`,
+      code: 'INVALID_TEXT'
+    });
+  }
+
+  const { prompt, negativePrompt } = splitStableDiffusionText(text);
+  res.json({
+    success: true,
+    chunkSize: CLIP_CHUNK_SIZE,
+    prompt: countClipTokens(prompt),
+    negativePrompt: countClipTokens(negativePrompt)
+  });
+});
+
+// =============================================================================
+// ANALYSIS HISTORY
+// =============================================================================
+
+/**
+ * Allow the request only when the user's tier lists the feature
+ * @param {string} feature - Feature key from the tier config (e.g. "history")
+ */
+function requireTierFeature(feature) {
+  return async (req, res, next) => {
+    try {
+      const [userDoc, config] = await Promise.all([
+        db.collection('users').doc(req.user.uid).get(),
+        firestoreConfigService.getConfig()
+      ]);
+      const userTier = userDoc.data()?.tier || 'free';
+
+      if (!firestoreConfigService.hasFeature(config, userTier, feature)) {
+        return res.status(403).json({
+          success: false,
+          error: 'This feature is not included in your plan. Upgrade to Pro to unlock it.',
+          code: 'FEATURE_NOT_AVAILABLE',
+          feature
+        });
+      }
+
+      next();
+    } catch (error) {
+      console.error(`❌ Error checking feature "${feature}":`, error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to check plan features',
+        code: 'FEATURE_CHECK_ERROR'
+      });
+    }
+  };
+}
+
+router.get('/history', verifyFirebaseToken, requireTierFeature('history'), async (req, res) => {
+  try {
+    const { entries, nextCursor, invalidCursor } = await analysisHistoryService.listAnalyses(req.user.uid, {
+      limit: req.query.limit,
+      cursor: req.query.cursor
+    });
+
+    if (invalidCursor) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid history cursor',
+        code: 'INVALID_CURSOR'
+      });
+    }
+
+    res.json({
+      success: true,
+      entries,
+      nextCursor
+    });
+
+  } catch (error) {
+    console.error('❌ Error listing analysis history:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load analysis history',
+      code: 'HISTORY_ERROR'
+    });
+  }
+});
+
+router.get('/history/:id', verifyFirebaseToken, requireTierFeature('history'), async (req, res) => {
+  try {
+    const entry = await analysisHistoryService.getAnalysis(req.user.uid, req.params.id);
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        error: 'History entry not found',
+        code: 'HISTORY_NOT_FOUND'
+      });
+    }
+
+    res.json({
+      success: true,
+      entry
+    });
+
+  } catch (error) {
+    console.error('❌ Error getting history entry:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load history entry',
+      code: 'HISTORY_ERROR'
+    });
+  }
+});
+
+router.delete('/history/:id', verifyFirebaseToken, requireTierFeature('history'), async (req, res) => {
+  try {
+    const deleted = await analysisHistoryService.deleteAnalysis(req.user.uid, req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'History entry not found',
+        code: 'HISTORY_NOT_FOUND'
+      });
+    }
+
+    res.json({
+      success: true,
+      id: req.params.id
+    });
+
+  } catch (error) {
+    console.error('❌ Error deleting history entry:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete history entry',
+      code: 'HISTORY_ERROR'
+    });
+  }
+});
+
+// =============================================================================
+// PROMPT TEMPLATES
+// =============================================================================
+
+/**
+ * Check the goal/engine pair in a template route
+ * Templates are stored per prompt format, so engine is a renderer ID
+ * @returns {Object|null} { status, body } when unknown
+ */
+async function validateTemplateTarget({ goal, engine }) {
+  const registry = firestoreConfigService.getRegistry(await firestoreConfigService.getConfig());
+  if (registry.goals.some(entry => entry.id === goal) && ENGINE_PARAMETERS[engine]) {
+    return null;
+  }
+
+  return {
+    status: 404,
+    body: {
+      success: false,
+      error: `Unknown prompt template: ${goal}/${engine}`,
+      code: 'TEMPLATE_NOT_FOUND'
+    }
+  };
+}
+
+router.get('/prompts/:goal/:engine', verifyFirebaseToken, requireTierFeature('prompt_templates'), async (req, res) => {
+  try {
+    const targetError = await validateTemplateTarget(req.params);
+    if (targetError) {
+      return res.status(targetError.status).json(targetError.body);
+    }
+
+    const { goal, engine } = req.params;
+    const { activeVersion, versions } = await promptTemplateService.listVersions(goal, engine);
+
+    res.json({
+      success: true,
+      goal,
+      engine,
+      activeVersion,
+      versions
+    });
+
+  } catch (error) {
+    console.error('❌ Error listing prompt templates:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load prompt templates',
+      code: 'TEMPLATE_ERROR'
+    });
+  }
+});
+
+router.post('/prompts/:goal/:engine', verifyFirebaseToken, requireTierFeature('prompt_templates'), async (req, res) => {
+  try {
+    const targetError = await validateTemplateTarget(req.params);
+    if (targetError) {
+      return res.status(targetError.status).json(targetError.body);
+    }
+
+    const { body, activate = false } = req.body || {};
+    if (typeof body !== 'string' || !body.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Template body must be a non-empty string',
+        code: 'INVALID_TEMPLATE'
+      });
+    }
+
+    const templateErrors = validateTemplate(body);
+    if (templateErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Template has invalid variables or sections',
+        code: 'INVALID_TEMPLATE',
+        details: templateErrors.join('; ')
+      });
+    }
+
+    const template = await promptTemplateService.createVersion({
+      goal: req.params.goal,
+      engine: req.params.engine,
+      body: body.trim(),
+      author: req.user.email || req.user.uid,
+      activate: activate === true
+    });
+
+    res.status(201).json({
+      success: true,
+      template
+    });
+
+  } catch (error) {
+    console.error('❌ Error creating prompt template:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save prompt template',
+      code: 'TEMPLATE_ERROR'
+    });
+  }
+});
+
+router.put('/prompts/:goal/:engine/active', verifyFirebaseToken, requireTierFeature('prompt_templates'), async (req, res) => {
+  try {
+    const targetError = await validateTemplateTarget(req.params);
+    if (targetError) {
+      return res.status(targetError.status).json(targetError.body);
+    }
+
+    const { goal, engine } = req.params;
+    const version = Number(req.body?.version);
+    const activated = Number.isInteger(version) && version > 0 &&
+      await promptTemplateService.activateVersion(goal, engine, version, req.user.email || req.user.uid);
+
+    if (!activated) {
+      return res.status(404).json({
+        success: false,
+        error: `No version ${req.body?.version} of ${goal}/${engine}`,
+        code: 'TEMPLATE_VERSION_NOT_FOUND'
+      });
+    }
+
+    res.json({
+      success: true,
+      goal,
+      engine,
+      activeVersion: version
+    });
+
+  } catch (error) {
+    console.error('❌ Error activating prompt template:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to activate prompt template',
+      code: 'TEMPLATE_ERROR'
+    });
+  }
+});
+
+// Changes made directly in Firestore show up after the cache TTL; this applies them now
+router.post('/prompts/refresh', verifyFirebaseToken, requireTierFeature('prompt_templates'), (req, res) => {
+  promptTemplateService.refreshCache();
+  res.json({
+    success: true,
+    ...promptTemplateService.getCacheStats()
+  });
+});
+
+// =============================================================================
+// EXPERIMENTS
+// =============================================================================
+
+// Outcome signals from the results screen; only analyses run under an experiment are counted
+router.post('/outcomes', verifyFirebaseToken, async (req, res) => {
+  try {
+    const { analysisId, engine, signal } = req.body || {};
+
+    if (!OUTCOME_SIGNALS.includes(signal) || typeof analysisId !== 'string' || typeof engine !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid outcome signal',
+        code: 'INVALID_OUTCOME',
+        validSignals: OUTCOME_SIGNALS
+      });
+    }
+
+    const recorded = await experimentService.recordOutcome({ analysisId, engine, uid: req.user.uid, signal });
+
+    res.json({
+      success: true,
+      recorded
+    });
+
+  } catch (error) {
+    console.error('❌ Error recording outcome:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to record outcome',
+      code: 'OUTCOME_ERROR'
+    });
+  }
+});
+
+router.get('/experiments', verifyFirebaseToken, requireTierFeature('experiments'), async (req, res) => {
+  try {
+    experimentService.refreshCache();
+    const experiments = await experimentService.listExperiments();
+
+    res.json({
+      success: true,
+      experiments
+    });
+
+  } catch (error) {
+    console.error('❌ Error listing experiments:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load experiments',
+      code: 'EXPERIMENT_ERROR'
+    });
+  }
+});
+
+router.put('/experiments/:id', verifyFirebaseToken, requireTierFeature('experiments'), async (req, res) => {
+  try {
+    const definition = { ...req.body, id: req.params.id };
+    const errors = validateExperiment(definition);
+    if (definition.status !== undefined && !['running', 'stopped'].includes(definition.status)) {
+      errors.push('"status" must be running or stopped');
+    }
+    if (errors.length === 0) {
+      const targetError = await validateTemplateTarget(definition);
+      if (targetError) {
+        errors.push(targetError.body.error);
+      }
+    }
+    if (errors.length === 0) {
+      // Variants must point at versions that can be served, or their users would silently get another prompt
+      const templates = await Promise.all(definition.variants.map(variant => (
+        variant.version ? promptTemplateService.getTemplateVersion(definition.goal, definition.engine, variant.version) : true
+      )));
+      definition.variants.forEach((variant, index) => {
+        if (!templates[index]) {
+          errors.push(`variant "${variant.id}" points at v${variant.version}, which is missing or not a valid template`);
+        }
+      });
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid experiment',
+        code: 'INVALID_EXPERIMENT',
+        details: errors.join('; ')
+      });
+    }
+
+    const { experiment, conflictId } = await experimentService.saveExperiment(definition, req.user.email || req.user.uid);
+    if (conflictId) {
+      return res.status(409).json({
+        success: false,
+        error: `Experiment ${conflictId} is already running for ${definition.goal}/${definition.engine}`,
+        code: 'EXPERIMENT_CONFLICT'
+      });
+    }
+
+    res.json({
+      success: true,
+      experiment
+    });
+
+  } catch (error) {
+    console.error('❌ Error saving experiment:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save experiment',
+      code: 'EXPERIMENT_ERROR'
+    });
+  }
+});
+
+router.get('/experiments/:id/summary', verifyFirebaseToken, requireTierFeature('experiments'), async (req, res) => {
+  try {
+    const summary = await experimentService.getSummary(req.params.id);
+
+    if (!summary) {
+      return res.status(404).json({
+        success: false,
+        error: 'Experiment not found',
+        code: 'EXPERIMENT_NOT_FOUND'
+      });
+    }
+
+    res.json({
+      success: true,
+      summary
+    });
+
+  } catch (error) {
+    console.error('❌ Error summarizing experiment:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to summarize experiment',
+      code: 'EXPERIMENT_ERROR'
+    });
+  }
+});
+
+export default router;
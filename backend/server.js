@@ -57,6 +57,8 @@ export { admin, db, auth }; // <-- DODANA LINIA
 
 // Import routes (po inicjalizacji Firebase, aby routery mogły używać db/auth)
 import analyzeRouter from './routes/analyze.js'; // <-- PRZENIESIONE PO INICJALIZACJI FIREBASE
+import { firestoreConfigService } from './services/firestoreConfigService.js';
+import { analysisJobService } from './services/analysisJobService.js';
 
 // Get directory paths for ES modules
 const __filename = fileURLToPath(import.meta.url);
@@ -191,6 +193,7 @@ const getCorsOptions = () => {
       'Authorization',
       'Accept',
       'X-Requested-With',
+      'X-Time-Zone',
       'Origin',
       'Access-Control-Request-Method',
       'Access-Control-Request-Headers'
@@ -233,7 +236,21 @@ const limiter = rateLimit({
   },
   standardHeaders: true,
   legacyHeaders: false,
-  skip: (req) => req.path === '/health' || req.path === '/'
+  // Token counts have their own limiter below, so editing a prompt can't use up the analysis quota
+  skip: (req) => req.path === '/health' || req.path === '/' || req.path === '/analyze/tokens'
+});
+
+// Token counts follow pauses while a prompt is edited, so they get a larger budget of their own
+const tokenCountLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 600,
+  message: {
+    success: false,
+    error: 'Too many token count requests, please try again later.',
+    code: 'RATE_LIMIT_EXCEEDED'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
 });
 
 // Body parsing
@@ -319,10 +336,18 @@ app.get('/', (req, res) => {
 
 // Apply rate limiting to API routes only
 app.use('/api', limiter);
+app.use('/api/analyze/tokens', tokenCountLimiter);
 
 // API routes
 app.use('/api/analyze', analyzeRouter);
 
+// Read from the router itself so the startup and 404 listings can't fall behind new routes
+const analyzeEndpoints = analyzeRouter.stack
+  .filter(layer => layer.route)
+  .flatMap(({ route }) => Object.keys(route.methods).map(method =>
+    `${method.toUpperCase()} /api/analyze${route.path === '/' ? '' : route.path}`
+  ));
+
 // =============================================================================
 // ERROR HANDLING
 // =============================================================================
@@ -340,9 +365,7 @@ app.use('/api/*', (req, res) => {
     availableEndpoints: [
       'GET /health',
       'GET /',
-      'POST /api/analyze',
-      'GET /api/analyze/health',
-      'GET /api/analyze/config'
+      ...analyzeEndpoints
     ]
   });
 });
@@ -457,8 +480,7 @@ const server = app.listen(PORT, '0.0.0.0', () => {
   console.log('\n🌐 Available Endpoints:');
   console.log(`   • Health Check: http://localhost:${PORT}/health`);
   console.log(`   • Service Info: http://localhost:${PORT}/`);
-  console.log(`   • Image Analysis: http://localhost:${PORT}/api/analyze`);
-  console.log(`   • Service Config: http://localhost:${PORT}/api/analyze/config`);
+  analyzeEndpoints.forEach(endpoint => console.log(`   • ${endpoint}`));
 
   console.log('\n🔧 Environment Check:');
   console.log(`   • PORT: ${process.env.PORT || 'Using default (10000)'}`);
@@ -480,6 +502,11 @@ const server = app.listen(PORT, '0.0.0.0', () => {
 
   console.log('\n✅ Server ready to handle requests!');
   console.log('═'.repeat(60));
+
+  // Requests lost in a restart never settled their reservations; return those units
+  firestoreConfigService.releaseStaleReservations(analysisJobService.STALE_AFTER_MS)
+    .then(released => console.log(`↩️ Released ${released} stale usage reservation${released !== 1 ? 's' : ''}`))
+    .catch(error => console.error('❌ Failed to release stale usage reservations:', error));
 });
 
 server.on('error', (error) => {
@@ -0,0 +1,194 @@
+// backend/services/analysisHistoryService.js
+/**
+ * Analysis History Service
+ * Stores completed analyses under users/{uid}/analyses with small thumbnails
+ * so users on tiers with the "history" feature can revisit past prompts
+ */
+
+import crypto from 'crypto';
+import sharp from 'sharp';
+import { db, admin } from '../server.js';
+
+const toDate = (value) => {
+  if (!value) return null;
+  return typeof value.toDate === 'function' ? value.toDate() : new Date(value);
+};
+
+// IDs come from the client; ones Firestore would reject as a document path (e.g. containing "/") never match an entry
+const isValidEntryId = (id) => (
+  typeof id === 'string' && id.length > 0 && id.length <= 1500 && !id.includes('/') && id !== '.' && id !== '..' && !/^__.*__$/.test(id)
+);
+
+class AnalysisHistoryService {
+  constructor() {
+    this.SUBCOLLECTION = 'analyses';
+    this.THUMBNAIL_SIZE = 160;
+    this.THUMBNAIL_QUALITY = 60;
+    this.DEFAULT_PAGE_SIZE = 20;
+    this.MAX_PAGE_SIZE = 50;
+  }
+
+  getCollection(userId) {
+    return db.collection('users').doc(userId).collection(this.SUBCOLLECTION);
+  }
+
+  /**
+   * Build small JPEG thumbnails for uploaded images
+   * Failures are skipped so one bad file doesn't lose the whole entry
+   * @param {Array} files - Multer file objects
+   * @returns {Array<{data: string, width: number, height: number}>} Data URL thumbnails
+   */
+  async createThumbnails(files) {
+    const thumbnails = [];
+
+    for (const file of files) {
+      try {
+        const { data, info } = await sharp(file.path)
+          .rotate()
+          .resize(this.THUMBNAIL_SIZE, this.THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+          .jpeg({ quality: this.THUMBNAIL_QUALITY })
+          .toBuffer({ resolveWithObject: true });
+
+        thumbnails.push({
+          data: `data:image/jpeg;base64,${data.toString('base64')}`,
+          width: info.width,
+          height: info.height
+        });
+      } catch (error) {
+        console.warn(`⚠️ Could not create thumbnail for ${file.originalname}:`, error.message);
+      }
+    }
+
+    return thumbnails;
+  }
+
+  /**
+   * Record a completed analysis
+   * @param {string} userId - Owner UID
+   * @param {Object} entry - { goal, engine, engines, focus, prompt, prompts, promptPairs, structured, params, variations, processingTime, provider, model, files }
+   * @returns {string} History entry ID
+   */
+  async recordAnalysis(userId, { files = [], ...entry }) {
+    const entryId = crypto.randomUUID();
+    const thumbnails = await this.createThumbnails(files);
+
+    await this.getCollection(userId).doc(entryId).set({
+      goal: entry.goal,
+      engine: entry.engine,
+      engines: entry.engines || [entry.engine],
+      focus: entry.focus || '',
+      prompt: entry.prompt,
+      prompts: entry.prompts || { [entry.engine]: entry.prompt },
+      // Separate positive and negative texts for engines with a negative input
+      negativePrompt: entry.promptPairs?.[entry.engine]?.negativePrompt ?? null,
+      promptPairs: entry.promptPairs || {},
+      structured: entry.structured || null,
+      params: entry.params || null,
+      variations: entry.variations || null,
+      processingTime: entry.processingTime,
+      provider: entry.provider || null,
+      model: entry.model || null,
+      imageCount: files.length,
+      thumbnails,
+      createdAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    console.log(`🕘 Saved analysis ${entryId} to history for user ${userId}`);
+    return entryId;
+  }
+
+  /**
+   * List a user's analyses, newest first
+   * @param {string} userId - Owner UID
+   * @param {Object} options - { limit, cursor } where cursor is the last entry ID of the previous page
+   * @returns {Object} { entries, nextCursor }
+   */
+  async listAnalyses(userId, { limit, cursor } = {}) {
+    const pageSize = Math.min(Math.max(parseInt(limit) || this.DEFAULT_PAGE_SIZE, 1), this.MAX_PAGE_SIZE);
+    let query = this.getCollection(userId).orderBy('createdAt', 'desc');
+
+    if (cursor) {
+      const cursorDoc = isValidEntryId(cursor) ? await this.getCollection(userId).doc(cursor).get() : null;
+      if (!cursorDoc?.exists) {
+        return { entries: [], nextCursor: null, invalidCursor: true };
+      }
+      query = query.startAfter(cursorDoc);
+    }
+
+    // Fetch one extra entry to know whether another page exists
+    const snapshot = await query.limit(pageSize + 1).get();
+    const docs = snapshot.docs.slice(0, pageSize);
+
+    return {
+      // List entries carry a single thumbnail to keep pages small
+      entries: docs.map(doc => {
+        const { thumbnails, ...entry } = this.serialize(doc);
+        return { ...entry, thumbnail: thumbnails[0] || null };
+      }),
+      nextCursor: snapshot.size > pageSize ? docs[docs.length - 1].id : null
+    };
+  }
+
+  /**
+   * Get a single analysis with all thumbnails
+   * @returns {Object|null} Entry, or null when missing
+   */
+  async getAnalysis(userId, entryId) {
+    if (!isValidEntryId(entryId)) {
+      return null;
+    }
+
+    const entryDoc = await this.getCollection(userId).doc(entryId).get();
+    return entryDoc.exists ? this.serialize(entryDoc) : null;
+  }
+
+  /**
+   * Delete a single analysis
+   * @returns {boolean} False when the entry did not exist
+   */
+  async deleteAnalysis(userId, entryId) {
+    if (!isValidEntryId(entryId)) {
+      return false;
+    }
+
+    const entryRef = this.getCollection(userId).doc(entryId);
+    const entryDoc = await entryRef.get();
+
+    if (!entryDoc.exists) {
+      return false;
+    }
+
+    await entryRef.delete();
+    console.log(`🗑️ Deleted analysis ${entryId} from history for user ${userId}`);
+    return true;
+  }
+
+  serialize(doc) {
+    const data = doc.data();
+
+    return {
+      id: doc.id,
+      goal: data.goal,
+      engine: data.engine,
+      // Entries saved before multi-engine runs only hold one prompt
+      engines: data.engines || [data.engine],
+      focus: data.focus || '',
+      prompt: data.prompt,
+      prompts: data.prompts || { [data.engine]: data.prompt },
+      negativePrompt: data.negativePrompt ?? null,
+      promptPairs: data.promptPairs || {},
+      structured: data.structured || null,
+      params: data.params || null,
+      variations: data.variations || null,
+      processingTime: data.processingTime,
+      provider: data.provider || null,
+      model: data.model || null,
+      imageCount: data.imageCount || 0,
+      thumbnails: data.thumbnails || [],
+      createdAt: toDate(data.createdAt)?.toISOString() || null
+    };
+  }
+}
+
+// Export singleton instance
+export const analysisHistoryService = new AnalysisHistoryService();
@@ -0,0 +1,189 @@
+// backend/services/analysisJobService.js
+/**
+ * Analysis Job Service
+ * Persists asynchronous analysis jobs in Firestore and runs them
+ * on an in-process worker queue with bounded concurrency
+ */
+
+import crypto from 'crypto';
+import { db, admin } from '../server.js';
+import { firestoreConfigService } from './firestoreConfigService.js';
+
+const toDate = (value) => {
+  if (!value) return null;
+  return typeof value.toDate === 'function' ? value.toDate() : new Date(value);
+};
+
+class AnalysisJobService {
+  constructor() {
+    this.COLLECTION = 'analysisJobs';
+    this.concurrency = parseInt(process.env.ANALYSIS_JOB_CONCURRENCY) || 2;
+    // Jobs still queued/processing after this long were lost (e.g. server restart)
+    this.STALE_AFTER_MS = 15 * 60 * 1000;
+    this.pending = [];
+    this.running = 0;
+  }
+
+  /**
+   * Create a queued job record
+   * @param {string} userId - Owner UID
+   * @param {Object} request - Goal, engine, prompt, image count and the usage reservation ID
+   * @returns {string} Job ID
+   */
+  async createJob(userId, request) {
+    const jobId = crypto.randomUUID();
+    const now = admin.firestore.FieldValue.serverTimestamp();
+
+    await db.collection(this.COLLECTION).doc(jobId).set({
+      userId,
+      status: 'queued',
+      goal: request.goal,
+      engine: request.engine,
+      engines: request.engines || [request.engine],
+      hasCustomPrompt: Boolean(request.prompt),
+      imageCount: request.imageCount,
+      // Released if the job goes stale, so a lost job doesn't keep its units charged
+      reservationId: request.reservationId || null,
+      result: null,
+      error: null,
+      createdAt: now,
+      updatedAt: now
+    });
+
+    console.log(`🗂️ Created analysis job ${jobId} for user ${userId}`);
+    return jobId;
+  }
+
+  /**
+   * Get a job owned by the given user
+   * @returns {Object|null} Job data, or null when missing or owned by someone else
+   */
+  async getJob(jobId, userId) {
+    const jobDoc = await db.collection(this.COLLECTION).doc(jobId).get();
+
+    if (!jobDoc.exists) {
+      return null;
+    }
+
+    const job = jobDoc.data();
+    if (job.userId !== userId) {
+      return null;
+    }
+
+    const updatedAt = toDate(job.updatedAt);
+    const isStale = this.isStale(job);
+    if (isStale) {
+      await this.expireJob(jobId);
+    }
+
+    return {
+      id: jobDoc.id,
+      status: isStale ? 'failed' : job.status,
+      goal: job.goal,
+      engine: job.engine,
+      engines: job.engines || [job.engine],
+      imageCount: job.imageCount,
+      result: job.result || null,
+      error: isStale
+        ? { error: 'Analysis job expired before completing. Please try again.', code: 'JOB_EXPIRED' }
+        : job.error || null,
+      createdAt: toDate(job.createdAt)?.toISOString() || null,
+      updatedAt: updatedAt?.toISOString() || null
+    };
+  }
+
+  isStale(job) {
+    const updatedAt = toDate(job.updatedAt);
+    const isActive = job.status === 'queued' || job.status === 'processing';
+    return Boolean(isActive && updatedAt && Date.now() - updatedAt.getTime() > this.STALE_AFTER_MS);
+  }
+
+  /**
+   * Mark a lost job failed and release its usage reservation
+   * The job is re-read in a transaction so only one poll expires it; releasing is
+   * idempotent, and a job that does finish later finds nothing left to commit
+   */
+  async expireJob(jobId) {
+    const jobRef = db.collection(this.COLLECTION).doc(jobId);
+
+    const job = await db.runTransaction(async (transaction) => {
+      const jobDoc = await transaction.get(jobRef);
+      if (!jobDoc.exists || !this.isStale(jobDoc.data())) {
+        return null;
+      }
+
+      transaction.update(jobRef, {
+        status: 'failed',
+        error: { error: 'Analysis job expired before completing. Please try again.', code: 'JOB_EXPIRED' },
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+      return jobDoc.data();
+    });
+
+    if (job?.reservationId) {
+      try {
+        await firestoreConfigService.releaseUsage(job.userId, job.reservationId);
+        console.log(`↩️ Released usage slot ${job.reservationId} of expired job ${jobId}`);
+      } catch (error) {
+        console.error(`❌ Failed to release usage slot ${job.reservationId} of expired job ${jobId}:`, error);
+      }
+    }
+  }
+
+  async updateJob(jobId, fields) {
+    await db.collection(this.COLLECTION).doc(jobId).update({
+      ...fields,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+  }
+
+  /**
+   * Queue a job for processing
+   * @param {string} jobId - Job ID
+   * @param {Function} task - Async function returning { analysis, metadata }
+   * @param {Function} mapError - Converts a thrown error to an error body
+   */
+  enqueue(jobId, task, mapError) {
+    this.pending.push({ jobId, task, mapError });
+    console.log(`📥 Job ${jobId} queued (${this.pending.length} waiting, ${this.running}/${this.concurrency} running)`);
+    this.drain();
+  }
+
+  drain() {
+    while (this.running < this.concurrency && this.pending.length > 0) {
+      const next = this.pending.shift();
+      this.running++;
+      this.run(next).finally(() => {
+        this.running--;
+        this.drain();
+      });
+    }
+  }
+
+  async run({ jobId, task, mapError }) {
+    try {
+      await this.updateJob(jobId, { status: 'processing' });
+      const result = await task();
+      await this.updateJob(jobId, { status: 'done', result });
+      console.log(`✅ Job ${jobId} completed`);
+    } catch (error) {
+      console.error(`❌ Job ${jobId} failed:`, error);
+      try {
+        await this.updateJob(jobId, { status: 'failed', error: mapError(error) });
+      } catch (updateError) {
+        console.error(`❌ Could not record failure for job ${jobId}:`, updateError);
+      }
+    }
+  }
+
+  getQueueStats() {
+    return {
+      waiting: this.pending.length,
+      running: this.running,
+      concurrency: this.concurrency
+    };
+  }
+}
+
+// Export singleton instance
+export const analysisJobService = new AnalysisJobService();
@@ -0,0 +1,281 @@
+// backend/services/experimentService.js
+/**
+ * A/B experiments between prompt template versions
+ * A running experiment splits one goal/engine pair across weighted variants,
+ * each pointing at a stored template version (or null for the active one).
+ * Users are assigned by a hash of their uid so they keep seeing the same
+ * variant. Every analysis made under an experiment is recorded as an exposure,
+ * and outcome signals from the client are counted once per exposure.
+ */
+
+import crypto from 'crypto';
+import { db, admin } from '../server.js';
+import { promptTemplateService } from './promptTemplateService.js';
+
+const EXPERIMENT_COLLECTION = 'experiments';
+const EXPOSURE_COLLECTION = 'experimentExposures';
+
+export const OUTCOME_SIGNALS = ['copy', 'download', 'thumbs_up', 'thumbs_down', 'regenerate'];
+
+/**
+ * Pick a user's variant; the same uid always lands in the same variant while the weights stay the same
+ * @param {Array} variants - [{ id, weight }]
+ * @param {string} uid - User ID
+ * @param {string} experimentId - Salts the hash so experiments split users independently
+ * @returns {Object} Chosen variant
+ */
+export function pickVariant(variants, uid, experimentId) {
+  const totalWeight = variants.reduce((sum, variant) => sum + variant.weight, 0);
+  const hash = crypto.createHash('sha256').update(`${experimentId}:${uid}`).digest();
+  let point = (hash.readUInt32BE(0) / 0x100000000) * totalWeight;
+
+  for (const variant of variants) {
+    point -= variant.weight;
+    if (point < 0) {
+      return variant;
+    }
+  }
+  return variants[variants.length - 1];
+}
+
+/**
+ * Check an experiment definition
+ * @param {Object} definition - { goal, engine, variants: [{ id, version, weight }] }
+ * @returns {string[]} Problems; empty when valid
+ */
+export function validateExperiment({ goal, engine, variants }) {
+  const errors = [];
+  if (typeof goal !== 'string' || !goal) errors.push('"goal" is required');
+  if (typeof engine !== 'string' || !engine) errors.push('"engine" is required');
+
+  if (!Array.isArray(variants) || variants.length < 2) {
+    errors.push('"variants" must list at least two variants');
+    return errors;
+  }
+
+  const ids = new Set();
+  variants.forEach((variant, index) => {
+    if (typeof variant?.id !== 'string' || !/^[a-z0-9_-]+$/i.test(variant.id)) {
+      errors.push(`variant ${index + 1} needs an id made of letters, digits, "-" or "_"`);
+    } else if (ids.has(variant.id)) {
+      errors.push(`variant id "${variant.id}" is used twice`);
+    } else {
+      ids.add(variant.id);
+    }
+    if (typeof variant?.weight !== 'number' || !(variant.weight > 0)) {
+      errors.push(`variant ${index + 1} needs a positive weight`);
+    }
+    if (variant?.version != null && !(Number.isInteger(variant.version) && variant.version > 0)) {
+      errors.push(`variant ${index + 1} version must be a positive integer or null for the active template`);
+    }
+  });
+
+  return errors;
+}
+
+class ExperimentService {
+  constructor() {
+    this.experimentsCache = null;
+    this.cacheExpiry = null;
+    this.CACHE_DURATION = 5 * 60 * 1000; // 5 minutes cache
+  }
+
+  /**
+   * All experiments, cached like the Firestore config
+   */
+  async listExperiments() {
+    if (this.experimentsCache && this.cacheExpiry > Date.now()) {
+      return this.experimentsCache;
+    }
+
+    const snapshot = await db.collection(EXPERIMENT_COLLECTION).get();
+    this.experimentsCache = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    this.cacheExpiry = Date.now() + this.CACHE_DURATION;
+    return this.experimentsCache;
+  }
+
+  async getRunningExperiment(goal, engine) {
+    const experiments = await this.listExperiments();
+    return experiments.find(experiment => (
+      experiment.status === 'running' && experiment.goal === goal && experiment.engine === engine
+    )) || null;
+  }
+
+  /**
+   * Template for an analysis, honouring any running experiment on the pair
+   * Falls back to the active template when the experiment can't be applied
+   * @param {string} goal - Goal ID
+   * @param {string} engine - Engine prompt format
+   * @param {string} uid - User ID
+   * @returns {Object} { body, version, source, experiment } - experiment is { id, variant } or null
+   */
+  async resolveTemplate(goal, engine, uid) {
+    let experiment = null;
+    try {
+      experiment = await this.getRunningExperiment(goal, engine);
+    } catch (error) {
+      console.error(`❌ Error loading experiments for ${goal}/${engine}:`, error);
+    }
+
+    if (experiment) {
+      const variants = await this.getUsableVariants(goal, engine, experiment);
+      if (variants.length > 0) {
+        const variant = pickVariant(variants, uid, experiment.id);
+        const template = variant.template || await promptTemplateService.getTemplate(goal, engine);
+        return { ...template, experiment: { id: experiment.id, variant: variant.id } };
+      }
+    }
+
+    return { ...await promptTemplateService.getTemplate(goal, engine), experiment: null };
+  }
+
+  /**
+   * Variants of an experiment whose template can be served, each with its stored template
+   * Variants pointing at a missing or invalid version are left out of assignment, so their
+   * share of users is split across the rest instead of being counted under the wrong prompt
+   * @returns {Array} [{ id, version, weight, template }] - template is null for the active one
+   */
+  async getUsableVariants(goal, engine, experiment) {
+    const variants = await Promise.all(experiment.variants.map(async (variant) => ({
+      ...variant,
+      template: variant.version ? await promptTemplateService.getTemplateVersion(goal, engine, variant.version) : null
+    })));
+
+    return variants.filter(variant => {
+      if (variant.version && !variant.template) {
+        console.warn(`⚠️ Experiment ${experiment.id} variant ${variant.id} points at missing or invalid v${variant.version}, leaving it out`);
+        return false;
+      }
+      return true;
+    });
+  }
+
+  /**
+   * Record that an analysis ran under an experiment variant
+   * @param {Object} exposure - { analysisId, engine, uid, experiment }
+   */
+  async recordExposure({ analysisId, engine, uid, experiment }) {
+    const now = admin.firestore.FieldValue.serverTimestamp();
+
+    await db.collection(EXPOSURE_COLLECTION).doc(`${analysisId}_${engine}`).set({
+      analysisId,
+      engine,
+      uid,
+      experimentId: experiment.id,
+      variant: experiment.variant,
+      signals: [],
+      createdAt: now
+    });
+    await this.variantRef(experiment.id, experiment.variant).set({
+      analyses: admin.firestore.FieldValue.increment(1),
+      updatedAt: now
+    }, { merge: true });
+  }
+
+  variantRef(experimentId, variantId) {
+    return db.collection(EXPERIMENT_COLLECTION).doc(experimentId).collection('variants').doc(variantId);
+  }
+
+  /**
+   * Count an outcome signal for the variant behind an analysis
+   * Each signal counts once per analysis, so rates are "share of analyses that were copied" etc.
+   * @returns {boolean} True when the signal was counted for the first time
+   */
+  async recordOutcome({ analysisId, engine, uid, signal }) {
+    const exposureRef = db.collection(EXPOSURE_COLLECTION).doc(`${analysisId}_${engine}`);
+
+    return db.runTransaction(async (transaction) => {
+      const exposureDoc = await transaction.get(exposureRef);
+      // Only the user who ran the analysis can report on it
+      if (!exposureDoc.exists || exposureDoc.data().uid !== uid) {
+        return false;
+      }
+
+      const exposure = exposureDoc.data();
+      if (exposure.signals.includes(signal)) {
+        return false;
+      }
+
+      transaction.update(exposureRef, { signals: [...exposure.signals, signal] });
+      transaction.set(this.variantRef(exposure.experimentId, exposure.variant), {
+        [signal]: admin.firestore.FieldValue.increment(1),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      }, { merge: true });
+      return true;
+    });
+  }
+
+  /**
+   * Create or replace an experiment definition
+   * @param {Object} definition - { id, goal, engine, variants, status }
+   */
+  async saveExperiment({ id, goal, engine, variants, status = 'running' }, author) {
+    const experiment = {
+      goal,
+      engine,
+      status,
+      variants: variants.map(({ id: variantId, version = null, weight }) => ({ id: variantId, version, weight })),
+      updatedBy: author,
+      updatedAt: new Date().toISOString()
+    };
+
+    // One running experiment per pair keeps assignment unambiguous
+    if (status === 'running') {
+      this.refreshCache();
+      const conflict = (await this.listExperiments()).find(existing => (
+        existing.id !== id && existing.status === 'running' && existing.goal === goal && existing.engine === engine
+      ));
+      if (conflict) {
+        return { experiment: null, conflictId: conflict.id };
+      }
+    }
+
+    await db.collection(EXPERIMENT_COLLECTION).doc(id).set(experiment);
+    this.refreshCache();
+    console.log(`🧪 Saved experiment ${id} for ${goal}/${engine} (${status})`);
+    return { experiment: { id, ...experiment }, conflictId: null };
+  }
+
+  /**
+   * Per-variant outcome counts and rates
+   * @returns {Object|null} Summary, or null when the experiment doesn't exist
+   */
+  async getSummary(experimentId) {
+    const experimentDoc = await db.collection(EXPERIMENT_COLLECTION).doc(experimentId).get();
+    if (!experimentDoc.exists) {
+      return null;
+    }
+
+    const experiment = experimentDoc.data();
+    const variants = await Promise.all(experiment.variants.map(async (variant) => {
+      const countsDoc = await this.variantRef(experimentId, variant.id).get();
+      const counts = countsDoc.exists ? countsDoc.data() : {};
+      const analyses = counts.analyses || 0;
+
+      return {
+        ...variant,
+        analyses,
+        outcomes: Object.fromEntries(OUTCOME_SIGNALS.map(signal => [signal, {
+          count: counts[signal] || 0,
+          rate: analyses > 0 ? Math.round(((counts[signal] || 0) / analyses) * 1000) / 1000 : 0
+        }]))
+      };
+    }));
+
+    return {
+      id: experimentId,
+      goal: experiment.goal,
+      engine: experiment.engine,
+      status: experiment.status,
+      variants
+    };
+  }
+
+  refreshCache() {
+    this.experimentsCache = null;
+    this.cacheExpiry = null;
+  }
+}
+
+// Export singleton instance
+export const experimentService = new ExperimentService();
@@ -4,7 +4,38 @@
  * Manages dynamic configuration and limits from Firestore database
  */
 
-import { db } from '../server.js';
+import crypto from 'crypto';
+import { db, admin } from '../server.js';
+import { isValidTimeZone, formatInTimeZone } from '../utils/timeZone.js';
+import { ENGINE_PARAMETERS } from '../utils/promptRenderers.js';
+import {
+  USAGE_WINDOWS,
+  getWindowStart,
+  getNextResetTime,
+  applyWindowResets
+} from '../utils/usageWindows.js';
+
+const toDate = (value) => {
+  if (!value) return null;
+  return typeof value.toDate === 'function' ? value.toDate() : new Date(value);
+};
+
+// Registry entries from Firestore override the defaults field by field; unknown ids are appended
+const mergeRegistryEntries = (defaults, overrides = []) => {
+  const entries = defaults.map(entry => ({ ...entry }));
+
+  for (const override of Array.isArray(overrides) ? overrides : []) {
+    if (!override?.id) continue;
+    const existing = entries.find(entry => entry.id === override.id);
+    if (existing) {
+      Object.assign(existing, override);
+    } else {
+      entries.push({ enabled: true, tiers: null, ...override });
+    }
+  }
+
+  return entries;
+};
 
 class FirestoreConfigService {
   constructor() {
@@ -55,6 +86,20 @@ class FirestoreConfigService {
     }
   }
 
+  /**
+   * Get the vision provider selection from config
+   * @returns {Object} Provider config ({ name, model, ...adapter options })
+   */
+  async getProviderConfig() {
+    const config = await this.getConfig();
+
+    return {
+      name: 'gemini',
+      model: process.env.AI_MODEL || 'gemini-1.5-flash',
+      ...(config.aiProvider || {})
+    };
+  }
+
   /**
    * Get limits for a specific user by UID (NEW TIER-BASED)
    * @param {string} userId - User UID
@@ -84,16 +129,7 @@ class FirestoreConfigService {
         await db.collection('users').doc(userId).update({ tier: userTier });
       }
 
-      const tierLimits = config.tiers?.[userTier] || config.tiers?.free;
-      
-      return {
-        tier: userTier,
-        anonymousLimit: config.anonymousLimit || 3,
-        dailyLimit: tierLimits?.dailyLimit || 3,
-        weeklyLimit: tierLimits?.weeklyLimit || 15,
-        monthlyLimit: tierLimits?.monthlyLimit || 50,
-        isUnlimited: userTier === 'admin' || (userTier === 'pro' && tierLimits?.dailyLimit === -1)
-      };
+      return this.resolveLimits({ ...userData, tier: userTier }, config);
     } catch (error) {
       console.error('❌ Error getting user limits:', error);
       // Return safe defaults
@@ -108,6 +144,240 @@ class FirestoreConfigService {
     }
   }
 
+  /**
+   * Resolve the daily/weekly/monthly limits that apply to a user
+   * Anonymous users on the free tier get the anonymous daily limit
+   * @param {Object} userData - User document data
+   * @param {Object} config - Limits config
+   * @param {Object} options - { isAnonymous }
+   * @returns {Object} User's limits (-1 means unlimited for that window)
+   */
+  resolveLimits(userData, config, { isAnonymous = false } = {}) {
+    const userTier = userData.tier || 'free';
+    const tierLimits = config.tiers?.[userTier] || config.tiers?.free || {};
+    const defaultTiers = this.getDefaultConfig().tiers;
+    const defaults = defaultTiers[userTier] || defaultTiers.free;
+    const anonymousLimit = config.anonymousLimit || 3;
+
+    return {
+      tier: userTier,
+      anonymousLimit,
+      dailyLimit: isAnonymous && userTier === 'free'
+        ? anonymousLimit
+        : tierLimits.dailyLimit || defaults.dailyLimit,
+      weeklyLimit: tierLimits.weeklyLimit || defaults.weeklyLimit,
+      monthlyLimit: tierLimits.monthlyLimit || defaults.monthlyLimit,
+      resetSchedule: {
+        resetHour: config.resetHour ?? 0,
+        resetDay: config.resetDay ?? 1,
+        resetDate: config.resetDate ?? 1,
+        // Windows follow the user's own clock when the browser reported a valid zone
+        timeZone: isValidTimeZone(userData.timeZone) ? userData.timeZone : 'UTC'
+      },
+      isUnlimited: userTier === 'admin' || (userTier === 'pro' && tierLimits.dailyLimit === -1)
+    };
+  }
+
+  /**
+   * Check whether a tier includes a feature from its config feature list
+   * @param {Object} config - Limits config
+   * @param {string} tier - Tier name
+   * @param {string} feature - Feature key (e.g. "history")
+   * @returns {boolean}
+   */
+  hasFeature(config, tier, feature) {
+    const features = config.tiers?.[tier || 'free']?.features || [];
+    return features.includes('all') || features.includes(feature);
+  }
+
+  /**
+   * Multi-engine settings with defaults filled in
+   * @param {Object} config - Limits config
+   * @returns {Object} { maxEngines, costRule, bundleUnits }
+   */
+  getMultiEngineConfig(config) {
+    return {
+      ...this.getDefaultConfig().multiEngine,
+      ...(config.multiEngine || {})
+    };
+  }
+
+  /**
+   * Goal and engine registry with defaults filled in
+   * Engines added in Firestore name the built-in prompt format they use in `renderer`;
+   * engines without a known format are left out so they can't be requested
+   * @param {Object} config - Limits config
+   * @returns {Object} { goals, engines } - enabled entries in display order
+   */
+  getRegistry(config) {
+    const defaults = this.getDefaultConfig().registry;
+    const goals = mergeRegistryEntries(defaults.goals, config.registry?.goals);
+    const engines = mergeRegistryEntries(defaults.engines, config.registry?.engines)
+      .map(engine => ({ ...engine, renderer: engine.renderer || engine.id }))
+      .filter(engine => {
+        if (ENGINE_PARAMETERS[engine.renderer]) return true;
+        console.warn(`⚠️ Engine "${engine.id}" has no known renderer ("${engine.renderer}"), skipping`);
+        return false;
+      });
+
+    return {
+      goals: goals.filter(goal => goal.enabled !== false),
+      engines: engines.filter(engine => engine.enabled !== false)
+    };
+  }
+
+  /**
+   * Check whether a registry goal or engine is offered on a tier
+   * @param {Object} entry - Registry entry
+   * @param {string} tier - Tier name
+   * @returns {boolean} True when the entry lists no tiers or includes this one
+   */
+  isAvailableForTier(entry, tier) {
+    return !entry.tiers || entry.tiers.includes(tier || 'free');
+  }
+
+  /**
+   * Number of usage units an analysis costs
+   * Single-engine requests always cost one unit; multi-engine requests follow
+   * the configured rule: "per_engine" charges one unit per engine, "bundle"
+   * caps the charge at bundleUnits
+   * @param {Object} config - Limits config
+   * @param {number} engineCount - Engines requested
+   * @returns {number} Units to reserve
+   */
+  getAnalysisCost(config, engineCount = 1) {
+    if (engineCount <= 1) {
+      return 1;
+    }
+
+    const { costRule, bundleUnits } = this.getMultiEngineConfig(config);
+
+    if (costRule === 'bundle') {
+      return Math.max(1, Math.min(engineCount, bundleUnits));
+    }
+    return engineCount;
+  }
+
+  /**
+   * Most prompt variations a tier may request at once
+   * @param {Object} config - Limits config
+   * @param {string} tier - Tier name
+   * @returns {number}
+   */
+  getMaxVariations(config, tier) {
+    const tierName = tier || 'free';
+    return config.tiers?.[tierName]?.maxVariations ?? this.getDefaultConfig().tiers[tierName]?.maxVariations ?? 1;
+  }
+
+  /**
+   * Refinement settings for a tier with defaults filled in
+   * Tier settings override the global ones key by key
+   * @param {Object} config - Limits config
+   * @param {string} tier - Tier name
+   * @returns {Object} { costRule, freeTurns, maxTurns }
+   */
+  getRefinementConfig(config, tier) {
+    const defaults = this.getDefaultConfig();
+    const tierName = tier || 'free';
+
+    return {
+      ...defaults.refinement,
+      ...(config.refinement || {}),
+      ...(config.tiers?.[tierName]?.refinement || defaults.tiers[tierName]?.refinement || {})
+    };
+  }
+
+  /**
+   * Whether a user can refine analyses at all
+   * Anonymous users have to sign in first, and a tier opts out with maxTurns: 0
+   * @param {Object} config - Limits config
+   * @param {string} tier - Tier name
+   * @param {Object} options - { isAnonymous }
+   * @returns {boolean}
+   */
+  canRefine(config, tier, { isAnonymous = false } = {}) {
+    return !isAnonymous && this.getRefinementConfig(config, tier).maxTurns > 0;
+  }
+
+  /**
+   * Number of usage units a refinement turn costs
+   * "free" never charges, "per_turn" charges one unit per turn and
+   * "free_turns" charges one unit per turn after the first freeTurns of an analysis
+   * @param {Object} config - Limits config
+   * @param {string} tier - Tier name
+   * @param {number} turn - 1-based refinement turn on the analysis
+   * @returns {number} Units to reserve
+   */
+  getRefinementCost(config, tier, turn) {
+    const { costRule, freeTurns } = this.getRefinementConfig(config, tier);
+
+    if (costRule === 'free') {
+      return 0;
+    }
+    if (costRule === 'free_turns') {
+      return turn > freeTurns ? 1 : 0;
+    }
+    return 1;
+  }
+
+  /**
+   * Roll over usage windows whose reset boundary has passed since the stored reset stamp
+   * Counters are reset lazily here instead of by sweeping every user on a schedule
+   * @param {Object} userData - User document data
+   * @param {Object} schedule - { resetHour, resetDay, resetDate }
+   * @param {Date} now - Evaluation time
+   * @returns {Object} { userData, updates } - rolled data and the fields to persist
+   */
+  applyWindowResets(userData, schedule = {}, now = new Date()) {
+    return applyWindowResets(userData, schedule, now);
+  }
+
+  /**
+   * Evaluate usage against every limit window
+   * This is the single place limits are enforced; routes and /my-usage both use it
+   * @param {Object} userData - User document data (usage counters and last reset stamps)
+   * @param {Object} limits - Limits from resolveLimits
+   * @param {Date} now - Evaluation time
+   * @param {number} units - Usage units the pending request needs
+   * @returns {Object} { allowed, exceededWindow, resetTime, timeZone, windows }
+   */
+  evaluateLimits(userData, limits, now = new Date(), units = 1) {
+    const windows = {};
+    let exceededWindow = null;
+    const current = this.applyWindowResets(userData, limits.resetSchedule, now).userData;
+
+    const timeZone = limits.resetSchedule?.timeZone || 'UTC';
+
+    for (const [window, limitKey, usageKey, , endKey] of USAGE_WINDOWS) {
+      const used = current[usageKey] || 0;
+      const limit = limits[limitKey];
+      const isUnlimited = limits.isUnlimited || limit === -1;
+      // Windows keep the end they started with, even after a time zone change
+      const resetTime = toDate(current[endKey]);
+
+      windows[window] = {
+        used,
+        limit: isUnlimited ? 'unlimited' : limit,
+        remaining: isUnlimited ? 'unlimited' : Math.max(0, limit - used),
+        resetTime: resetTime.toISOString(),
+        resetTimeLocal: formatInTimeZone(resetTime, timeZone)
+      };
+
+      // Report the shortest window that can't fit the request
+      if (!isUnlimited && !exceededWindow && used + units > limit) {
+        exceededWindow = window;
+      }
+    }
+
+    return {
+      allowed: !exceededWindow,
+      exceededWindow,
+      resetTime: exceededWindow ? windows[exceededWindow].resetTime : null,
+      timeZone,
+      windows
+    };
+  }
+
   /**
    * Check if user has exceeded any limits (NEW TIER-BASED)
    * @param {string} userId - User ID
@@ -121,68 +391,39 @@ class FirestoreConfigService {
         limits = await this.getUserLimits(userId);
       }
 
-      if (limits.isUnlimited) {
-        return { allowed: true, reason: 'unlimited' };
-      }
-
       const userDoc = await db.collection('users').doc(userId).get();
       const userData = userDoc.data() || {};
-      const userTier = userData.tier || 'free';
-
-      // For anonymous/free users, check against their daily usage
-      const dailyUsage = userData.dailyUsage || 0;
-      const weeklyUsage = userData.weeklyUsage || 0;
-      const monthlyUsage = userData.monthlyUsage || 0;
-
-      // Check daily limit
-      if (limits.dailyLimit > 0 && dailyUsage >= limits.dailyLimit) {
-        return {
-          allowed: false,
-          reason: 'daily_limit_exceeded',
-          current: dailyUsage,
-          limit: limits.dailyLimit,
-          resetTime: this.getNextResetTime('daily')
-        };
-      }
+      const evaluation = this.evaluateLimits(userData, limits);
 
-      // Check weekly limit
-      if (limits.weeklyLimit > 0 && weeklyUsage >= limits.weeklyLimit) {
+      if (!evaluation.allowed) {
+        const exceeded = evaluation.windows[evaluation.exceededWindow];
         return {
           allowed: false,
-          reason: 'weekly_limit_exceeded',
-          current: weeklyUsage,
-          limit: limits.weeklyLimit,
-          resetTime: this.getNextResetTime('weekly')
-        };
-      }
-
-      // Check monthly limit
-      if (limits.monthlyLimit > 0 && monthlyUsage >= limits.monthlyLimit) {
-        return {
-          allowed: false,
-          reason: 'monthly_limit_exceeded',
-          current: monthlyUsage,
-          limit: limits.monthlyLimit,
-          resetTime: this.getNextResetTime('monthly')
+          reason: `${evaluation.exceededWindow}_limit_exceeded`,
+          window: evaluation.exceededWindow,
+          current: exceeded.used,
+          limit: exceeded.limit,
+          resetTime: exceeded.resetTime,
+          windows: evaluation.windows
         };
       }
 
       return {
         allowed: true,
         usage: {
-          daily: dailyUsage,
-          weekly: weeklyUsage,
-          monthly: monthlyUsage,
+          daily: userData.dailyUsage || 0,
+          weekly: userData.weeklyUsage || 0,
+          monthly: userData.monthlyUsage || 0,
           total: userData.usageCount || 0
         },
         limits: limits,
         remaining: {
-          daily: Math.max(0, limits.dailyLimit - dailyUsage),
-          weekly: Math.max(0, limits.weeklyLimit - weeklyUsage),
-          monthly: Math.max(0, limits.monthlyLimit - monthlyUsage)
-        }
+          daily: evaluation.windows.daily.remaining,
+          weekly: evaluation.windows.weekly.remaining,
+          monthly: evaluation.windows.monthly.remaining
+        },
+        windows: evaluation.windows
       };
-
     } catch (error) {
       console.error('❌ Error checking user limits:', error);
       // On error, allow but log
@@ -190,6 +431,144 @@ class FirestoreConfigService {
     }
   }
 
+  /**
+   * Atomically reserve usage units before a model call
+   * Counters are incremented inside a transaction so parallel requests can't overshoot any window
+   * @param {string} userId - User ID
+   * @param {Object} limits - Limits from resolveLimits
+   * @param {number} units - Units to reserve (see getAnalysisCost)
+   * @returns {Object} { reserved, reservationId, evaluation } - evaluation reflects the reserved slot
+   */
+  async reserveUsage(userId, limits, units = 1) {
+    const userRef = db.collection('users').doc(userId);
+    const reservationId = crypto.randomUUID();
+    const reservationRef = userRef.collection('usageReservations').doc(reservationId);
+
+    return db.runTransaction(async (transaction) => {
+      const userDoc = await transaction.get(userRef);
+      const now = new Date();
+      const { userData, updates } = this.applyWindowResets(userDoc.data() || {}, limits.resetSchedule, now);
+
+      const evaluation = this.evaluateLimits(userData, limits, now, units);
+      if (!evaluation.allowed) {
+        // Persist any rollover even when the request is rejected
+        if (Object.keys(updates).length > 0) {
+          transaction.set(userRef, updates, { merge: true });
+        }
+        return { reserved: false, evaluation };
+      }
+
+      const counters = {
+        dailyUsage: (userData.dailyUsage || 0) + units,
+        weeklyUsage: (userData.weeklyUsage || 0) + units,
+        monthlyUsage: (userData.monthlyUsage || 0) + units
+      };
+      transaction.set(userRef, { ...updates, ...counters }, { merge: true });
+
+      transaction.set(reservationRef, {
+        status: 'reserved',
+        units,
+        // Same clock as the reset stamps, so a release can tell which windows rolled over since
+        createdAt: now
+      });
+
+      return {
+        reserved: true,
+        reservationId,
+        units,
+        evaluation: this.evaluateLimits({ ...userData, ...counters }, limits, now)
+      };
+    });
+  }
+
+  /**
+   * Finalize a reservation after a successful analysis
+   * @param {string} userId - User ID
+   * @param {string} reservationId - ID returned by reserveUsage
+   * @returns {boolean} True if the reservation was committed
+   */
+  async commitUsage(userId, reservationId) {
+    const userRef = db.collection('users').doc(userId);
+    const reservationRef = userRef.collection('usageReservations').doc(reservationId);
+
+    return db.runTransaction(async (transaction) => {
+      const reservationDoc = await transaction.get(reservationRef);
+      if (!reservationDoc.exists || reservationDoc.data().status !== 'reserved') {
+        console.warn(`⚠️ Reservation ${reservationId} is not pending, skipping commit`);
+        return false;
+      }
+
+      transaction.update(userRef, {
+        usageCount: admin.firestore.FieldValue.increment(reservationDoc.data().units || 1),
+        lastLogin: admin.firestore.FieldValue.serverTimestamp()
+      });
+      // Settled reservations carry no state worth keeping
+      transaction.delete(reservationRef);
+
+      return true;
+    });
+  }
+
+  /**
+   * Return a reserved slot after a failed analysis
+   * Windows that rolled over since the reservation no longer hold its units, so only
+   * the windows it was counted in are refunded
+   * @param {string} userId - User ID
+   * @param {string} reservationId - ID returned by reserveUsage
+   * @returns {boolean} True if the slot was released
+   */
+  async releaseUsage(userId, reservationId) {
+    const userRef = db.collection('users').doc(userId);
+    const reservationRef = userRef.collection('usageReservations').doc(reservationId);
+    const config = await this.getConfig();
+
+    return db.runTransaction(async (transaction) => {
+      const reservationDoc = await transaction.get(reservationRef);
+      if (!reservationDoc.exists || reservationDoc.data().status !== 'reserved') {
+        console.warn(`⚠️ Reservation ${reservationId} is not pending, skipping release`);
+        return false;
+      }
+
+      const userDoc = await transaction.get(userRef);
+      const { resetSchedule } = this.resolveLimits(userDoc.data() || {}, config);
+      const { userData, updates } = this.applyWindowResets(userDoc.data() || {}, resetSchedule, new Date());
+      const units = reservationDoc.data().units || 1;
+      const reservedAt = toDate(reservationDoc.data().createdAt);
+
+      for (const [, , usageKey, resetKey] of USAGE_WINDOWS) {
+        const windowStart = toDate(userData[resetKey]);
+        if (!reservedAt || !windowStart || windowStart <= reservedAt) {
+          updates[usageKey] = Math.max(0, (userData[usageKey] || 0) - units);
+        }
+      }
+
+      transaction.update(userRef, updates);
+      transaction.delete(reservationRef);
+
+      return true;
+    });
+  }
+
+  /**
+   * Release reservations no request is left to settle, e.g. after a restart mid-analysis
+   * Run at startup. Only reservations older than olderThanMs are released, so requests
+   * still running on another instance keep theirs. The collection group query needs
+   * the usageReservations.status single-field index enabled for collection group scope.
+   * @param {number} olderThanMs - Minimum reservation age
+   * @returns {number} Reservations released
+   */
+  async releaseStaleReservations(olderThanMs) {
+    const cutoff = Date.now() - olderThanMs;
+    const snapshot = await db.collectionGroup('usageReservations').where('status', '==', 'reserved').get();
+    const stale = snapshot.docs.filter(doc => {
+      const createdAt = toDate(doc.data().createdAt);
+      return !createdAt || createdAt.getTime() < cutoff;
+    });
+
+    const released = await Promise.all(stale.map(doc => this.releaseUsage(doc.ref.parent.parent.id, doc.id)));
+    return released.filter(Boolean).length;
+  }
+
   /**
    * Update configuration in Firestore
    * @param {Object} newConfig - New configuration
@@ -242,6 +621,78 @@ class FirestoreConfigService {
       maxFileSize: 10485760,
       maxFiles: 10,
       supportedFormats: ["jpeg", "jpg", "png", "gif", "webp"],
+      aiProvider: {
+        name: "gemini",
+        model: "gemini-1.5-flash"
+      },
+      multiEngine: {
+        maxEngines: 3,
+        costRule: "per_engine",
+        bundleUnits: 2
+      },
+      refinement: {
+        costRule: "free_turns",
+        freeTurns: 2,
+        maxTurns: 10
+      },
+      registry: {
+        goals: [
+          {
+            id: "copy_image",
+            name: "Copy Image",
+            description: "Create a prompt to recreate the entire image accurately.",
+            bestFor: "Recreating specific images",
+            resultTitle: "Image Recreation Prompt",
+            icon: "copy",
+            color: "green",
+            tiers: null,
+            enabled: true
+          },
+          {
+            id: "copy_style",
+            name: "Copy Style",
+            description: "Isolate and describe the artistic style for new creations.",
+            bestFor: "Applying style to new subjects",
+            resultTitle: "Style Guide",
+            icon: "palette",
+            color: "orange",
+            tiers: null,
+            enabled: true
+          },
+          {
+            id: "copy_character",
+            name: "Copy Character",
+            description: "Describe a character's look, apart from pose and background.",
+            bestFor: "Keeping a character consistent across scenes",
+            resultTitle: "Character Prompt",
+            icon: "user",
+            color: "indigo",
+            tiers: null,
+            enabled: true
+          },
+          {
+            id: "find_common_features",
+            name: "Find Common Features",
+            description: "Turn what your images share into one prompt, with what sets each apart.",
+            bestFor: "Sets of related images",
+            resultTitle: "Common Features Prompt",
+            icon: "search",
+            color: "cyan",
+            minImages: 2,
+            comparesImages: true,
+            tiers: null,
+            enabled: true
+          }
+        ],
+        engines: [
+          { id: "midjourney", name: "Midjourney", description: "Artistic images", icon: "palette", color: "purple", maxLength: 6000, tiers: null, enabled: true },
+          { id: "dalle", name: "DALL-E 3", description: "OpenAI's latest image generator", icon: "bot", color: "green", maxLength: 4000, tiers: null, enabled: true },
+          { id: "stable_diffusion", name: "Stable Diffusion", description: "Open-source model", icon: "cpu", color: "blue", negativePrompt: true, tiers: null, enabled: true },
+          { id: "gemini_imagen", name: "Gemini Imagen", description: "Strong photorealism", icon: "camera", color: "orange", maxLength: 1900, tiers: null, enabled: true },
+          { id: "flux", name: "Flux", description: "State-of-the-art model", icon: "zap", color: "cyan", negativePrompt: false, tiers: null, enabled: true },
+          { id: "leonardo", name: "Leonardo AI", description: "Fine-tuned control options", icon: "sparkles", color: "indigo", negativePrompt: true, maxLength: 1500, tiers: null, enabled: true }
+        ]
+      },
       tiers: {
         free: {
           name: "Free",
@@ -251,6 +702,8 @@ class FirestoreConfigService {
           maxFileSize: 5242880,
           maxFiles: 5,
           features: ["basic_analysis"],
+          maxVariations: 2,
+          refinement: { freeTurns: 1 },
           stripePriceId: null
         },
         pro: {
@@ -261,6 +714,8 @@ class FirestoreConfigService {
           maxFileSize: 10485760,
           maxFiles: 10,
           features: ["basic_analysis", "advanced_prompts", "history"],
+          maxVariations: 5,
+          refinement: { freeTurns: 5, maxTurns: 20 },
           stripePriceId: "price_1ABC..."
         },
         admin: {
@@ -271,6 +726,8 @@ class FirestoreConfigService {
           maxFileSize: 52428800,
           maxFiles: 20,
           features: ["all"],
+          maxVariations: 5,
+          refinement: { costRule: "free", maxTurns: 50 },
           stripePriceId: null
         }
       },
@@ -284,26 +741,27 @@ class FirestoreConfigService {
     };
   }
 
+  /**
+   * Get the start of the current window for a given period
+   * Boundaries are computed on the wall clock of the schedule's time zone (UTC by default)
+   * @param {string} period - daily, weekly or monthly
+   * @param {Date} now - Reference time
+   * @param {Object} schedule - { resetHour, resetDay (0 = Sunday), resetDate, timeZone }
+   * @returns {Date} Most recent reset boundary at or before now
+   */
+  getWindowStart(period, now = new Date(), schedule = {}) {
+    return getWindowStart(period, now, schedule);
+  }
+
   /**
    * Get next reset time for a given period
+   * @param {string} period - daily, weekly or monthly
+   * @param {Date} now - Reference time
+   * @param {Object} schedule - { resetHour, resetDay, resetDate, timeZone }
+   * @returns {Date} Next reset boundary after now
    */
-  getNextResetTime(period, now = new Date()) {
-    const tomorrow = new Date(now);
-    tomorrow.setDate(now.getDate() + 1);
-    tomorrow.setHours(0, 0, 0, 0);
-
-    switch (period) {
-      case 'daily':
-        return tomorrow;
-      case 'weekly':
-        const nextWeek = new Date(tomorrow);
-        nextWeek.setDate(tomorrow.getDate() + (7 - tomorrow.getDay()));
-        return nextWeek;
-      case 'monthly':
-        return new Date(now.getFullYear(), now.getMonth() + 1, 1);
-      default:
-        return tomorrow;
-    }
+  getNextResetTime(period, now = new Date(), schedule = {}) {
+    return getNextResetTime(period, now, schedule);
   }
 
   /**
@@ -0,0 +1,229 @@
+// backend/services/promptTemplateService.js
+/**
+ * Versioned prompt templates
+ * Each goal/engine pair keeps numbered versions in Firestore plus a pointer to
+ * the active one, so a prompt can be changed or rolled back without a deploy.
+ * Active templates are cached in memory; pairs without a stored template fall
+ * back to the bundled prompts from promptLoader
+ */
+
+import { db, admin } from '../server.js';
+import promptLoader from '../utils/promptLoader.js';
+import { validateTemplate } from '../utils/promptTemplate.js';
+
+const TEMPLATE_COLLECTION = 'promptTemplates';
+
+// One document per goal/engine pair holds the active pointer; versions live under it
+const getTemplateId = (goal, engine) => `${goal}__${engine}`;
+
+const serializeVersion = (data) => ({
+  goal: data.goal,
+  engine: data.engine,
+  version: data.version,
+  body: data.body,
+  author: data.author,
+  createdAt: typeof data.createdAt?.toDate === 'function' ? data.createdAt.toDate().toISOString() : data.createdAt
+});
+
+class PromptTemplateService {
+  constructor() {
+    this.cache = new Map();
+    this.CACHE_DURATION = 5 * 60 * 1000; // 5 minutes cache
+  }
+
+  templateRef(goal, engine) {
+    return db.collection(TEMPLATE_COLLECTION).doc(getTemplateId(goal, engine));
+  }
+
+  versionRef(goal, engine, version) {
+    return this.templateRef(goal, engine).collection('versions').doc(`v${version}`);
+  }
+
+  /**
+   * Get the active template for a goal/engine pair
+   * @param {string} goal - Goal ID
+   * @param {string} engine - Engine prompt format
+   * @returns {Object} { body, version, source } - version is null for bundled prompts
+   */
+  async getTemplate(goal, engine) {
+    const key = getTemplateId(goal, engine);
+    const cached = this.cache.get(key);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.template;
+    }
+
+    let stored;
+    try {
+      stored = await this.loadActiveTemplate(goal, engine);
+    } catch (error) {
+      console.error(`❌ Error loading prompt template ${key}:`, error);
+      // Keep serving the last known version rather than switching prompts on a read error
+      if (cached) {
+        return cached.template;
+      }
+      return { body: promptLoader.getPrompt(goal, engine), version: null, source: 'bundled' };
+    }
+
+    // getPrompt throws for pairs without a bundled prompt, failing the request before it is charged
+    const template = stored || { body: promptLoader.getPrompt(goal, engine), version: null, source: 'bundled' };
+    this.cache.set(key, { template, expiresAt: Date.now() + this.CACHE_DURATION });
+    return template;
+  }
+
+  /**
+   * Read the active version from Firestore
+   * @returns {Object|null} Template, or null when the pair has no active version
+   */
+  async loadActiveTemplate(goal, engine) {
+    const pointerDoc = await this.templateRef(goal, engine).get();
+    const activeVersion = pointerDoc.exists ? pointerDoc.data().activeVersion : null;
+    if (!activeVersion) {
+      return null;
+    }
+
+    const versionDoc = await this.versionRef(goal, engine, activeVersion).get();
+    if (!versionDoc.exists) {
+      console.warn(`⚠️ Active prompt version ${activeVersion} for ${goal}/${engine} is missing, using bundled prompt`);
+      return null;
+    }
+
+    // Versions are validated when stored; this catches ones written before variables were checked
+    const { body } = versionDoc.data();
+    const errors = validateTemplate(body);
+    if (errors.length > 0) {
+      console.error(`❌ Prompt template ${goal}/${engine} v${activeVersion} is invalid, using bundled prompt: ${errors.join('; ')}`);
+      return null;
+    }
+
+    return { body, version: activeVersion, source: 'firestore' };
+  }
+
+  /**
+   * Get a specific stored version, e.g. an experiment variant
+   * Versions never change once written, so they share the template cache
+   * @returns {Object|null} { body, version, source }, or null when the version doesn't exist or is invalid
+   */
+  async getTemplateVersion(goal, engine, version) {
+    const key = `${getTemplateId(goal, engine)}@v${version}`;
+    const cached = this.cache.get(key);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.template;
+    }
+
+    const versionDoc = await this.versionRef(goal, engine, version).get();
+    if (!versionDoc.exists) {
+      return null;
+    }
+
+    // Same check as the active version; an invalid one is cached as null so it isn't re-read
+    const { body } = versionDoc.data();
+    const errors = validateTemplate(body);
+    if (errors.length > 0) {
+      console.error(`❌ Prompt template ${goal}/${engine} v${version} is invalid: ${errors.join('; ')}`);
+    }
+
+    const template = errors.length > 0 ? null : { body, version, source: 'firestore' };
+    this.cache.set(key, { template, expiresAt: Date.now() + this.CACHE_DURATION });
+    return template;
+  }
+
+  /**
+   * Store a new version of a template
+   * @param {Object} template - { goal, engine, body, author, activate }
+   * @returns {Object} Stored version with its active flag
+   */
+  async createVersion({ goal, engine, body, author, activate = false }) {
+    const templateRef = this.templateRef(goal, engine);
+
+    const created = await db.runTransaction(async (transaction) => {
+      const pointerDoc = await transaction.get(templateRef);
+      const pointer = pointerDoc.exists ? pointerDoc.data() : {};
+      const version = (pointer.latestVersion || 0) + 1;
+      const data = {
+        goal,
+        engine,
+        version,
+        body,
+        author,
+        createdAt: admin.firestore.FieldValue.serverTimestamp()
+      };
+
+      transaction.set(this.versionRef(goal, engine, version), data);
+      transaction.set(templateRef, {
+        goal,
+        engine,
+        latestVersion: version,
+        activeVersion: activate ? version : pointer.activeVersion || null,
+        updatedBy: author,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      }, { merge: true });
+
+      return { ...data, createdAt: new Date().toISOString(), active: activate };
+    });
+
+    if (activate) {
+      this.cache.delete(getTemplateId(goal, engine));
+    }
+    console.log(`📝 Stored prompt template ${goal}/${engine} v${created.version}${activate ? ' (active)' : ''}`);
+    return created;
+  }
+
+  /**
+   * Point a goal/engine pair at an existing version
+   * @returns {boolean} False when the version doesn't exist
+   */
+  async activateVersion(goal, engine, version, author) {
+    const activated = await db.runTransaction(async (transaction) => {
+      const versionDoc = await transaction.get(this.versionRef(goal, engine, version));
+      if (!versionDoc.exists) {
+        return false;
+      }
+
+      transaction.set(this.templateRef(goal, engine), {
+        activeVersion: version,
+        updatedBy: author,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      }, { merge: true });
+      return true;
+    });
+
+    if (activated) {
+      this.cache.delete(getTemplateId(goal, engine));
+      console.log(`🔁 Prompt template ${goal}/${engine} now uses v${version}`);
+    }
+    return activated;
+  }
+
+  /**
+   * List every stored version of a template, newest first
+   * @returns {Object} { activeVersion, versions }
+   */
+  async listVersions(goal, engine) {
+    const templateRef = this.templateRef(goal, engine);
+    const [pointerDoc, snapshot] = await Promise.all([
+      templateRef.get(),
+      templateRef.collection('versions').orderBy('version', 'desc').get()
+    ]);
+
+    return {
+      activeVersion: pointerDoc.exists ? pointerDoc.data().activeVersion || null : null,
+      versions: snapshot.docs.map(doc => serializeVersion(doc.data()))
+    };
+  }
+
+  /**
+   * Drop cached templates and re-read the bundled prompts
+   */
+  refreshCache() {
+    this.cache.clear();
+    promptLoader.reload();
+    console.log('🔄 Prompt template cache cleared');
+  }
+
+  getCacheStats() {
+    return { cachedTemplates: this.cache.size, cacheDurationMs: this.CACHE_DURATION };
+  }
+}
+
+// Export singleton instance
+export const promptTemplateService = new PromptTemplateService();
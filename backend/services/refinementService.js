@@ -0,0 +1,191 @@
+// backend/services/refinementService.js
+/**
+ * Conversational refinement of generated prompts
+ * Every completed analysis opens a session holding each engine's structured
+ * prompt and the parameters it was rendered with. Follow-up instructions add
+ * numbered versions per engine, each built on an earlier one, so users can
+ * revert to any version and refine from there. The processed images are kept
+ * in memory for a while so early turns can still look at them; later turns
+ * work from the structured prompt alone.
+ *
+ * Sessions carry an expiresAt timestamp for a Firestore TTL policy:
+ *   gcloud firestore fields ttls update expiresAt --collection-group=refinementSessions --enable-ttl
+ * TTL deletion can lag by a day, so expired sessions are also treated as gone here.
+ */
+
+import { db, admin } from '../server.js';
+
+const toDate = (value) => {
+  if (!value) return null;
+  return typeof value.toDate === 'function' ? value.toDate() : new Date(value);
+};
+
+class RefinementService {
+  constructor() {
+    this.COLLECTION = 'refinementSessions';
+    // Each refinement extends the session, so only abandoned ones expire
+    this.SESSION_TTL = 7 * 24 * 60 * 60 * 1000; // 7 days
+    this.imageCache = new Map();
+    this.IMAGE_CACHE_DURATION = 30 * 60 * 1000; // 30 minutes cache
+    // Bounded by size rather than count, since one analysis can hold up to ten images
+    this.MAX_CACHED_IMAGE_BYTES = (parseInt(process.env.REFINEMENT_IMAGE_CACHE_MB) || 64) * 1024 * 1024;
+  }
+
+  getCollection() {
+    return db.collection(this.COLLECTION);
+  }
+
+  getExpiry() {
+    return admin.firestore.Timestamp.fromDate(new Date(Date.now() + this.SESSION_TTL));
+  }
+
+  /**
+   * Open a session for a completed analysis
+   * @param {Object} session - { analysisId, uid, goal, engine, engines, renderers, requestedParams, detectedParams, tokenBudget, differenceCount, results, processedImages }
+   */
+  async startSession({ analysisId, processedImages, results, ...session }) {
+    await this.getCollection().doc(analysisId).set({
+      uid: session.uid,
+      goal: session.goal,
+      engine: session.engine,
+      engines: session.engines,
+      renderers: session.renderers,
+      // Requested and detected parameters re-render refined versions the same way as the original
+      requestedParams: session.requestedParams || {},
+      detectedParams: session.detectedParams || {},
+      // Stable Diffusion refinements are compressed to the same token budget
+      tokenBudget: session.tokenBudget || null,
+      differenceCount: session.differenceCount || 0,
+      originals: Object.fromEntries(session.engines.map(engineId => [engineId, {
+        prompt: results.prompts[engineId],
+        structured: results.structured[engineId],
+        params: results.params[engineId] || {}
+      }])),
+      turns: [],
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      expiresAt: this.getExpiry()
+    });
+
+    this.cacheImages(analysisId, processedImages);
+  }
+
+  /**
+   * Keep an analysis' processed images for early refinement turns
+   * Images are base64 strings, so their length is their size in memory
+   */
+  cacheImages(analysisId, images) {
+    const bytes = images.reduce((total, image) => total + (image.data?.length || 0), 0);
+
+    this.imageCache.delete(analysisId);
+    if (bytes > this.MAX_CACHED_IMAGE_BYTES) {
+      return;
+    }
+    this.imageCache.set(analysisId, { images, bytes, expiresAt: Date.now() + this.IMAGE_CACHE_DURATION });
+
+    // Maps keep insertion order, so the first key is the oldest analysis
+    let cachedBytes = 0;
+    for (const entry of this.imageCache.values()) {
+      cachedBytes += entry.bytes;
+    }
+    while (cachedBytes > this.MAX_CACHED_IMAGE_BYTES) {
+      const [oldestId, oldest] = this.imageCache.entries().next().value;
+      this.imageCache.delete(oldestId);
+      cachedBytes -= oldest.bytes;
+    }
+  }
+
+  /**
+   * Processed images of an analysis, if they are still cached
+   * @returns {Array|null}
+   */
+  getCachedImages(analysisId) {
+    const cached = this.imageCache.get(analysisId);
+    if (!cached) {
+      return null;
+    }
+    if (cached.expiresAt <= Date.now()) {
+      this.imageCache.delete(analysisId);
+      return null;
+    }
+    return cached.images;
+  }
+
+  /**
+   * Get a user's refinement session
+   * @returns {Object|null} Session, or null when it doesn't exist, expired or belongs to another user
+   */
+  async getSession(uid, analysisId) {
+    const sessionDoc = await this.getCollection().doc(analysisId).get();
+    if (!sessionDoc.exists || sessionDoc.data().uid !== uid) {
+      return null;
+    }
+    const expiresAt = toDate(sessionDoc.data().expiresAt);
+    if (expiresAt && expiresAt <= new Date()) {
+      return null;
+    }
+    return { id: sessionDoc.id, ...sessionDoc.data() };
+  }
+
+  /**
+   * Versions of one engine's prompt, the original analysis first as version 0
+   * @returns {Array} [{ version, baseVersion, instruction, prompt, structured, params, createdAt }]
+   */
+  getVersions(session, engine) {
+    const original = session.originals[engine];
+    return [
+      { version: 0, baseVersion: null, instruction: null, ...original, createdAt: null },
+      ...session.turns
+        .filter(turn => turn.engine === engine)
+        .map(({ engine: turnEngine, usageUnits, usedImages, ...version }) => version)
+    ];
+  }
+
+  /**
+   * Append a refined version
+   * The turn limit, the turn's cost and its version number are all decided inside
+   * a transaction, so concurrent refinements can't exceed the limit, share a free
+   * turn or share a version
+   * @param {string} analysisId - Session ID
+   * @param {Object} turn - { engine, baseVersion, instruction, prompt, structured, params, usedImages }
+   * @param {Object} rules - { maxTurns, reservedUnits, getCost(turn) } - getCost takes the 1-based turn number
+   * @returns {Object} { version, units, session } - the new version number, the units it costs and the updated session
+   * @throws {Error} REFINEMENT_LIMIT_REACHED when the session is full,
+   *   REFINEMENT_CONFLICT when the turn now costs more than was reserved
+   */
+  async addTurn(analysisId, turn, { maxTurns, reservedUnits, getCost }) {
+    const sessionRef = this.getCollection().doc(analysisId);
+
+    const result = await db.runTransaction(async (transaction) => {
+      const sessionDoc = await transaction.get(sessionRef);
+      const session = sessionDoc.data();
+
+      if (session.turns.length >= maxTurns) {
+        const error = new Error(`Refinement limit of ${maxTurns} turns reached`);
+        error.code = 'REFINEMENT_LIMIT_REACHED';
+        error.maxTurns = maxTurns;
+        throw error;
+      }
+
+      // A parallel refinement may have taken the free turn this one was priced for
+      const units = getCost(session.turns.length + 1);
+      if (units > reservedUnits) {
+        const error = new Error(`Refinement costs ${units} units but only ${reservedUnits} were reserved`);
+        error.code = 'REFINEMENT_CONFLICT';
+        throw error;
+      }
+
+      const version = session.turns.filter(existing => existing.engine === turn.engine).length + 1;
+      // Array entries can't hold server timestamps
+      const turns = [...session.turns, { ...turn, usageUnits: units, version, createdAt: new Date().toISOString() }];
+
+      transaction.update(sessionRef, { turns, expiresAt: this.getExpiry() });
+      return { version, units, session: { id: analysisId, ...session, turns } };
+    });
+
+    console.log(`✏️ Refined ${turn.engine} prompt of analysis ${analysisId} to v${result.version}`);
+    return result;
+  }
+}
+
+// Export singleton instance
+export const refinementService = new RefinementService();
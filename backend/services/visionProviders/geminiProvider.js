@@ -0,0 +1,113 @@
+// backend/services/visionProviders/geminiProvider.js
+/**
+ * Gemini Vision Provider
+ * Google Generative AI adapter for the vision provider interface
+ */
+
+import { GoogleGenerativeAI } from '@google/generative-ai';
+import { VisionProvider } from './visionProvider.js';
+
+const DEFAULT_MODEL = 'gemini-1.5-flash';
+
+export class GeminiVisionProvider extends VisionProvider {
+  constructor({ apiKey = process.env.GEMINI_API_KEY, model = process.env.AI_MODEL || DEFAULT_MODEL } = {}) {
+    super({ name: 'gemini', model });
+
+    if (!apiKey) {
+      throw new Error('Gemini API key is not configured');
+    }
+
+    this.client = new GoogleGenerativeAI(apiKey);
+  }
+
+  /**
+   * Convert provider-neutral images into Gemini inline parts
+   */
+  toContentParts(prompt, images = []) {
+    return [
+      prompt,
+      ...images.map(image => ({
+        inlineData: {
+          data: image.data,
+          mimeType: image.mimeType
+        }
+      }))
+    ];
+  }
+
+  /**
+   * Get a model handle, switching on Gemini's JSON mode and sampling settings when asked for
+   */
+  getModel({ responseFormat = 'text', temperature, seed } = {}) {
+    const generationConfig = {
+      ...(responseFormat === 'json' && { responseMimeType: 'application/json' }),
+      ...(temperature !== undefined && { temperature }),
+      ...(seed !== undefined && { seed })
+    };
+
+    return this.client.getGenerativeModel({
+      model: this.model,
+      ...(Object.keys(generationConfig).length > 0 && { generationConfig })
+    });
+  }
+
+  async analyze(prompt, images = [], options = {}) {
+    const model = this.getModel(options);
+
+    console.log(`🤖 Sending request to Gemini (${this.model})...`);
+    const result = await model.generateContent(this.toContentParts(prompt, images));
+    const response = await result.response;
+    return response.text();
+  }
+
+  async *analyzeStream(prompt, images = [], options = {}) {
+    const model = this.getModel(options);
+
+    console.log(`🤖 Streaming request to Gemini (${this.model})...`);
+    const result = await model.generateContentStream(this.toContentParts(prompt, images));
+
+    for await (const chunk of result.stream) {
+      const text = chunk.text();
+      if (text) {
+        yield text;
+      }
+    }
+  }
+
+  async healthCheck() {
+    try {
+      const model = this.client.getGenerativeModel({ model: this.model });
+      const result = await model.generateContent('Reply with the single word OK.');
+      const response = await result.response;
+
+      return {
+        status: 'connected',
+        provider: this.name,
+        model: this.model,
+        response: response.text().trim(),
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      console.error('❌ Gemini health check failed:', error.message);
+      return {
+        status: 'error',
+        provider: this.name,
+        model: this.model,
+        error: error.message,
+        timestamp: new Date().toISOString()
+      };
+    }
+  }
+
+  getCapabilities() {
+    return {
+      provider: this.name,
+      model: this.model,
+      multiImage: true,
+      maxImages: 16,
+      streaming: true,
+      jsonOutput: true,
+      supportedMimeTypes: ['image/jpeg', 'image/png', 'image/webp']
+    };
+  }
+}
@@ -0,0 +1,70 @@
+// backend/services/visionProviders/index.js
+/**
+ * Vision Provider Registry
+ * Resolves the active vision model adapter from Firestore config
+ */
+
+import { firestoreConfigService } from '../firestoreConfigService.js';
+import { GeminiVisionProvider } from './geminiProvider.js';
+
+const providerFactories = new Map([
+  ['gemini', (options) => new GeminiVisionProvider(options)]
+]);
+
+let activeProvider = null;
+let activeProviderKey = null;
+
+/**
+ * Register a provider factory under a config name
+ * @param {string} name - Value of aiProvider.name in config
+ * @param {Function} factory - Receives the provider config, returns a VisionProvider
+ */
+export function registerVisionProvider(name, factory) {
+  providerFactories.set(name, factory);
+  resetVisionProvider();
+}
+
+/**
+ * Build a provider instance from a provider config object
+ * @param {Object} providerConfig - { name, model, ...adapter options }
+ * @returns {VisionProvider}
+ */
+export function createVisionProvider(providerConfig = {}) {
+  const { name = 'gemini', ...options } = providerConfig;
+  const factory = providerFactories.get(name);
+
+  if (!factory) {
+    throw new Error(`Unknown vision provider: ${name}`);
+  }
+
+  return factory(options);
+}
+
+/**
+ * Get the provider selected in config, reusing the instance while config is unchanged
+ * @returns {Promise<VisionProvider>}
+ */
+export async function getVisionProvider() {
+  const providerConfig = await firestoreConfigService.getProviderConfig();
+  const key = JSON.stringify(providerConfig);
+
+  if (!activeProvider || activeProviderKey !== key) {
+    activeProvider = createVisionProvider(providerConfig);
+    activeProviderKey = key;
+    console.log(`🔌 Vision provider ready: ${activeProvider.name} (${activeProvider.model})`);
+  }
+
+  return activeProvider;
+}
+
+/**
+ * Drop the cached provider instance
+ */
+export function resetVisionProvider() {
+  activeProvider = null;
+  activeProviderKey = null;
+}
+
+export function getRegisteredProviders() {
+  return [...providerFactories.keys()];
+}
@@ -0,0 +1,65 @@
+// backend/services/visionProviders/visionProvider.js
+/**
+ * Vision Provider Base Class
+ * Contract every vision model adapter implements so routes stay provider-agnostic
+ */
+
+export class VisionProvider {
+  constructor({ name = 'unknown', model = null } = {}) {
+    this.name = name;
+    this.model = model;
+  }
+
+  /**
+   * Analyze images with a text prompt
+   * @param {string} prompt - Instruction text sent alongside the images
+   * @param {Array<{data: string, mimeType: string}>} images - Base64 encoded images
+   * @param {Object} options - { responseFormat: 'text' | 'json', temperature, seed }; providers without a JSON mode
+   *   rely on the prompt, and providers without sampling controls ignore temperature and seed
+   * @returns {Promise<string>} Raw model output text
+   */
+  async analyze(prompt, images, options = {}) {
+    throw new Error(`Vision provider "${this.name}" does not implement analyze()`);
+  }
+
+  /**
+   * Stream analysis text as it is generated
+   * Providers without native streaming yield the full result as one chunk
+   * @param {string} prompt - Instruction text sent alongside the images
+   * @param {Array<{data: string, mimeType: string}>} images - Base64 encoded images
+   * @param {Object} options - Same as analyze()
+   * @returns {AsyncGenerator<string>} Text chunks
+   */
+  async *analyzeStream(prompt, images, options = {}) {
+    yield await this.analyze(prompt, images, options);
+  }
+
+  /**
+   * Probe the provider with a minimal request
+   * @returns {Promise<Object>} Health status
+   */
+  async healthCheck() {
+    return {
+      status: 'unknown',
+      provider: this.name,
+      model: this.model,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Describe what this provider supports
+   * @returns {Object} Capability info
+   */
+  getCapabilities() {
+    return {
+      provider: this.name,
+      model: this.model,
+      multiImage: false,
+      maxImages: 1,
+      streaming: false,
+      jsonOutput: false,
+      supportedMimeTypes: ['image/jpeg']
+    };
+  }
+}
@@ -0,0 +1,226 @@
+// backend/tests/helpers/fakeFirebase.js
+// In-memory stand-ins for the Firebase Admin exports of server.js
+
+const INCREMENT = Symbol('increment');
+const SERVER_TIMESTAMP = Symbol('serverTimestamp');
+
+const applyValue = (current, value) => {
+  if (value && value[INCREMENT] !== undefined) {
+    return (current || 0) + value[INCREMENT];
+  }
+  if (value === SERVER_TIMESTAMP) {
+    return new Date();
+  }
+  return value;
+};
+
+class FakeDocumentSnapshot {
+  constructor(id, data) {
+    this.id = id;
+    this.exists = data !== undefined;
+    this._data = data;
+  }
+
+  data() {
+    return this._data === undefined ? undefined : { ...this._data };
+  }
+}
+
+class FakeDocumentReference {
+  constructor(store, path) {
+    this.store = store;
+    this.path = path;
+    this.id = path.split('/').pop();
+  }
+
+  get parent() {
+    return new FakeCollectionReference(this.store, this.path.slice(0, this.path.lastIndexOf('/')));
+  }
+
+  async get() {
+    return new FakeDocumentSnapshot(this.id, this.store.get(this.path));
+  }
+
+  async set(data, options = {}) {
+    const base = options.merge ? (this.store.get(this.path) || {}) : {};
+    const next = { ...base };
+    for (const [key, value] of Object.entries(data)) {
+      next[key] = applyValue(base[key], value);
+    }
+    this.store.set(this.path, next);
+  }
+
+  async update(data) {
+    if (!this.store.has(this.path)) {
+      throw new Error(`No document to update: ${this.path}`);
+    }
+    await this.set(data, { merge: true });
+  }
+
+  async delete() {
+    this.store.delete(this.path);
+  }
+
+  collection(name) {
+    return new FakeCollectionReference(this.store, `${this.path}/${name}`);
+  }
+}
+
+class FakeQuerySnapshot {
+  constructor(docs) {
+    this.docs = docs;
+    this.size = docs.length;
+    this.empty = docs.length === 0;
+  }
+
+  forEach(callback) {
+    this.docs.forEach(callback);
+  }
+}
+
+const FILTERS = {
+  '==': (left, right) => left === right
+};
+
+// Supports the where/orderBy/limit/startAfter chains the services use
+// Group queries match every collection with the name, at any depth
+class FakeQuery {
+  constructor(store, path, { order = null, max = null, after = null, filters = [], group = false } = {}) {
+    this.store = store;
+    this.path = path;
+    this.options = { order, max, after, filters, group };
+  }
+
+  where(field, op, value) {
+    return new FakeQuery(this.store, this.path, { ...this.options, filters: [...this.options.filters, { field, op, value }] });
+  }
+
+  orderBy(field, direction = 'asc') {
+    return new FakeQuery(this.store, this.path, { ...this.options, order: { field, direction } });
+  }
+
+  limit(max) {
+    return new FakeQuery(this.store, this.path, { ...this.options, max });
+  }
+
+  startAfter(snapshot) {
+    return new FakeQuery(this.store, this.path, { ...this.options, after: snapshot.id });
+  }
+
+  async get() {
+    const { order, max, after, filters, group } = this.options;
+    const inCollection = group
+      ? (path) => path.split('/').length % 2 === 0 && path.split('/').slice(-2)[0] === this.path
+      : (path) => path.startsWith(`${this.path}/`) && !path.slice(this.path.length + 1).includes('/');
+    let docs = [...this.store.entries()]
+      .filter(([path, data]) => inCollection(path) && filters.every(({ field, op, value }) => FILTERS[op](data[field], value)))
+      .map(([path, data]) => Object.assign(new FakeDocumentSnapshot(path.split('/').pop(), data), {
+        ref: new FakeDocumentReference(this.store, path)
+      }));
+
+    if (order) {
+      const sign = order.direction === 'desc' ? -1 : 1;
+      docs.sort((a, b) => {
+        const left = a._data[order.field];
+        const right = b._data[order.field];
+        return left < right ? -sign : left > right ? sign : 0;
+      });
+    }
+    if (after) {
+      docs = docs.slice(docs.findIndex(doc => doc.id === after) + 1);
+    }
+    if (max !== null) {
+      docs = docs.slice(0, max);
+    }
+
+    return new FakeQuerySnapshot(docs);
+  }
+}
+
+class FakeCollectionReference extends FakeQuery {
+  get id() {
+    return this.path.split('/').pop();
+  }
+
+  get parent() {
+    const slash = this.path.lastIndexOf('/');
+    return slash === -1 ? null : new FakeDocumentReference(this.store, this.path.slice(0, slash));
+  }
+
+  doc(id) {
+    return new FakeDocumentReference(this.store, `${this.path}/${id}`);
+  }
+}
+
+// Writes are buffered and applied together once the callback resolves
+class FakeTransaction {
+  constructor() {
+    this.writes = [];
+  }
+
+  async get(ref) {
+    return ref.get();
+  }
+
+  set(ref, data, options) {
+    this.writes.push(() => ref.set(data, options));
+  }
+
+  update(ref, data) {
+    this.writes.push(() => ref.update(data));
+  }
+
+  delete(ref) {
+    this.writes.push(() => ref.delete());
+  }
+
+  async commit() {
+    for (const write of this.writes) {
+      await write();
+    }
+  }
+}
+
+export function createFakeFirebase() {
+  const store = new Map();
+  // Transactions run one at a time, like Firestore's serializable isolation
+  let transactionQueue = Promise.resolve();
+
+  const db = {
+    store,
+    doc: (path) => new FakeDocumentReference(store, path),
+    collection: (name) => new FakeCollectionReference(store, name),
+    collectionGroup: (name) => new FakeQuery(store, name, { group: true }),
+    runTransaction: (updateFunction) => {
+      const run = transactionQueue.then(async () => {
+        const transaction = new FakeTransaction();
+        const result = await updateFunction(transaction);
+        await transaction.commit();
+        return result;
+      });
+      transactionQueue = run.catch(() => {});
+      return run;
+    }
+  };
+
+  const firestore = () => db;
+  firestore.FieldValue = {
+    increment: (n) => ({ [INCREMENT]: n }),
+    serverTimestamp: () => SERVER_TIMESTAMP
+  };
+  firestore.Timestamp = {
+    fromDate: (date) => date
+  };
+
+  const admin = { firestore };
+
+  // Tokens are "<uid>" or "<uid>:<sign_in_provider>"
+  const auth = {
+    verifyIdToken: async (token) => {
+      const [uid, provider = 'password'] = token.split(':');
+      return { uid, firebase: { sign_in_provider: provider } };
+    }
+  };
+
+  return { db, admin, auth };
+}
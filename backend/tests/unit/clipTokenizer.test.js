@@ -0,0 +1,21 @@
+import { countClipTokens, CLIP_CHUNK_SIZE } from '../../utils/clipTokenizer.js'
+
+describe('CLIP token counting', () => {
+  it('counts BPE tokens and ignores emphasis syntax', () => {
+    expect(countClipTokens('a fox in the snow, watercolor').count).toBe(7)
+    // Weights and brackets change attention, not the token count
+    expect(countClipTokens('(a fox:1.3) in the [snow]').count).toBe(countClipTokens('a fox in the snow').count)
+    expect(countClipTokens('').count).toBe(0)
+  })
+
+  it('reports where each 75-token chunk starts and ends', () => {
+    const text = Array.from({ length: 100 }, () => 'fox').join(' ')
+    const { count, chunks } = countClipTokens(text)
+
+    expect(count).toBe(100)
+    expect(chunks.map(chunk => chunk.tokens)).toEqual([CLIP_CHUNK_SIZE, 25])
+    expect(chunks[0]).toMatchObject({ start: 0, end: 75 * 4 - 1 })
+    expect(chunks[1].start).toBe(75 * 4)
+    expect(chunks[1].end).toBe(text.length)
+  })
+})
@@ -0,0 +1,68 @@
+import { jest } from '@jest/globals'
+import { createFakeFirebase } from '../helpers/fakeFirebase.js'
+
+const firebase = createFakeFirebase()
+jest.unstable_mockModule('../../server.js', () => firebase)
+
+const { pickVariant, validateExperiment, experimentService } = await import('../../services/experimentService.js')
+
+describe('Experiment variant assignment', () => {
+  const variants = [{ id: 'control', weight: 80 }, { id: 'candidate', weight: 20 }]
+
+  it('keeps each user in the same variant and follows the weights', () => {
+    const uids = Array.from({ length: 2000 }, (_, index) => `user-${index}`)
+    const assigned = uids.map(uid => pickVariant(variants, uid, 'exp-1').id)
+
+    expect(uids.map(uid => pickVariant(variants, uid, 'exp-1').id)).toEqual(assigned)
+    const candidateShare = assigned.filter(id => id === 'candidate').length / uids.length
+    expect(candidateShare).toBeGreaterThan(0.15)
+    expect(candidateShare).toBeLessThan(0.25)
+  })
+
+  it('splits users independently per experiment', () => {
+    const uids = Array.from({ length: 200 }, (_, index) => `user-${index}`)
+    const first = uids.map(uid => pickVariant(variants, uid, 'exp-1').id)
+    const second = uids.map(uid => pickVariant(variants, uid, 'exp-2').id)
+
+    expect(second).not.toEqual(first)
+  })
+
+  it('rejects incomplete experiment definitions', () => {
+    expect(validateExperiment({
+      goal: 'copy_image',
+      engine: 'midjourney',
+      variants: [{ id: 'a', weight: 1 }, { id: 'b', weight: 1, version: 2 }]
+    })).toEqual([])
+
+    expect(validateExperiment({
+      goal: 'copy_image',
+      engine: 'midjourney',
+      variants: [{ id: 'a', weight: 0 }, { id: 'a', weight: 1, version: 1.5 }]
+    })).toEqual([
+      'variant 1 needs a positive weight',
+      'variant id "a" is used twice',
+      'variant 2 version must be a positive integer or null for the active template'
+    ])
+  })
+
+  it('leaves variants with an invalid template out of assignment', async () => {
+    const versions = firebase.db.collection('promptTemplates').doc('copy_image__midjourney').collection('versions')
+    await versions.doc('v1').set({ version: 1, body: 'Describe {{imageCount}} image.' })
+    // Written before templates were validated on save
+    await versions.doc('v2').set({ version: 2, body: 'Describe the image.{{#multipleImages}} Compare them.' })
+    await firebase.db.collection('experiments').doc('exp-invalid').set({
+      goal: 'copy_image',
+      engine: 'midjourney',
+      status: 'running',
+      variants: [{ id: 'control', version: null, weight: 1 }, { id: 'valid', version: 1, weight: 1 }, { id: 'broken', version: 2, weight: 1 }]
+    })
+    experimentService.refreshCache()
+
+    const uids = Array.from({ length: 60 }, (_, index) => `user-${index}`)
+    const resolved = await Promise.all(uids.map(uid => experimentService.resolveTemplate('copy_image', 'midjourney', uid)))
+    const assigned = new Set(resolved.map(template => template.experiment.variant))
+
+    expect([...assigned].sort()).toEqual(['control', 'valid'])
+    expect(resolved.find(template => template.experiment.variant === 'valid')).toMatchObject({ version: 1, body: 'Describe {{imageCount}} image.' })
+  })
+})
@@ -0,0 +1,202 @@
+import { jest } from '@jest/globals'
+import { createFakeFirebase } from '../helpers/fakeFirebase.js'
+
+const firebase = createFakeFirebase()
+jest.unstable_mockModule('../../server.js', () => firebase)
+
+const { firestoreConfigService } = await import('../../services/firestoreConfigService.js')
+
+// Usage counters whose windows all started an hour ago and end in an hour
+const currentWindows = (fields) => {
+  const hourAgo = new Date(Date.now() - 60 * 60 * 1000)
+  const inAnHour = new Date(Date.now() + 60 * 60 * 1000)
+  return {
+    lastDailyReset: hourAgo,
+    lastWeeklyReset: hourAgo,
+    lastMonthlyReset: hourAgo,
+    dailyResetAt: inAnHour,
+    weeklyResetAt: inAnHour,
+    monthlyResetAt: inAnHour,
+    ...fields
+  }
+}
+
+describe('Firestore config service usage windows', () => {
+  const schedule = { resetHour: 6, resetDay: 1, resetDate: 31 }
+
+  it('finds the current window start relative to the reset hour', () => {
+    const beforeReset = new Date('2024-03-13T05:00:00Z')
+    const afterReset = new Date('2024-03-13T07:00:00Z')
+
+    expect(firestoreConfigService.getWindowStart('daily', beforeReset, schedule).toISOString()).toBe('2024-03-12T06:00:00.000Z')
+    expect(firestoreConfigService.getWindowStart('daily', afterReset, schedule).toISOString()).toBe('2024-03-13T06:00:00.000Z')
+    // 2024-03-13 is a Wednesday, the week started on Monday the 11th
+    expect(firestoreConfigService.getWindowStart('weekly', afterReset, schedule).toISOString()).toBe('2024-03-11T06:00:00.000Z')
+  })
+
+  it('clamps the monthly reset date to short months', () => {
+    const now = new Date('2024-03-13T07:00:00Z')
+
+    expect(firestoreConfigService.getWindowStart('monthly', now, schedule).toISOString()).toBe('2024-02-29T06:00:00.000Z')
+    expect(firestoreConfigService.getNextResetTime('monthly', now, schedule).toISOString()).toBe('2024-03-31T06:00:00.000Z')
+  })
+
+  it('computes boundaries on the user\'s local clock', () => {
+    const tokyo = { resetHour: 0, resetDay: 1, resetDate: 1, timeZone: 'Asia/Tokyo' }
+    // 16:00 UTC on the 13th is already 01:00 on the 14th in Tokyo
+    const now = new Date('2024-03-13T16:00:00Z')
+
+    expect(firestoreConfigService.getWindowStart('daily', now, tokyo).toISOString()).toBe('2024-03-13T15:00:00.000Z')
+    expect(firestoreConfigService.getNextResetTime('daily', now, tokyo).toISOString()).toBe('2024-03-14T15:00:00.000Z')
+    expect(firestoreConfigService.getNextResetTime('monthly', now, tokyo).toISOString()).toBe('2024-03-31T15:00:00.000Z')
+  })
+
+  it('keeps local midnight across a daylight saving change', () => {
+    const newYork = { resetHour: 0, resetDay: 1, resetDate: 1, timeZone: 'America/New_York' }
+    // Clocks go forward on 2024-03-10, so midnight moves from UTC-5 to UTC-4
+    const now = new Date('2024-03-09T12:00:00Z')
+
+    expect(firestoreConfigService.getNextResetTime('daily', now, newYork).toISOString()).toBe('2024-03-10T05:00:00.000Z')
+    expect(firestoreConfigService.getNextResetTime('daily', new Date('2024-03-10T12:00:00Z'), newYork).toISOString()).toBe('2024-03-11T04:00:00.000Z')
+  })
+
+  it('reports localized reset timestamps and falls back to UTC for unknown zones', () => {
+    const config = firestoreConfigService.getDefaultConfig()
+    const now = new Date('2024-03-13T16:00:00Z')
+
+    const tokyoLimits = firestoreConfigService.resolveLimits({ tier: 'free', timeZone: 'Asia/Tokyo' }, config)
+    const tokyo = firestoreConfigService.evaluateLimits({}, tokyoLimits, now)
+    expect(tokyo.timeZone).toBe('Asia/Tokyo')
+    expect(tokyo.windows.daily.resetTimeLocal).toBe('2024-03-15T00:00:00+09:00')
+
+    const bogusLimits = firestoreConfigService.resolveLimits({ tier: 'free', timeZone: 'Mars/Olympus' }, config)
+    expect(bogusLimits.resetSchedule.timeZone).toBe('UTC')
+  })
+
+  it('prices multi-engine requests by the configured cost rule', () => {
+    const perEngine = firestoreConfigService.getDefaultConfig()
+    const bundle = { multiEngine: { costRule: 'bundle', bundleUnits: 2 } }
+
+    expect(firestoreConfigService.getAnalysisCost(perEngine, 1)).toBe(1)
+    expect(firestoreConfigService.getAnalysisCost(perEngine, 3)).toBe(3)
+    expect(firestoreConfigService.getAnalysisCost(bundle, 2)).toBe(2)
+    expect(firestoreConfigService.getAnalysisCost(bundle, 3)).toBe(2)
+  })
+
+  it('prices refinement turns by the tier cost rule', () => {
+    const defaults = firestoreConfigService.getDefaultConfig()
+    const perTurn = { refinement: { costRule: 'per_turn' }, tiers: { pro: { refinement: { maxTurns: 5 } } } }
+
+    expect(firestoreConfigService.getRefinementCost(defaults, 'free', 1)).toBe(0)
+    expect(firestoreConfigService.getRefinementCost(defaults, 'free', 2)).toBe(1)
+    expect(firestoreConfigService.getRefinementCost(defaults, 'pro', 5)).toBe(0)
+    expect(firestoreConfigService.getRefinementCost(defaults, 'admin', 40)).toBe(0)
+    expect(firestoreConfigService.getRefinementCost(perTurn, 'pro', 1)).toBe(1)
+    expect(firestoreConfigService.getRefinementConfig(perTurn, 'pro')).toEqual({ costRule: 'per_turn', freeTurns: 2, maxTurns: 5 })
+  })
+
+  it('lets signed-in users on tiers with refinement turns refine', () => {
+    const defaults = firestoreConfigService.getDefaultConfig()
+    const noFreeRefinement = { ...defaults, tiers: { ...defaults.tiers, free: { ...defaults.tiers.free, refinement: { maxTurns: 0 } } } }
+
+    expect(firestoreConfigService.canRefine(defaults, 'free')).toBe(true)
+    expect(firestoreConfigService.canRefine(defaults, 'free', { isAnonymous: true })).toBe(false)
+    expect(firestoreConfigService.canRefine(noFreeRefinement, 'free')).toBe(false)
+    expect(firestoreConfigService.canRefine(noFreeRefinement, 'pro')).toBe(true)
+  })
+
+  it('resets only the windows whose boundary has passed', () => {
+    const now = new Date('2024-03-13T07:00:00Z')
+    const userData = {
+      dailyUsage: 2,
+      weeklyUsage: 5,
+      monthlyUsage: 9,
+      lastDailyReset: new Date('2024-03-12T23:00:00Z'),
+      lastWeeklyReset: new Date('2024-03-11T08:00:00Z'),
+      lastMonthlyReset: new Date('2024-03-01T00:00:00Z')
+    }
+
+    const { userData: rolled, updates } = firestoreConfigService.applyWindowResets(userData, schedule, now)
+
+    // Weekly and monthly only get the end of their current window stored
+    expect(Object.keys(updates).sort()).toEqual(['dailyResetAt', 'dailyUsage', 'lastDailyReset', 'monthlyResetAt', 'weeklyResetAt'])
+    expect(rolled).toMatchObject({ dailyUsage: 0, weeklyUsage: 5, monthlyUsage: 9 })
+    expect(updates.dailyResetAt.toISOString()).toBe('2024-03-14T06:00:00.000Z')
+    expect(updates.weeklyResetAt.toISOString()).toBe('2024-03-18T06:00:00.000Z')
+  })
+
+  it('keeps a window\'s end when the time zone changes mid-window', () => {
+    const utc = { resetHour: 0, resetDay: 1, resetDate: 1, timeZone: 'UTC' }
+    const tokyo = { ...utc, timeZone: 'Asia/Tokyo' }
+    const losAngeles = { ...utc, timeZone: 'America/Los_Angeles' }
+    const start = new Date('2024-03-13T01:00:00Z')
+    let { userData } = firestoreConfigService.applyWindowResets({}, utc, start)
+    userData = { ...userData, dailyUsage: 3, weeklyUsage: 3, monthlyUsage: 3 }
+
+    // 16:00 UTC is already the next day in Tokyo, but the UTC day started at 01:00 is still running
+    const afternoon = new Date('2024-03-13T16:00:00Z')
+    const inTokyo = firestoreConfigService.applyWindowResets(userData, tokyo, afternoon)
+    expect(inTokyo.updates).toEqual({})
+    expect(inTokyo.userData.dailyUsage).toBe(3)
+
+    // Moving back west doesn't start a new day either
+    expect(firestoreConfigService.applyWindowResets(userData, losAngeles, afternoon).updates).toEqual({})
+
+    // At the UTC boundary the next day is counted on the new clock, but never shorter than a day:
+    // Tokyo's next midnight is only 15 hours away, so that day runs to the one after
+    const midnight = new Date('2024-03-14T00:00:00Z')
+    const rolled = firestoreConfigService.applyWindowResets(userData, tokyo, midnight)
+    expect(rolled.userData.dailyUsage).toBe(0)
+    expect(rolled.updates.dailyResetAt.toISOString()).toBe('2024-03-15T15:00:00.000Z')
+    expect(rolled.userData.weeklyUsage).toBe(3)
+
+    const limits = { ...firestoreConfigService.resolveLimits({}, firestoreConfigService.getDefaultConfig()), resetSchedule: tokyo }
+    const evaluation = firestoreConfigService.evaluateLimits(userData, limits, afternoon)
+    expect(evaluation.windows.daily).toMatchObject({ used: 3, resetTime: '2024-03-14T00:00:00.000Z' })
+  })
+
+  it('refunds a released reservation only to the windows it was counted in', async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {})
+    const hour = 60 * 60 * 1000
+    const now = Date.now()
+    const userRef = firebase.db.collection('users').doc('user-1')
+    // Reserved yesterday; the day has rolled over since, the week and month have not
+    await userRef.set({
+      dailyUsage: 2,
+      weeklyUsage: 4,
+      monthlyUsage: 6,
+      lastDailyReset: new Date(now - 30 * hour),
+      lastWeeklyReset: new Date(now - 30 * hour),
+      lastMonthlyReset: new Date(now - 30 * hour),
+      dailyResetAt: new Date(now - 2 * hour),
+      weeklyResetAt: new Date(now + 24 * hour),
+      monthlyResetAt: new Date(now + 24 * hour)
+    })
+    await userRef.collection('usageReservations').doc('reservation-1').set({
+      status: 'reserved',
+      units: 1,
+      createdAt: new Date(now - 26 * hour)
+    })
+
+    expect(await firestoreConfigService.releaseUsage('user-1', 'reservation-1')).toBe(true)
+
+    const userData = (await userRef.get()).data()
+    expect(userData).toMatchObject({ dailyUsage: 0, weeklyUsage: 3, monthlyUsage: 5 })
+    expect(userData.lastDailyReset.getTime()).toBeGreaterThan(now - hour)
+    expect((await userRef.collection('usageReservations').doc('reservation-1').get()).exists).toBe(false)
+  })
+
+  it('releases reservations left behind by a restart at startup', async () => {
+    const minute = 60 * 1000
+    const reservations = (uid) => firebase.db.collection('users').doc(uid).collection('usageReservations')
+    await firebase.db.collection('users').doc('user-2').set(currentWindows({ dailyUsage: 3, weeklyUsage: 3, monthlyUsage: 3 }))
+    await reservations('user-2').doc('lost').set({ status: 'reserved', units: 2, createdAt: new Date(Date.now() - 30 * minute) })
+    await reservations('user-2').doc('running').set({ status: 'reserved', units: 1, createdAt: new Date(Date.now() - minute) })
+
+    expect(await firestoreConfigService.releaseStaleReservations(15 * minute)).toBe(1)
+
+    expect((await firebase.db.collection('users').doc('user-2').get()).data()).toMatchObject({ dailyUsage: 1, weeklyUsage: 1, monthlyUsage: 1 })
+    expect((await reservations('user-2').doc('lost').get()).exists).toBe(false)
+    expect((await reservations('user-2').doc('running').get()).exists).toBe(true)
+  })
+})
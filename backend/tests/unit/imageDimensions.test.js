@@ -0,0 +1,38 @@
+import sharp from 'sharp'
+import os from 'os'
+import path from 'path'
+import fs from 'fs/promises'
+import { closestRatio, readImageDimensions, mapDimensionsToEngines } from '../../utils/imageDimensions.js'
+
+describe('Source image dimensions', () => {
+  it('snaps ratios to the nearest candidate on a log scale', () => {
+    expect(closestRatio(1920 / 1080, ['1:1', '4:3', '16:9'])).toBe('16:9')
+    expect(closestRatio(1, ['2:1', '1:1', '1:2'])).toBe('1:1')
+    expect(closestRatio(3000 / 2000, ['1024x1024', '1792x1024', '1024x1792'])).toBe('1792x1024')
+  })
+
+  it('reads upright dimensions, swapping them for rotated EXIF orientations', async () => {
+    const filePath = path.join(os.tmpdir(), `dimensions-${process.pid}.jpg`)
+    await sharp({ create: { width: 120, height: 80, channels: 3, background: '#00ff00' } })
+      .jpeg()
+      .withMetadata({ orientation: 6 })
+      .toFile(filePath)
+
+    try {
+      expect(await readImageDimensions(filePath)).toEqual({ width: 80, height: 120, orientation: 'portrait' })
+    } finally {
+      await fs.unlink(filePath)
+    }
+  })
+
+  it('maps dimensions to every engine', () => {
+    expect(mapDimensionsToEngines({ width: 1920, height: 1080 })).toEqual({
+      midjourney: { aspectRatio: '16:9' },
+      dalle: { size: '1792x1024' },
+      stable_diffusion: { size: '1344x768' },
+      gemini_imagen: { aspectRatio: '16:9' },
+      flux: { aspectRatio: '16:9' },
+      leonardo: { aspectRatio: '16:9' }
+    })
+  })
+})
@@ -0,0 +1,53 @@
+import sharp from 'sharp'
+import os from 'os'
+import path from 'path'
+import fs from 'fs/promises'
+import {
+  quantizePixels,
+  summarizeBuckets,
+  extractPalette,
+  formatPaletteForPrompt
+} from '../../utils/paletteExtractor.js'
+
+// RGBA buffer from [r, g, b, a] pixels
+const rgba = (...pixels) => Buffer.from(pixels.flat())
+
+describe('Palette extraction', () => {
+  it('merges near colors, skips transparent pixels and orders by share', () => {
+    const buckets = quantizePixels(rgba(
+      [250, 10, 10, 255],
+      [240, 20, 20, 255],
+      [10, 10, 250, 255],
+      [0, 255, 0, 0]
+    ))
+
+    expect(summarizeBuckets(buckets)).toEqual([
+      { hex: '#f50f0f', proportion: 0.667 },
+      { hex: '#0a0afa', proportion: 0.333 }
+    ])
+    expect(summarizeBuckets(buckets, 1)).toHaveLength(1)
+  })
+
+  it('extracts the same palette from image files every time', async () => {
+    // 12 red pixels next to 4 blue ones
+    const pixels = Buffer.alloc(4 * 4 * 3)
+    for (let index = 0; index < 16; index += 1) {
+      pixels.set(index % 4 === 3 ? [0, 0, 255] : [255, 0, 0], index * 3)
+    }
+    const filePath = path.join(os.tmpdir(), `palette-${process.pid}.png`)
+    await sharp(pixels, { raw: { width: 4, height: 4, channels: 3 } }).png().toFile(filePath)
+
+    try {
+      const palette = await extractPalette([filePath])
+      expect(palette).toEqual([
+        { hex: '#ff0000', proportion: 0.75 },
+        { hex: '#0000ff', proportion: 0.25 }
+      ])
+      expect(await extractPalette([filePath])).toEqual(palette)
+      expect(formatPaletteForPrompt(palette)).toContain('#ff0000 (75%), #0000ff (25%)')
+      expect(formatPaletteForPrompt([])).toBe('')
+    } finally {
+      await fs.unlink(filePath)
+    }
+  })
+})
@@ -0,0 +1,38 @@
+import { compressStructuredPrompt, parseTokenBudget } from '../../utils/promptCompression.js'
+
+describe('Token budget compression', () => {
+  const structured = {
+    subject: 'a red fox, sitting',
+    style: 'watercolor, loose brushwork',
+    lighting: 'soft morning light',
+    camera: '85mm lens, shallow depth of field',
+    palette: ['white', 'orange']
+  }
+  // One "token" per comma-separated term keeps the expectations readable
+  const measure = (candidate) => ['subject', 'style', 'lighting', 'camera']
+    .reduce((total, field) => total + candidate[field].split(',').filter(term => term.trim()).length, candidate.palette.length)
+
+  it('drops low-priority terms before touching subject and style', () => {
+    const result = compressStructuredPrompt(structured, 6, measure)
+
+    expect(result).toMatchObject({ compressed: true, count: 6, originalCount: 9 })
+    expect(result.structured.camera).toBe('')
+    expect(result.structured.palette).toEqual(['white'])
+    expect(result.structured.style).toBe(structured.style)
+    expect(result.structured.subject).toBe(structured.subject)
+  })
+
+  it('keeps the first subject term even when the budget cannot be met', () => {
+    const result = compressStructuredPrompt(structured, 1, measure)
+    expect(result.structured.subject).toBe('a red fox')
+    expect(result.structured.style).toBe('')
+    expect(compressStructuredPrompt(structured, 20, measure)).toMatchObject({ compressed: false, structured })
+  })
+
+  it('accepts whole-number budgets in range', () => {
+    expect(parseTokenBudget(undefined)).toEqual({ value: null, error: null })
+    expect(parseTokenBudget('75')).toEqual({ value: 75, error: null })
+    expect(parseTokenBudget(5).error).toContain('whole number')
+    expect(parseTokenBudget('7.5').value).toBeNull()
+  })
+})
@@ -0,0 +1,57 @@
+import { jest } from '@jest/globals'
+
+const { default: promptLoader } = await import('../../utils/promptLoader.js')
+
+describe('Prompt loader', () => {
+  const savedEnv = { ...process.env }
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {})
+    jest.spyOn(console, 'warn').mockImplementation(() => {})
+  })
+
+  afterEach(() => {
+    process.env = { ...savedEnv }
+    promptLoader.reload()
+  })
+
+  it('fills goals the environment leaves out with their own default prompts', () => {
+    // RENDER switches to the production path; without a secret file it reads PROMPT_* variables
+    process.env.RENDER = 'true'
+    process.env.PROMPT_COPY_IMAGE_MIDJOURNEY = 'Configured copy image prompt'
+    promptLoader.reload()
+
+    expect(promptLoader.source).toBe('environment')
+    expect(promptLoader.getPrompt('copy_image', 'midjourney')).toBe('Configured copy image prompt')
+    expect(promptLoader.getPrompt('copy_character', 'midjourney')).toContain('main character')
+    expect(promptLoader.defaulted).toContain('PROMPT_COPY_CHARACTER_MIDJOURNEY')
+    expect(promptLoader.defaulted).not.toContain('PROMPT_COPY_IMAGE_MIDJOURNEY')
+
+    const diagnostics = promptLoader.getDiagnostics(['copy_image', 'copy_character'], ['midjourney'])
+    expect(diagnostics.status).toBe('warning')
+    expect(diagnostics.missing).toEqual([])
+  })
+
+  it('gives find_common_features its own prompts when a prompts file predates the goal', () => {
+    promptLoader.prompts = {}
+    promptLoader.source = 'prompts_env_file'
+    promptLoader.parsePromptsContent('PROMPT_COPY_IMAGE_FLUX="Configured flux prompt"\nPROMPT_COPY_STYLE_FLUX="Configured style prompt"')
+    promptLoader.mergeDefaultPrompts()
+
+    expect(promptLoader.getPrompt('copy_image', 'flux')).toBe('Configured flux prompt')
+    expect(promptLoader.getPrompt('find_common_features', 'flux')).toMatch(/^Compare these \{\{imageCount\}\} images/)
+    expect(promptLoader.defaulted).toContain('PROMPT_FIND_COMMON_FEATURES_FLUX')
+  })
+
+  it('throws for a goal without a prompt instead of using another goal\'s prompt', () => {
+    expect(() => promptLoader.getPrompt('unknown_goal', 'midjourney')).toThrow('Prompt not found: PROMPT_UNKNOWN_GOAL_MIDJOURNEY')
+
+    let error
+    try {
+      promptLoader.getPrompt('unknown_goal', 'midjourney')
+    } catch (caught) {
+      error = caught
+    }
+    expect(error.code).toBe('PROMPT_NOT_FOUND')
+  })
+})
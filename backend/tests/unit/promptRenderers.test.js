@@ -0,0 +1,73 @@
+import {
+  validateEngineParams,
+  resolveEngineParams,
+  renderPrompt,
+  renderPromptPair,
+  getRendererMetadata
+} from '../../utils/promptRenderers.js'
+
+describe('Engine prompt renderers', () => {
+  const structured = {
+    subject: 'a fox (red) in the snow',
+    style: 'watercolor',
+    lighting: 'soft morning light',
+    composition: '',
+    camera: '',
+    palette: ['white', 'orange'],
+    negativePrompt: 'blurry',
+    parameters: { aspectRatio: '3:2', stylize: 'lots', cfg: 7 }
+  }
+
+  it('renders each engine in its own format', () => {
+    expect(renderPrompt(structured, 'midjourney').prompt)
+      .toBe('a fox (red) in the snow, watercolor, soft morning light, color palette of white, orange --ar 3:2 --no blurry')
+    expect(renderPrompt(structured, 'stable_diffusion').prompt)
+      .toBe('a fox (red) in the snow, watercolor, soft morning light, color palette of white, orange\nNegative prompt: blurry')
+    expect(renderPrompt(structured, 'flux').prompt)
+      .toBe('a fox (red) in the snow, watercolor, soft morning light, color palette of white, orange. Avoid: blurry.\nAspect ratio: 3:2')
+    expect(renderPrompt(structured, 'dalle', { size: '1792x1024' }).prompt).toBe(
+      'A fox (red) in the snow. The style is watercolor. The lighting is soft morning light. ' +
+      'The color palette features white and orange. Avoid blurry. Compose it as a wide landscape image (1792x1024).'
+    )
+  })
+
+  it('applies user parameters over the model suggestions', () => {
+    const { prompt, params } = renderPrompt(structured, 'midjourney', { aspectRatio: null, stylize: 250, version: '6.1' })
+    expect(params).toEqual({ stylize: 250, version: '6.1' })
+    expect(prompt).toMatch(/orange --s 250 --v 6\.1 --no blurry$/)
+    expect(renderPrompt(structured, 'midjourney', { aspectRatio: null, version: 'niji 6' }).prompt)
+      .toMatch(/orange --niji 6 --no blurry$/)
+
+    const sd = renderPrompt(structured, 'stable_diffusion', { subjectWeight: 1.2, steps: 30, cfgScale: 7, sampler: 'Euler a' })
+    expect(sd.prompt).toBe(
+      '(a fox \\(red\\) in the snow:1.2), watercolor, soft morning light, color palette of white, orange\n' +
+      'Negative prompt: blurry\n' +
+      'Steps: 30, Sampler: Euler a, CFG scale: 7'
+    )
+  })
+
+  it('validates parameters against the engine schema', () => {
+    expect(validateEngineParams('stable_diffusion', { steps: '30', sampler: null })).toEqual({
+      value: { steps: 30, sampler: null },
+      errors: []
+    })
+    expect(validateEngineParams('midjourney', { stylize: 5000, aspectRatio: 'wide', cfgScale: 7 }).errors).toEqual([
+      '"stylize" must be between 0 and 1000',
+      '"aspectRatio" must be a ratio like 16:9',
+      '"cfgScale" is not a midjourney parameter'
+    ])
+    // Unknown or out-of-schema model suggestions are dropped
+    expect(resolveEngineParams('midjourney', structured.parameters)).toEqual({ aspectRatio: '3:2' })
+  })
+  it('splits the negative prompt out and adds common exclusions', () => {
+    const params = { aspectRatio: '3:2' }
+    expect(renderPromptPair(structured, 'leonardo', params)).toEqual({
+      prompt: 'a fox (red) in the snow, watercolor, soft morning light, color palette of white, orange\nAspect ratio: 3:2',
+      negativePrompt: 'blurry, watermark, text, bad anatomy, extra limbs, deformed, oversaturated'
+    })
+    // Flux writes its exclusions into the prompt, so it has no common ones
+    expect(getRendererMetadata('flux').commonNegatives).toEqual([])
+    expect(renderPromptPair({ ...structured, negativePrompt: 'Watermark, , cars' }, 'leonardo').negativePrompt)
+      .toBe('Watermark, cars, blurry, text, bad anatomy, extra limbs, deformed, oversaturated')
+  })
+})
@@ -0,0 +1,42 @@
+import {
+  validateTemplate,
+  renderTemplate,
+  composeTemplate
+} from '../../utils/promptTemplate.js'
+
+describe('Prompt template variables', () => {
+  it('renders variables and keeps sections only when their value is set', () => {
+    const body = 'Recreate {{#multipleImages}}these {{imageCount}} images{{/multipleImages}}{{^multipleImages}}this image{{/multipleImages}}.\n\n{{#aspectRatio}}Framing: {{aspectRatio}}.{{/aspectRatio}}\n\n\nDone.'
+
+    expect(renderTemplate(body, { imageCount: 3, multipleImages: true, aspectRatio: '' }))
+      .toBe('Recreate these 3 images.\n\nDone.')
+    expect(renderTemplate(body, { imageCount: 1, multipleImages: false, aspectRatio: '16:9' }))
+      .toBe('Recreate this image.\n\nFraming: 16:9.\n\nDone.')
+  })
+
+  it('reports unknown variables and broken sections', () => {
+    expect(validateTemplate('Describe {{ imageCount }} images in {{language}}.')).toEqual([])
+    expect(validateTemplate('   ')).toEqual(['template is empty'])
+
+    const errors = validateTemplate('{{#userFocus}}{{focus}}{{/palette}} {{image-count}}')
+    expect(errors).toContain('"{{/palette}}" does not close an open section')
+    expect(errors).toContain('malformed tag "{{image-count}}"')
+    expect(errors).toContain('section "userFocus" is never closed')
+    expect(errors.find(error => error.startsWith('unknown variable "focus"'))).toBeDefined()
+  })
+
+  it('adds fallback sections for set values the template does not place', () => {
+    const sections = composeTemplate('Describe the image for {{userFocus}}.', {
+      userFocus: 'a poster',
+      language: 'French',
+      palette: '',
+      maxLength: 1500
+    })
+
+    expect(sections).toEqual([
+      'Describe the image for a poster.',
+      'Write every text field in French.',
+      'Keep the finished prompt under 1500 characters.'
+    ])
+  })
+})
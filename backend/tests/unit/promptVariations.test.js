@@ -0,0 +1,24 @@
+import {
+  parseVariationCount,
+  planVariations,
+  MAX_VARIATIONS
+} from '../../utils/promptVariations.js'
+
+describe('Prompt variations', () => {
+  it('accepts whole numbers from 1 to the maximum', () => {
+    expect(parseVariationCount(undefined)).toEqual({ value: 1, error: null })
+    expect(parseVariationCount('3')).toEqual({ value: 3, error: null })
+    expect(parseVariationCount(MAX_VARIATIONS + 1).value).toBeNull()
+    expect(parseVariationCount('2.5').error).toContain('whole number')
+    expect(parseVariationCount(0).value).toBeNull()
+  })
+
+  it('cycles through the emphases with a fresh seed for every variation', () => {
+    const variations = planVariations(5)
+
+    expect(variations.map(variation => variation.id)).toEqual(['faithful', 'stylized', 'minimal', 'detailed', 'faithful_2'])
+    expect(variations[4]).toMatchObject({ emphasis: 'faithful', label: 'Faithful 2', temperature: 0.7 })
+    expect(new Set(variations.map(variation => variation.seed)).size).toBe(5)
+    variations.forEach(({ seed }) => expect(Number.isInteger(seed)).toBe(true))
+  })
+})
@@ -0,0 +1,51 @@
+import {
+  parseStructuredPrompt,
+  validateStructuredPrompt,
+  extractCompletedFields
+} from '../../utils/structuredPrompt.js'
+
+describe('Structured prompt output', () => {
+  it('parses JSON wrapped in code fences and fills missing fields', () => {
+    const { value, errors } = parseStructuredPrompt('```json\n{"subject": " a fox ", "palette": "white, orange"}\n```')
+
+    expect(errors).toEqual([])
+    expect(value).toEqual({
+      subject: 'a fox',
+      pose: '',
+      background: '',
+      style: '',
+      lighting: '',
+      composition: '',
+      camera: '',
+      negativePrompt: '',
+      palette: ['white', 'orange'],
+      differences: [],
+      parameters: {}
+    })
+  })
+
+  it('reports every schema problem', () => {
+    const { value, errors } = validateStructuredPrompt({
+      subject: '',
+      style: ['watercolor'],
+      palette: [1],
+      parameters: { seed: { value: 1 } }
+    })
+
+    expect(value).toBeNull()
+    expect(errors).toEqual([
+      '"style" must be a string',
+      '"subject" is required',
+      '"palette" must be an array of strings',
+      '"parameters" values must be strings or numbers (seed)'
+    ])
+    expect(parseStructuredPrompt('no json here').errors).toEqual(['Response did not contain a JSON object'])
+    expect(validateStructuredPrompt({ subject: 'a fox', differences: ['snow'] }, { differenceCount: 2 }).errors)
+      .toEqual(['"differences" must have one entry per image (2)'])
+  })
+
+  it('extracts only fields whose values are complete from a partial stream', () => {
+    expect(extractCompletedFields('{"subject": "a \\"red\\" fox", "style": "water'))
+      .toEqual({ subject: 'a "red" fox' })
+  })
+})
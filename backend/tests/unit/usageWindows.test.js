@@ -0,0 +1,55 @@
+import { createRequire } from 'module'
+import * as timeZone from '../../utils/timeZone.js'
+import * as usageWindows from '../../utils/usageWindows.js'
+
+// The Cloud Functions deploy their own CommonJS copy of these modules
+const require = createRequire(import.meta.url)
+const functionsTimeZone = require('../../../functions/timeZone.js')
+const functionsUsageWindows = require('../../../functions/usageWindows.js')
+
+const SCHEDULES = [
+  {},
+  { resetHour: 6, resetDay: 1, resetDate: 1 },
+  { resetHour: 0, resetDay: 0, resetDate: 31, timeZone: 'Asia/Tokyo' },
+  { resetHour: 2, resetDay: 6, resetDate: 15, timeZone: 'America/Los_Angeles' }
+]
+
+// Every 7 hours across the 2024 spring DST change and a leap-year February end
+const INSTANTS = Array.from({ length: 120 }, (_, index) => new Date(Date.UTC(2024, 1, 25) + index * 7 * 60 * 60 * 1000))
+
+describe('Usage window copies', () => {
+  it('export the same functions as the Cloud Functions modules', () => {
+    expect(Object.keys(timeZone).sort()).toEqual(Object.keys(functionsTimeZone).sort())
+    expect(Object.keys(usageWindows).sort()).toEqual(Object.keys(functionsUsageWindows).sort())
+    expect(usageWindows.USAGE_WINDOWS).toEqual(functionsUsageWindows.USAGE_WINDOWS)
+  })
+
+  it('compute the same time zone conversions', () => {
+    for (const zone of ['UTC', 'Asia/Tokyo', 'America/Los_Angeles', 'Australia/Adelaide']) {
+      for (const instant of INSTANTS) {
+        expect(timeZone.formatInTimeZone(instant, zone)).toBe(functionsTimeZone.formatInTimeZone(instant, zone))
+        expect(timeZone.getZonedParts(instant, zone)).toEqual(functionsTimeZone.getZonedParts(instant, zone))
+      }
+    }
+    expect(timeZone.isValidTimeZone('Not/A_Zone')).toBe(functionsTimeZone.isValidTimeZone('Not/A_Zone'))
+  })
+
+  it('compute the same windows and rollovers', () => {
+    for (const schedule of SCHEDULES) {
+      let backendData = {}
+      let functionsData = {}
+      for (const now of INSTANTS) {
+        for (const period of ['daily', 'weekly', 'monthly']) {
+          expect(usageWindows.getWindowStart(period, now, schedule)).toEqual(functionsUsageWindows.getWindowStart(period, now, schedule))
+          expect(usageWindows.getNextResetTime(period, now, schedule)).toEqual(functionsUsageWindows.getNextResetTime(period, now, schedule))
+        }
+
+        const backend = usageWindows.applyWindowResets({ ...backendData, dailyUsage: 1 }, schedule, now)
+        const functions = functionsUsageWindows.applyWindowResets({ ...functionsData, dailyUsage: 1 }, schedule, now)
+        expect(backend.updates).toEqual(functions.updates)
+        backendData = backend.userData
+        functionsData = functions.userData
+      }
+    }
+  })
+})
@@ -0,0 +1,69 @@
+// backend/utils/clipTokenizer.js
+/**
+ * CLIP token counting
+ * Stable Diffusion 1.5 and SDXL read prompts through CLIP's BPE tokenizer in
+ * chunks of 77 tokens, two of which are start/end markers. Depending on the UI,
+ * text past a chunk's 75 usable tokens is cut off or pushed into another chunk,
+ * so counts are reported together with where each chunk starts and ends
+ */
+
+import ClipTokenizer from 'clip-bpe-js';
+
+// Usable tokens per chunk, without the start and end markers
+export const CLIP_CHUNK_SIZE = 75;
+
+let tokenizer = null;
+
+// Loading the 49k BPE merges takes a moment, so it waits for the first count
+function getTokenizer() {
+  if (!tokenizer) {
+    tokenizer = new ClipTokenizer();
+  }
+  return tokenizer;
+}
+
+// Emphasis syntax such as "(subject:1.3)" sets weights and is not tokenized;
+// it is blanked out rather than removed so character offsets stay valid
+function maskEmphasis(text) {
+  const chars = text
+    .replace(/:\s*\d+(?:\.\d+)?(?=\s*\))/g, weight => ' '.repeat(weight.length))
+    .split('');
+
+  for (let i = 0; i < chars.length; i++) {
+    if (chars[i] === '\\' && '()[]'.includes(chars[i + 1] ?? '')) {
+      chars[i] = ' ';
+      i++;
+    } else if ('()[]'.includes(chars[i])) {
+      chars[i] = ' ';
+    }
+  }
+  return chars.join('');
+}
+
+/**
+ * Count the CLIP tokens of a prompt and locate its chunks
+ * @param {string} text - Prompt text as pasted into the engine
+ * @returns {Object} { count, chunks } - chunks are [{ start, end, tokens }] with character offsets into text
+ */
+export function countClipTokens(text) {
+  const clip = getTokenizer();
+  const chunks = [];
+  let count = 0;
+
+  for (const match of maskEmphasis(text).matchAll(clip.pat)) {
+    const tokens = clip.encode(match[0]).length;
+    const end = match.index + match[0].length;
+
+    for (let position = count; position < count + tokens; position++) {
+      const chunkIndex = Math.floor(position / CLIP_CHUNK_SIZE);
+      if (!chunks[chunkIndex]) {
+        chunks[chunkIndex] = { start: match.index, end, tokens: 0 };
+      }
+      chunks[chunkIndex].end = end;
+      chunks[chunkIndex].tokens++;
+    }
+    count += tokens;
+  }
+
+  return { count, chunks };
+}
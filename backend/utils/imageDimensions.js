@@ -0,0 +1,73 @@
+// backend/utils/imageDimensions.js
+/**
+ * Source image dimensions
+ * Reads each upload's original size before it is downscaled for the model and
+ * maps it to the closest aspect ratio or size each engine supports
+ */
+
+import sharp from 'sharp';
+
+// Ratios Midjourney, Flux and Leonardo users commonly pick; anything else is snapped to one of these
+const COMMON_RATIOS = ['1:1', '5:4', '4:3', '3:2', '16:9', '2:1', '21:9', '4:5', '3:4', '2:3', '9:16', '1:2', '9:21'];
+
+// SDXL training buckets (about one megapixel each)
+const SDXL_SIZES = ['1024x1024', '1152x896', '896x1152', '1216x832', '832x1216', '1344x768', '768x1344', '1536x640', '640x1536'];
+
+const DALLE_SIZES = ['1024x1024', '1792x1024', '1024x1792'];
+const IMAGEN_RATIOS = ['1:1', '3:4', '4:3', '9:16', '16:9'];
+
+const parseRatio = (value) => {
+  const [width, height] = value.split(/[:x]/).map(Number);
+  return width / height;
+};
+
+/**
+ * Pick the candidate whose ratio is closest on a log scale, so 2:1 and 1:2 are equally far from 1:1
+ * @param {number} ratio - width / height
+ * @param {string[]} candidates - "W:H" or "WxH" values
+ * @returns {string}
+ */
+export function closestRatio(ratio, candidates) {
+  return candidates.reduce((best, candidate) => (
+    Math.abs(Math.log(parseRatio(candidate) / ratio)) < Math.abs(Math.log(parseRatio(best) / ratio))
+      ? candidate
+      : best
+  ));
+}
+
+/**
+ * Read an upload's upright dimensions
+ * EXIF orientations 5-8 are rotated a quarter turn, so width and height swap
+ * @param {string} filePath - Path to the uploaded file
+ * @returns {Object} { width, height, orientation } - orientation is landscape, portrait or square
+ */
+export async function readImageDimensions(filePath) {
+  const { width, height, orientation = 1 } = await sharp(filePath).metadata();
+  const [uprightWidth, uprightHeight] = orientation >= 5 ? [height, width] : [width, height];
+
+  return {
+    width: uprightWidth,
+    height: uprightHeight,
+    orientation: uprightWidth === uprightHeight ? 'square' : uprightWidth > uprightHeight ? 'landscape' : 'portrait'
+  };
+}
+
+/**
+ * Map source dimensions to each engine's aspect ratio or size parameter
+ * Keys match ENGINE_PARAMETERS in promptRenderers.js
+ * @param {Object} dimensions - Output of readImageDimensions
+ * @returns {Object} Map of engine ID to detected parameters
+ */
+export function mapDimensionsToEngines({ width, height }) {
+  const ratio = width / height;
+  const commonRatio = closestRatio(ratio, COMMON_RATIOS);
+
+  return {
+    midjourney: { aspectRatio: commonRatio },
+    dalle: { size: closestRatio(ratio, DALLE_SIZES) },
+    stable_diffusion: { size: closestRatio(ratio, SDXL_SIZES) },
+    gemini_imagen: { aspectRatio: closestRatio(ratio, IMAGEN_RATIOS) },
+    flux: { aspectRatio: commonRatio },
+    leonardo: { aspectRatio: commonRatio }
+  };
+}
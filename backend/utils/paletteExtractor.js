@@ -0,0 +1,125 @@
+// backend/utils/paletteExtractor.js
+/**
+ * Dominant color palette extraction
+ * Quantizes uploads into coarse RGB buckets with sharp and reports the most
+ * common colors as hex with their share of the image area. No model call is
+ * involved, so the result is deterministic and is given to the model as grounding
+ */
+
+import sharp from 'sharp';
+
+const DEFAULT_COLOR_COUNT = 6;
+// Images are sampled at this size; nearest-neighbour keeps real colors instead of blended edges
+const SAMPLE_SIZE = 64;
+// 8 levels per channel, 512 buckets in total
+const BUCKET_SHIFT = 5;
+// Buckets whose average colors are closer than this (RGB distance) are reported as one color
+const MERGE_DISTANCE = 40;
+// Pixels more transparent than this are ignored
+const MIN_ALPHA = 128;
+
+const toHex = (value) => Math.round(value).toString(16).padStart(2, '0');
+
+const colorDistance = (a, b) => Math.hypot(a.r - b.r, a.g - b.g, a.b - b.b);
+
+/**
+ * Add RGBA pixels to a bucket map
+ * @param {Buffer} pixels - Raw RGBA pixel data
+ * @param {Map} buckets - Bucket key to { count, r, g, b } channel sums
+ * @returns {Map} The same bucket map
+ */
+export function quantizePixels(pixels, buckets = new Map()) {
+  for (let offset = 0; offset < pixels.length; offset += 4) {
+    if (pixels[offset + 3] < MIN_ALPHA) {
+      continue;
+    }
+
+    const r = pixels[offset];
+    const g = pixels[offset + 1];
+    const b = pixels[offset + 2];
+    const key = ((r >> BUCKET_SHIFT) << 6) | ((g >> BUCKET_SHIFT) << 3) | (b >> BUCKET_SHIFT);
+
+    const bucket = buckets.get(key) || { key, count: 0, r: 0, g: 0, b: 0 };
+    bucket.count += 1;
+    bucket.r += r;
+    bucket.g += g;
+    bucket.b += b;
+    buckets.set(key, bucket);
+  }
+
+  return buckets;
+}
+
+/**
+ * Turn filled buckets into the top colors
+ * @param {Map} buckets - Output of quantizePixels
+ * @param {number} colorCount - Maximum number of colors
+ * @returns {Array<{hex: string, proportion: number}>} Most common first; proportions of opaque pixels
+ */
+export function summarizeBuckets(buckets, colorCount = DEFAULT_COLOR_COUNT) {
+  const sorted = [...buckets.values()].sort((a, b) => b.count - a.count || a.key - b.key);
+  const total = sorted.reduce((sum, bucket) => sum + bucket.count, 0);
+  const colors = [];
+
+  for (const bucket of sorted) {
+    const average = { r: bucket.r / bucket.count, g: bucket.g / bucket.count, b: bucket.b / bucket.count };
+    const similar = colors.find(color => colorDistance(color, average) < MERGE_DISTANCE);
+
+    if (similar) {
+      // Fold into the more common color, keeping a pixel-weighted average
+      const count = similar.count + bucket.count;
+      similar.r = (similar.r * similar.count + average.r * bucket.count) / count;
+      similar.g = (similar.g * similar.count + average.g * bucket.count) / count;
+      similar.b = (similar.b * similar.count + average.b * bucket.count) / count;
+      similar.count = count;
+    } else {
+      colors.push({ ...average, count: bucket.count });
+    }
+  }
+
+  return colors
+    .sort((a, b) => b.count - a.count)
+    .slice(0, colorCount)
+    .map(color => ({
+      hex: `#${toHex(color.r)}${toHex(color.g)}${toHex(color.b)}`,
+      proportion: Math.round((color.count / total) * 1000) / 1000
+    }));
+}
+
+/**
+ * Extract the dominant colors across a set of images
+ * Every image is sampled at the same size so each one weighs about the same
+ * @param {string[]} filePaths - Image files
+ * @param {Object} options - { colors } maximum number of colors
+ * @returns {Promise<Array<{hex: string, proportion: number}>>}
+ */
+export async function extractPalette(filePaths, { colors = DEFAULT_COLOR_COUNT } = {}) {
+  const buckets = new Map();
+
+  for (const filePath of filePaths) {
+    const pixels = await sharp(filePath)
+      .rotate()
+      .resize(SAMPLE_SIZE, SAMPLE_SIZE, { fit: 'inside', kernel: 'nearest' })
+      .ensureAlpha()
+      .raw()
+      .toBuffer();
+    quantizePixels(pixels, buckets);
+  }
+
+  return summarizeBuckets(buckets, colors);
+}
+
+/**
+ * List a measured palette for the analysis prompt's {{palette}} variable
+ * @param {Array} palette - Output of extractPalette
+ * @returns {string} Empty when there is no palette
+ */
+export function formatPaletteForPrompt(palette) {
+  if (!palette || palette.length === 0) {
+    return '';
+  }
+
+  return palette
+    .map(({ hex, proportion }) => `${hex} (${Math.round(proportion * 100)}%)`)
+    .join(', ');
+}
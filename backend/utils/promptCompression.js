@@ -0,0 +1,89 @@
+// backend/utils/promptCompression.js
+/**
+ * Prompt budget compression
+ * Shortens a structured prompt until its rendered text fits a budget, such as
+ * a CLIP token count or an engine's character limit.
+ * Low-priority fields lose their trailing comma-separated terms first and then
+ * disappear; style and subject are only cut once everything else is gone, and
+ * the subject always keeps its first term
+ */
+
+export const MIN_TOKEN_BUDGET = 20;
+export const MAX_TOKEN_BUDGET = 225;
+
+// Trimmed first to last
+const COMPRESSION_ORDER = ['camera', 'palette', 'pose', 'background', 'composition', 'lighting', 'style', 'subject'];
+
+/**
+ * Parse the requested token budget
+ * @param {*} raw - Request value; form fields arrive as strings
+ * @returns {Object} { value, error } - value is null when no budget was requested
+ */
+export function parseTokenBudget(raw) {
+  if (raw === undefined || raw === null || raw === '') {
+    return { value: null, error: null };
+  }
+
+  const value = Number(raw);
+  if (!Number.isInteger(value) || value < MIN_TOKEN_BUDGET || value > MAX_TOKEN_BUDGET) {
+    return { value: null, error: `"tokenBudget" must be a whole number from ${MIN_TOKEN_BUDGET} to ${MAX_TOKEN_BUDGET}` };
+  }
+  return { value, error: null };
+}
+
+function splitTerms(value) {
+  return Array.isArray(value)
+    ? [...value]
+    : (value || '').split(',').map(term => term.trim()).filter(Boolean);
+}
+
+/**
+ * Drop prompt terms by priority until the prompt fits the budget
+ * @param {Object} structured - Validated structured prompt
+ * @param {number} budget - Maximum size, in the unit measure returns
+ * @param {Function} measure - (structured) => size of its rendered prompt
+ * @returns {Object} { structured, count, originalCount, compressed } - count can stay above budget when the subject alone exceeds it
+ */
+export function compressStructuredPrompt(structured, budget, measure) {
+  const originalCount = measure(structured);
+  if (originalCount <= budget) {
+    return { structured, count: originalCount, originalCount, compressed: false };
+  }
+
+  let current = structured;
+  let count = originalCount;
+  for (const field of COMPRESSION_ORDER) {
+    const terms = splitTerms(current[field]);
+    const keep = field === 'subject' ? 1 : 0;
+
+    while (terms.length > keep) {
+      terms.pop();
+      current = { ...current, [field]: Array.isArray(current[field]) ? [...terms] : terms.join(', ') };
+      count = measure(current);
+      if (count <= budget) {
+        return { structured: current, count, originalCount, compressed: true };
+      }
+    }
+  }
+
+  return { structured: current, count, originalCount, compressed: true };
+}
+
+/**
+ * Drop trailing comma-separated terms from a term list until it fits a character limit
+ * Used for negative prompts, whose common exclusions come after the observed ones
+ * @param {string} text - Comma-separated terms
+ * @param {number} limit - Maximum length in characters
+ * @returns {Object} { text, trimmed }
+ */
+export function trimTermList(text, limit) {
+  if (text.length <= limit) {
+    return { text, trimmed: false };
+  }
+
+  const terms = splitTerms(text);
+  while (terms.length > 0 && terms.join(', ').length > limit) {
+    terms.pop();
+  }
+  return { text: terms.join(', '), trimmed: true };
+}
@@ -1,19 +1,82 @@
 // backend/utils/promptLoader.js
-// EXTREME DEBUG VERSION - Let's see what the fuck is going on
-// UPDATED: Removed find_common_features and copy_character references
+// Bundled prompts from prompts.env, Render secret files or environment variables.
+// Versioned templates in Firestore (promptTemplateService) take precedence; these are the fallback.
 
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
+import { validateTemplate } from './promptTemplate.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
+// Built-in prompts, used for every key that the configured source leaves out
+const DEFAULT_PROMPTS = {
+  // Copy Image prompts
+  PROMPT_COPY_IMAGE_MIDJOURNEY: "Create a detailed Midjourney prompt to recreate this image. Focus on: exact visual style, composition and framing, color palette, subject positioning, environmental details, camera angle, textures and materials. Format as a clean, single paragraph optimized for Midjourney v6+ without any markdown symbols or formatting.",
+
+  PROMPT_COPY_IMAGE_DALLE: "Create a detailed DALL-E 3 prompt to recreate this image. Focus on: photorealistic details, exact composition, precise color descriptions, subject positioning and proportions, environmental context, lighting conditions, camera perspective. Write as a natural language description optimized for DALL-E 3's understanding, in a single clean paragraph without any formatting symbols.",
+
+  PROMPT_COPY_IMAGE_STABLE_DIFFUSION: "Create a detailed Stable Diffusion prompt to recreate this image. Focus on: visual style and aesthetics, exact composition, color palette and lighting, subject details and positioning, background and environment, camera angle and perspective. Use comma-separated keywords and phrases optimized for Stable Diffusion, in a single paragraph without formatting.",
+
+  PROMPT_COPY_IMAGE_GEMINI_IMAGEN: "Create a detailed Gemini Imagen prompt to recreate this image. Focus on: photorealistic accuracy, composition and framing, color and lighting details, subject characteristics, environmental context, camera perspective. Write as a natural, descriptive paragraph optimized for Gemini Imagen without any formatting symbols.",
+
+  PROMPT_COPY_IMAGE_FLUX: "Create a detailed Flux prompt to recreate this image. Focus on: artistic style and technique, exact composition, color scheme and lighting, subject positioning, environmental details, camera angle. Format as a descriptive paragraph optimized for Flux generation without any markdown or formatting symbols.",
+
+  PROMPT_COPY_IMAGE_LEONARDO: "Create a detailed Leonardo AI prompt to recreate this image. Focus on: visual style and aesthetics, composition and framing, color palette, subject details and positioning, environmental context, lighting and shadows, camera perspective. Write as a descriptive paragraph optimized for Leonardo AI without any formatting symbols.",
+
+  // Copy Style prompts
+  PROMPT_COPY_STYLE_MIDJOURNEY: "Analyze this image and create a Midjourney style prompt that captures the artistic style, visual aesthetics, and creative approach. Focus on: artistic technique and medium, color palette and mood, lighting style, composition approach, texture and material qualities, overall aesthetic feel. Format as a style description optimized for Midjourney without any formatting symbols.",
+
+  PROMPT_COPY_STYLE_DALLE: "Analyze this image and create a DALL-E 3 style prompt that captures the artistic style and visual approach. Focus on: art style and technique, color scheme and mood, lighting characteristics, composition style, texture and material appearance, overall aesthetic quality. Write as a natural style description optimized for DALL-E 3 without any formatting symbols.",
+
+  PROMPT_COPY_STYLE_STABLE_DIFFUSION: "Analyze this image and create a Stable Diffusion style prompt that captures the visual style and artistic approach. Focus on: art style and medium, color palette and mood, lighting technique, composition approach, texture and material qualities, aesthetic characteristics. Use style-focused keywords optimized for Stable Diffusion without formatting.",
+
+  PROMPT_COPY_STYLE_GEMINI_IMAGEN: "Analyze this image and create a Gemini Imagen style prompt that captures the artistic style and visual aesthetics. Focus on: artistic technique and approach, color scheme and mood, lighting style, composition characteristics, texture and material qualities, overall visual feel. Write as a style description optimized for Gemini Imagen without formatting.",
+
+  PROMPT_COPY_STYLE_FLUX: "Analyze this image and create a Flux style prompt that captures the artistic style and creative approach. Focus on: art style and technique, color palette and mood, lighting characteristics, composition style, texture and material appearance, aesthetic qualities. Format as a style description optimized for Flux without any formatting symbols.",
+
+  PROMPT_COPY_STYLE_LEONARDO: "Analyze this image and create a Leonardo AI style prompt that captures the artistic style and visual approach. Focus on: art technique and medium, color scheme and mood, lighting style, composition characteristics, texture and material qualities, overall aesthetic feel. Write as a style description optimized for Leonardo AI without formatting symbols.",
+
+  // Copy Character prompts
+  PROMPT_COPY_CHARACTER_MIDJOURNEY: "Analyze the main character in this image and create a Midjourney character prompt that generates the same character again in new scenes. Describe only the identifying traits in the subject: face and facial features, hair, outfit, accessories, body type and proportions, distinctive marks. Keep the current pose out of the subject and put it in pose, and describe the setting only in background. Format as a character description optimized for Midjourney without any formatting symbols.",
+
+  PROMPT_COPY_CHARACTER_DALLE: "Analyze the main character in this image and create a DALL-E 3 character prompt that generates the same character again in new scenes. Describe only the identifying traits in the subject: face and facial features, hair, outfit, accessories, body type and proportions, distinctive marks. Keep the current pose out of the subject and put it in pose, and describe the setting only in background. Write as a natural character description optimized for DALL-E 3 without any formatting symbols.",
+
+  PROMPT_COPY_CHARACTER_STABLE_DIFFUSION: "Analyze the main character in this image and create a Stable Diffusion character prompt that generates the same character again in new scenes. Describe only the identifying traits in the subject: face and facial features, hair, outfit, accessories, body type and proportions, distinctive marks. Keep the current pose out of the subject and put it in pose, and describe the setting only in background. Use character-focused keywords optimized for Stable Diffusion without formatting.",
+
+  PROMPT_COPY_CHARACTER_GEMINI_IMAGEN: "Analyze the main character in this image and create a Gemini Imagen character prompt that generates the same character again in new scenes. Describe only the identifying traits in the subject: face and facial features, hair, outfit, accessories, body type and proportions, distinctive marks. Keep the current pose out of the subject and put it in pose, and describe the setting only in background. Write as a natural character description optimized for Gemini Imagen without formatting.",
+
+  PROMPT_COPY_CHARACTER_FLUX: "Analyze the main character in this image and create a Flux character prompt that generates the same character again in new scenes. Describe only the identifying traits in the subject: face and facial features, hair, outfit, accessories, body type and proportions, distinctive marks. Keep the current pose out of the subject and put it in pose, and describe the setting only in background. Format as a character description optimized for Flux without any formatting symbols.",
+
+  PROMPT_COPY_CHARACTER_LEONARDO: "Analyze the main character in this image and create a Leonardo AI character prompt that generates the same character again in new scenes. Describe only the identifying traits in the subject: face and facial features, hair, outfit, accessories, body type and proportions, distinctive marks. Keep the current pose out of the subject and put it in pose, and describe the setting only in background. Write as a character description optimized for Leonardo AI without formatting symbols.",
+
+  // Find Common Features prompts
+  PROMPT_FIND_COMMON_FEATURES_MIDJOURNEY: "Compare these {{imageCount}} images and create one Midjourney prompt built only from what they have in common. Focus on: shared artistic style, shared color palette, recurring subject matter, common lighting, similar composition. Leave out anything that appears in only one image, and list what sets each image apart in differences. Format as a single prompt optimized for Midjourney without any formatting symbols.",
+
+  PROMPT_FIND_COMMON_FEATURES_DALLE: "Compare these {{imageCount}} images and create one DALL-E 3 prompt built only from what they have in common. Focus on: shared artistic style, shared color palette, recurring subject matter, common lighting, similar composition. Leave out anything that appears in only one image, and list what sets each image apart in differences. Write as a natural description optimized for DALL-E 3 without any formatting symbols.",
+
+  PROMPT_FIND_COMMON_FEATURES_STABLE_DIFFUSION: "Compare these {{imageCount}} images and create one Stable Diffusion prompt built only from what they have in common. Focus on: shared artistic style, shared color palette, recurring subject matter, common lighting, similar composition. Leave out anything that appears in only one image, and list what sets each image apart in differences. Use comma-separated keywords optimized for Stable Diffusion without formatting.",
+
+  PROMPT_FIND_COMMON_FEATURES_GEMINI_IMAGEN: "Compare these {{imageCount}} images and create one Gemini Imagen prompt built only from what they have in common. Focus on: shared artistic style, shared color palette, recurring subject matter, common lighting, similar composition. Leave out anything that appears in only one image, and list what sets each image apart in differences. Write as a natural description optimized for Gemini Imagen without formatting.",
+
+  PROMPT_FIND_COMMON_FEATURES_FLUX: "Compare these {{imageCount}} images and create one Flux prompt built only from what they have in common. Focus on: shared artistic style, shared color palette, recurring subject matter, common lighting, similar composition. Leave out anything that appears in only one image, and list what sets each image apart in differences. Format as a descriptive prompt optimized for Flux without any formatting symbols.",
+
+  PROMPT_FIND_COMMON_FEATURES_LEONARDO: "Compare these {{imageCount}} images and create one Leonardo AI prompt built only from what they have in common. Focus on: shared artistic style, shared color palette, recurring subject matter, common lighting, similar composition. Leave out anything that appears in only one image, and list what sets each image apart in differences. Write as a descriptive prompt optimized for Leonardo AI without formatting symbols."
+};
+
 class PromptLoader {
   constructor() {
     this.prompts = {};
+    // Where the prompts came from: render_secret_file, environment, prompts_env_file or defaults
+    this.source = null;
+    this.invalid = {};
+    // Keys the source left out that were filled from DEFAULT_PROMPTS
+    this.defaulted = [];
     this.loadPrompts();
+    this.mergeDefaultPrompts();
+    this.validatePrompts();
   }
 
   loadPrompts() {
@@ -34,6 +97,7 @@ class PromptLoader {
       
       if (fs.existsSync(promptsPath)) {
         console.log('📝 Loading prompts from local prompts.env file (development)');
+        this.source = 'prompts_env_file';
         const content = fs.readFileSync(promptsPath, 'utf8');
         this.parsePromptsContent(content);
       } else {
@@ -56,6 +120,7 @@ class PromptLoader {
       
       if (fs.existsSync(secretFilePath)) {
         console.log('✅ Found Render Secret File at:', secretFilePath);
+        this.source = 'render_secret_file';
         const content = fs.readFileSync(secretFilePath, 'utf8');
         console.log('🔍 DEBUG: File content length:', content.length);
         console.log('🔍 DEBUG: First 200 chars:', content.substring(0, 200));
@@ -80,10 +145,8 @@ class PromptLoader {
     }
   }
 
-  // UPDATED: Removed find_common_features and copy_character from environment variables
   loadFromEnvironment() {
     const promptEnvVars = [
-      // Only copy_image and copy_style prompts
       'PROMPT_COPY_IMAGE_MIDJOURNEY',
       'PROMPT_COPY_IMAGE_DALLE',
       'PROMPT_COPY_IMAGE_STABLE_DIFFUSION',
@@ -95,10 +158,23 @@ class PromptLoader {
       'PROMPT_COPY_STYLE_STABLE_DIFFUSION',
       'PROMPT_COPY_STYLE_GEMINI_IMAGEN',
       'PROMPT_COPY_STYLE_FLUX',
-      'PROMPT_COPY_STYLE_LEONARDO'
+      'PROMPT_COPY_STYLE_LEONARDO',
+      'PROMPT_COPY_CHARACTER_MIDJOURNEY',
+      'PROMPT_COPY_CHARACTER_DALLE',
+      'PROMPT_COPY_CHARACTER_STABLE_DIFFUSION',
+      'PROMPT_COPY_CHARACTER_GEMINI_IMAGEN',
+      'PROMPT_COPY_CHARACTER_FLUX',
+      'PROMPT_COPY_CHARACTER_LEONARDO',
+      'PROMPT_FIND_COMMON_FEATURES_MIDJOURNEY',
+      'PROMPT_FIND_COMMON_FEATURES_DALLE',
+      'PROMPT_FIND_COMMON_FEATURES_STABLE_DIFFUSION',
+      'PROMPT_FIND_COMMON_FEATURES_GEMINI_IMAGEN',
+      'PROMPT_FIND_COMMON_FEATURES_FLUX',
+      'PROMPT_FIND_COMMON_FEATURES_LEONARDO'
     ];
 
     let loadedCount = 0;
+    this.source = 'environment';
     
     for (const envVar of promptEnvVars) {
       if (process.env[envVar]) {
@@ -206,60 +282,90 @@ class PromptLoader {
     }
   }
 
-  // UPDATED: Removed find_common_features and copy_character from defaults
   loadDefaultPrompts() {
-    this.prompts = {
-      // Only copy_image and copy_style default prompts
-      PROMPT_COPY_IMAGE_MIDJOURNEY: "Create a detailed Midjourney prompt to recreate this image. Focus on: exact visual style, composition and framing, color palette, subject positioning, environmental details, camera angle, textures and materials. Format as a clean, single paragraph optimized for Midjourney v6+ without any markdown symbols or formatting.",
-      
-      PROMPT_COPY_IMAGE_DALLE: "Create a detailed DALL-E 3 prompt to recreate this image. Focus on: photorealistic details, exact composition, precise color descriptions, subject positioning and proportions, environmental context, lighting conditions, camera perspective. Write as a natural language description optimized for DALL-E 3's understanding, in a single clean paragraph without any formatting symbols.",
-      
-      PROMPT_COPY_IMAGE_STABLE_DIFFUSION: "Create a detailed Stable Diffusion prompt to recreate this image. Focus on: visual style and aesthetics, exact composition, color palette and lighting, subject details and positioning, background and environment, camera angle and perspective. Use comma-separated keywords and phrases optimized for Stable Diffusion, in a single paragraph without formatting.",
-      
-      PROMPT_COPY_IMAGE_GEMINI_IMAGEN: "Create a detailed Gemini Imagen prompt to recreate this image. Focus on: photorealistic accuracy, composition and framing, color and lighting details, subject characteristics, environmental context, camera perspective. Write as a natural, descriptive paragraph optimized for Gemini Imagen without any formatting symbols.",
-      
-      PROMPT_COPY_IMAGE_FLUX: "Create a detailed Flux prompt to recreate this image. Focus on: artistic style and technique, exact composition, color scheme and lighting, subject positioning, environmental details, camera angle. Format as a descriptive paragraph optimized for Flux generation without any markdown or formatting symbols.",
-      
-      PROMPT_COPY_IMAGE_LEONARDO: "Create a detailed Leonardo AI prompt to recreate this image. Focus on: visual style and aesthetics, composition and framing, color palette, subject details and positioning, environmental context, lighting and shadows, camera perspective. Write as a descriptive paragraph optimized for Leonardo AI without any formatting symbols.",
-      
-      // Copy Style prompts
-      PROMPT_COPY_STYLE_MIDJOURNEY: "Analyze this image and create a Midjourney style prompt that captures the artistic style, visual aesthetics, and creative approach. Focus on: artistic technique and medium, color palette and mood, lighting style, composition approach, texture and material qualities, overall aesthetic feel. Format as a style description optimized for Midjourney without any formatting symbols.",
-      
-      PROMPT_COPY_STYLE_DALLE: "Analyze this image and create a DALL-E 3 style prompt that captures the artistic style and visual approach. Focus on: art style and technique, color scheme and mood, lighting characteristics, composition style, texture and material appearance, overall aesthetic quality. Write as a natural style description optimized for DALL-E 3 without any formatting symbols.",
-      
-      PROMPT_COPY_STYLE_STABLE_DIFFUSION: "Analyze this image and create a Stable Diffusion style prompt that captures the visual style and artistic approach. Focus on: art style and medium, color palette and mood, lighting technique, composition approach, texture and material qualities, aesthetic characteristics. Use style-focused keywords optimized for Stable Diffusion without formatting.",
-      
-      PROMPT_COPY_STYLE_GEMINI_IMAGEN: "Analyze this image and create a Gemini Imagen style prompt that captures the artistic style and visual aesthetics. Focus on: artistic technique and approach, color scheme and mood, lighting style, composition characteristics, texture and material qualities, overall visual feel. Write as a style description optimized for Gemini Imagen without formatting.",
-      
-      PROMPT_COPY_STYLE_FLUX: "Analyze this image and create a Flux style prompt that captures the artistic style and creative approach. Focus on: art style and technique, color palette and mood, lighting characteristics, composition style, texture and material appearance, aesthetic qualities. Format as a style description optimized for Flux without any formatting symbols.",
-      
-      PROMPT_COPY_STYLE_LEONARDO: "Analyze this image and create a Leonardo AI style prompt that captures the artistic style and visual approach. Focus on: art technique and medium, color scheme and mood, lighting style, composition characteristics, texture and material qualities, overall aesthetic feel. Write as a style description optimized for Leonardo AI without formatting symbols."
+    this.prompts = { ...DEFAULT_PROMPTS };
+    this.source = 'defaults';
+    console.log('📝 Using default fallback prompts');
+  }
+
+  /**
+   * Fill in the built-in prompt for every key the loaded source doesn't define
+   * Keeps goals added after a deployment's prompts were written working on their own prompts
+   */
+  mergeDefaultPrompts() {
+    this.defaulted = Object.keys(DEFAULT_PROMPTS).filter(key => !this.prompts[key]);
+    if (this.defaulted.length === 0) {
+      return;
+    }
+
+    for (const key of this.defaulted) {
+      this.prompts[key] = DEFAULT_PROMPTS[key];
+    }
+    console.warn(`⚠️ ${this.defaulted.length} prompts missing from ${this.source}, using defaults: ${this.defaulted.join(', ')}`);
+  }
+
+  /**
+   * Check every loaded prompt's variables and sections
+   * Invalid prompts are kept so the analysis still runs, but they are reported here and in getDiagnostics
+   */
+  validatePrompts() {
+    this.invalid = {};
+    for (const [key, body] of Object.entries(this.prompts)) {
+      const errors = validateTemplate(body);
+      if (errors.length > 0) {
+        this.invalid[key] = errors;
+        console.error(`❌ Invalid prompt template ${key}: ${errors.join('; ')}`);
+      }
+    }
+  }
+
+  getPromptKey(goal, engine) {
+    return `PROMPT_${goal.toUpperCase()}_${engine ? engine.toUpperCase() : 'MIDJOURNEY'}`;
+  }
+
+  /**
+   * Report missing and invalid prompts for the goals and engine formats in use
+   * @param {string[]} goals - Goal IDs
+   * @param {string[]} engines - Engine prompt formats
+   * @returns {Object} { status, source, loaded, missing, defaulted, invalid } - status is error when anything is missing or invalid, warning when any built-in default is in use
+   */
+  getDiagnostics(goals, engines) {
+    const missing = goals.flatMap(goal => engines
+      .map(engine => this.getPromptKey(goal, engine))
+      .filter(key => !this.prompts[key]));
+
+    let status = 'ok';
+    if (missing.length > 0 || Object.keys(this.invalid).length > 0) {
+      status = 'error';
+    } else if (this.source === 'defaults' || this.defaulted.length > 0) {
+      status = 'warning';
+    }
+
+    return {
+      status,
+      source: this.source,
+      loaded: Object.keys(this.prompts).length,
+      missing,
+      defaulted: this.defaulted,
+      invalid: this.invalid
     };
-    
-    console.log('📝 Using default fallback prompts for copy_image and copy_style only');
   }
 
-  // UPDATED: Removed find_common_features logic from getPrompt
+  /**
+   * Get the bundled prompt for a goal/engine pair
+   * Never substitutes another goal's prompt: a goal run on the wrong instructions still charges the user
+   * @throws {Error} With code PROMPT_NOT_FOUND when the pair has no prompt
+   */
   getPrompt(goal, engine = null) {
-    let promptKey;
-    
-    console.log('🔍 DEBUG: Looking for prompt key:', goal, engine);
-    console.log('🔍 DEBUG: Available keys:', Object.keys(this.prompts));
-    
-    // Build prompt key based on goal and engine
-    const goalPart = goal.toUpperCase();
-    const enginePart = engine ? engine.toUpperCase() : 'MIDJOURNEY';
-    promptKey = `PROMPT_${goalPart}_${enginePart}`;
-    
+    const promptKey = this.getPromptKey(goal, engine);
     const prompt = this.prompts[promptKey];
-    
+
     if (!prompt) {
-      console.warn(`⚠️ Prompt not found: ${promptKey}, using fallback`);
-      // Return first available copy_image prompt as fallback
-      const fallbackKey = Object.keys(this.prompts).find(key => key.includes('COPY_IMAGE'));
-      return this.prompts[fallbackKey] || 'Analyze this image in detail.';
+      const error = new Error(`Prompt not found: ${promptKey}`);
+      error.code = 'PROMPT_NOT_FOUND';
+      throw error;
     }
-    
+
     return prompt;
   }
 
@@ -278,6 +384,8 @@ class PromptLoader {
   reload() {
     this.prompts = {};
     this.loadPrompts();
+    this.mergeDefaultPrompts();
+    this.validatePrompts();
   }
 }
 
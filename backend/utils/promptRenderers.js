@@ -0,0 +1,428 @@
+// backend/utils/promptRenderers.js
+/**
+ * Engine prompt renderers
+ * Turns a structured prompt plus generation parameters into the text each
+ * engine expects: Midjourney suffix flags, Stable Diffusion positive/negative
+ * pairs with weighting, natural-language paragraphs for DALL-E and Imagen.
+ * Parameter schemas and common negatives reach the browser through /config
+ * (getRendererMetadata), so the frontend never keeps its own copy of them
+ */
+
+import { DESCRIPTIVE_FIELDS } from './structuredPrompt.js';
+
+/**
+ * User-adjustable parameters per engine, in the order they are rendered
+ * type: 'number' ({ min, max, step, integer }), 'select' ({ options }) or 'ratio' ("W:H")
+ */
+export const ENGINE_PARAMETERS = {
+  midjourney: {
+    aspectRatio: { type: 'ratio', label: 'Aspect ratio', flag: 'ar' },
+    stylize: { type: 'number', label: 'Stylize', min: 0, max: 1000, step: 50, integer: true, flag: 's' },
+    chaos: { type: 'number', label: 'Chaos', min: 0, max: 100, step: 5, integer: true, flag: 'chaos' },
+    weird: { type: 'number', label: 'Weird', min: 0, max: 3000, step: 50, integer: true, flag: 'weird' },
+    quality: { type: 'select', label: 'Quality', options: ['0.25', '0.5', '1', '2'], flag: 'q' },
+    version: { type: 'select', label: 'Version', options: ['7', '6.1', '6', '5.2', 'niji 6'], flag: 'v' }
+  },
+  dalle: {
+    size: { type: 'select', label: 'Size', options: ['1024x1024', '1792x1024', '1024x1792'] },
+    style: { type: 'select', label: 'Style', options: ['vivid', 'natural'] }
+  },
+  stable_diffusion: {
+    subjectWeight: { type: 'number', label: 'Subject weight', min: 0.5, max: 2, step: 0.1 },
+    steps: { type: 'number', label: 'Steps', min: 1, max: 150, step: 1, integer: true },
+    sampler: {
+      type: 'select',
+      label: 'Sampler',
+      options: ['Euler a', 'Euler', 'DPM++ 2M Karras', 'DPM++ SDE Karras', 'DDIM', 'UniPC']
+    },
+    cfgScale: { type: 'number', label: 'CFG scale', min: 1, max: 30, step: 0.5 },
+    seed: { type: 'number', label: 'Seed', min: -1, max: 4294967295, step: 1, integer: true },
+    size: {
+      type: 'select',
+      label: 'Size',
+      options: [
+        '512x512', '768x768', '1024x1024', '1152x896', '896x1152', '1216x832',
+        '832x1216', '1344x768', '768x1344', '1536x640', '640x1536'
+      ]
+    }
+  },
+  gemini_imagen: {
+    aspectRatio: { type: 'select', label: 'Aspect ratio', options: ['1:1', '3:4', '4:3', '9:16', '16:9'] }
+  },
+  flux: {
+    guidance: { type: 'number', label: 'Guidance', min: 1, max: 10, step: 0.5 },
+    steps: { type: 'number', label: 'Steps', min: 1, max: 50, step: 1, integer: true },
+    aspectRatio: { type: 'ratio', label: 'Aspect ratio' }
+  },
+  leonardo: {
+    presetStyle: {
+      type: 'select',
+      label: 'Preset style',
+      options: ['Dynamic', 'Cinematic', 'Illustration', 'Photography', 'Anime', 'None']
+    },
+    guidanceScale: { type: 'number', label: 'Guidance scale', min: 1, max: 20, step: 1, integer: true },
+    aspectRatio: { type: 'ratio', label: 'Aspect ratio' }
+  }
+};
+
+const DALLE_SIZE_NAMES = {
+  '1024x1024': 'square',
+  '1792x1024': 'wide landscape',
+  '1024x1792': 'tall portrait'
+};
+
+/**
+ * Normalize one parameter value against its spec
+ * @returns {Object} { value } or { error } - error reads after the parameter name
+ */
+export function normalizeParamValue(spec, raw) {
+  switch (spec.type) {
+    case 'number': {
+      const value = typeof raw === 'string' && raw.trim() !== '' ? Number(raw) : raw;
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        return { error: 'must be a number' };
+      }
+      if (spec.integer && !Number.isInteger(value)) {
+        return { error: 'must be a whole number' };
+      }
+      if (value < spec.min || value > spec.max) {
+        return { error: `must be between ${spec.min} and ${spec.max}` };
+      }
+      return { value };
+    }
+    case 'select': {
+      const value = String(raw).trim();
+      return spec.options.includes(value)
+        ? { value }
+        : { error: `must be one of ${spec.options.join(', ')}` };
+    }
+    case 'ratio': {
+      const value = String(raw).replace(/\s+/g, '');
+      const match = value.match(/^(\d+):(\d+)$/);
+      return match && Number(match[1]) > 0 && Number(match[2]) > 0
+        ? { value }
+        : { error: 'must be a ratio like 16:9' };
+    }
+    default:
+      return { error: 'is not supported' };
+  }
+}
+
+/**
+ * Validate user-chosen parameters for one engine
+ * null or "" drops a parameter the model suggested
+ * @param {string} engine - Target engine ID
+ * @param {Object} params - Parameter values keyed by name
+ * @returns {Object} { value, errors } - value is null when errors is non-empty
+ */
+export function validateEngineParams(engine, params) {
+  if (params === undefined || params === null) {
+    return { value: {}, errors: [] };
+  }
+  if (typeof params !== 'object' || Array.isArray(params)) {
+    return { value: null, errors: [`Parameters for ${engine} must be an object`] };
+  }
+
+  const schema = ENGINE_PARAMETERS[engine] || {};
+  const errors = [];
+  const value = {};
+
+  for (const [key, raw] of Object.entries(params)) {
+    const spec = schema[key];
+    if (!spec) {
+      errors.push(`"${key}" is not a ${engine} parameter`);
+    } else if (raw === null || raw === '') {
+      value[key] = null;
+    } else {
+      const normalized = normalizeParamValue(spec, raw);
+      if (normalized.error) {
+        errors.push(`"${key}" ${normalized.error}`);
+      } else {
+        value[key] = normalized.value;
+      }
+    }
+  }
+
+  return errors.length > 0 ? { value: null, errors } : { value, errors };
+}
+
+/**
+ * Combine the model's suggested parameters with validated user overrides
+ * Model values that don't fit the engine's schema are dropped rather than rendered
+ * @param {string} engine - Target engine ID
+ * @param {Object} modelParams - structured.parameters
+ * @param {Object} overrides - Output of validateEngineParams
+ * @returns {Object} Effective parameters in render order
+ */
+export function resolveEngineParams(engine, modelParams = {}, overrides = {}) {
+  const resolved = {};
+
+  for (const [key, spec] of Object.entries(ENGINE_PARAMETERS[engine] || {})) {
+    if (overrides[key] === null) {
+      continue;
+    }
+    if (overrides[key] !== undefined) {
+      resolved[key] = overrides[key];
+    } else if (modelParams[key] !== undefined) {
+      const normalized = normalizeParamValue(spec, modelParams[key]);
+      if (!normalized.error) {
+        resolved[key] = normalized.value;
+      }
+    }
+  }
+
+  return resolved;
+}
+
+// =============================================================================
+// TEXT HELPERS
+// =============================================================================
+
+// Comma-separated tag style used by Midjourney, SD, Flux and Leonardo
+function describeAsTags(structured) {
+  const parts = DESCRIPTIVE_FIELDS.map(field => structured[field]).filter(Boolean);
+  if (structured.palette.length > 0) {
+    parts.push(`color palette of ${structured.palette.join(', ')}`);
+  }
+  return parts.join(', ');
+}
+
+function toSentence(text) {
+  const trimmed = text.trim().replace(/[\s.]+$/, '');
+  return trimmed ? `${trimmed.charAt(0).toUpperCase()}${trimmed.slice(1)}.` : '';
+}
+
+function joinList(items) {
+  return items.length > 1
+    ? `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}`
+    : items.join('');
+}
+
+// Plain sentences for engines that read prompts as natural language
+function describeAsParagraph(structured) {
+  return [
+    toSentence(structured.subject),
+    structured.pose && toSentence(structured.pose),
+    structured.background && toSentence(`the background is ${structured.background}`),
+    structured.style && toSentence(`the style is ${structured.style}`),
+    structured.lighting && toSentence(`the lighting is ${structured.lighting}`),
+    structured.composition && toSentence(`the composition is ${structured.composition}`),
+    structured.camera && toSentence(`shot with ${structured.camera}`),
+    structured.palette.length > 0 && toSentence(`the color palette features ${joinList(structured.palette)}`),
+    structured.negativePrompt && toSentence(`avoid ${structured.negativePrompt}`)
+  ].filter(Boolean).join(' ');
+}
+
+// "Label: value" pairs in the style of Automatic1111 generation info
+function formatSettings(engine, params, keys) {
+  return keys
+    .filter(key => params[key] !== undefined)
+    .map(key => `${ENGINE_PARAMETERS[engine][key].label}: ${params[key]}`)
+    .join(', ');
+}
+
+// Parentheses are emphasis syntax in SD prompts
+const escapeSdText = (text) => text.replace(/([()])/g, '\\$1');
+
+// Generation settings on the last line of a Stable Diffusion prompt
+const SD_SETTINGS = ['steps', 'sampler', 'cfgScale', 'seed', 'size'];
+
+// Formats that end their prompt with a settings line, and the parameters it lists
+const SETTINGS_LINES = {
+  stable_diffusion: SD_SETTINGS,
+  flux: ['guidance', 'steps', 'aspectRatio'],
+  leonardo: ['presetStyle', 'guidanceScale', 'aspectRatio']
+};
+
+// =============================================================================
+// RENDERERS
+// =============================================================================
+
+// Niji is a separate Midjourney model with its own flag, not a --v value
+const formatMidjourneyFlag = (key, value) => (
+  key === 'version' && value.startsWith('niji ')
+    ? `--${value}`
+    : `--${ENGINE_PARAMETERS.midjourney[key].flag} ${value}`
+);
+
+const RENDERERS = {
+  midjourney: (structured, params) => {
+    const flags = Object.entries(params).map(([key, value]) => formatMidjourneyFlag(key, value));
+    if (structured.negativePrompt) {
+      flags.push(`--no ${structured.negativePrompt}`);
+    }
+    return [describeAsTags(structured), ...flags].join(' ');
+  },
+
+  stable_diffusion: (structured, params) => {
+    const weight = params.subjectWeight;
+    const subject = weight !== undefined && weight !== 1
+      ? `(${escapeSdText(structured.subject)}:${Number(weight.toFixed(2))})`
+      : structured.subject;
+
+    const lines = [describeAsTags({ ...structured, subject })];
+    if (structured.negativePrompt) {
+      lines.push(`Negative prompt: ${structured.negativePrompt}`);
+    }
+    const settings = formatSettings('stable_diffusion', params, SETTINGS_LINES.stable_diffusion);
+    if (settings) {
+      lines.push(settings);
+    }
+    return lines.join('\n');
+  },
+
+  dalle: (structured, params) => {
+    const sentences = [describeAsParagraph(structured)];
+    if (params.size) {
+      sentences.push(`Compose it as a ${DALLE_SIZE_NAMES[params.size]} image (${params.size}).`);
+    }
+    if (params.style) {
+      sentences.push(params.style === 'vivid'
+        ? 'Keep the look vivid and dramatic.'
+        : 'Keep the look natural and understated.');
+    }
+    return sentences.join(' ');
+  },
+
+  gemini_imagen: (structured, params) => {
+    const paragraph = describeAsParagraph(structured);
+    return params.aspectRatio ? `${paragraph} Use a ${params.aspectRatio} aspect ratio.` : paragraph;
+  },
+
+  // Flux's standard pipeline has no negative prompt input, so exclusions are written into the prompt
+  flux: (structured, params) => {
+    const description = describeAsTags(structured);
+    const prompt = structured.negativePrompt ? `${description}. Avoid: ${structured.negativePrompt}.` : description;
+    const settings = formatSettings('flux', params, SETTINGS_LINES.flux);
+    return settings ? `${prompt}\n${settings}` : prompt;
+  },
+
+  leonardo: (structured, params) => {
+    const lines = [describeAsTags(structured)];
+    if (structured.negativePrompt) {
+      lines.push(`Negative prompt: ${structured.negativePrompt}`);
+    }
+    const settings = formatSettings('leonardo', params, SETTINGS_LINES.leonardo);
+    if (settings) {
+      lines.push(settings);
+    }
+    return lines.join('\n');
+  }
+};
+
+/**
+ * Render a structured prompt with already-resolved parameters
+ * @param {Object} structured - Validated structured prompt
+ * @param {string} engine - Target engine ID
+ * @param {Object} params - Output of resolveEngineParams
+ * @returns {string}
+ */
+export function renderEnginePrompt(structured, engine, params = {}) {
+  const render = RENDERERS[engine];
+  if (!render) {
+    throw new Error(`No prompt renderer for engine: ${engine}`);
+  }
+  return render(structured, params);
+}
+
+/**
+ * Render the prompt pasted into an engine from the model's output and user overrides
+ * Detected values (such as the source aspect ratio) beat the model's guesses but not the user's choices
+ * @param {Object} structured - Validated structured prompt
+ * @param {string} engine - Target engine ID
+ * @param {Object} overrides - Output of validateEngineParams
+ * @param {Object} detected - Parameters measured from the uploads
+ * @returns {Object} { prompt, params } - params are the effective values used
+ */
+export function renderPrompt(structured, engine, overrides = {}, detected = {}) {
+  const params = resolveEngineParams(engine, { ...structured.parameters, ...detected }, overrides);
+  return { prompt: renderEnginePrompt(structured, engine, params), params };
+}
+
+/**
+ * Settings line a renderer appends to the prompt
+ * @param {string} engine - Prompt format of the engine
+ * @param {Object} params - Output of resolveEngineParams
+ * @returns {string} The line without its newline, or '' for formats and params without one
+ */
+export function renderSettingsLine(engine, params = {}) {
+  return SETTINGS_LINES[engine] ? formatSettings(engine, params, SETTINGS_LINES[engine]) : '';
+}
+
+/**
+ * Split rendered (or hand-edited) Stable Diffusion text into what each text encoder reads
+ * @param {string} text - Text in the format of the stable_diffusion renderer
+ * @returns {Object} { prompt, negativePrompt } - without the settings line
+ */
+export function splitStableDiffusionText(text) {
+  const lines = text.split('\n');
+  const settingsPattern = new RegExp(`^(${SD_SETTINGS.map(key => ENGINE_PARAMETERS.stable_diffusion[key].label).join('|')}): `);
+  if (lines.length > 1 && settingsPattern.test(lines[lines.length - 1])) {
+    lines.pop();
+  }
+
+  const negativeIndex = lines.findIndex(line => line.startsWith('Negative prompt:'));
+  if (negativeIndex === -1) {
+    return { prompt: lines.join('\n').trim(), negativePrompt: '' };
+  }
+  return {
+    prompt: lines.slice(0, negativeIndex).join('\n').trim(),
+    negativePrompt: lines.slice(negativeIndex).join('\n').replace(/^Negative prompt:\s*/, '').trim()
+  };
+}
+
+// =============================================================================
+// NEGATIVE PROMPTS
+// =============================================================================
+
+// Exclusions that help every prompt in a format with a negative input, added after the ones the model observed
+export const COMMON_NEGATIVES = {
+  stable_diffusion: ['lowres', 'blurry', 'jpeg artifacts', 'watermark', 'text', 'bad anatomy', 'extra fingers', 'deformed'],
+  leonardo: ['blurry', 'watermark', 'text', 'bad anatomy', 'extra limbs', 'deformed', 'oversaturated']
+};
+
+/**
+ * Renderer data the browser needs to re-render a structured prompt, served with each engine in /config
+ * @param {string} engine - Prompt format of the engine
+ * @returns {Object} { parameters, commonNegatives }
+ */
+export function getRendererMetadata(engine) {
+  return {
+    parameters: ENGINE_PARAMETERS[engine] || {},
+    commonNegatives: COMMON_NEGATIVES[engine] || []
+  };
+}
+
+/**
+ * Negative prompt for engines with a dedicated negative input
+ * @param {Object} structured - Validated structured prompt
+ * @param {string} engine - Target engine ID
+ * @returns {string} Observed exclusions, then the format's common ones, without duplicates
+ */
+export function buildNegativePrompt(structured, engine) {
+  const terms = [...(structured.negativePrompt || '').split(','), ...(COMMON_NEGATIVES[engine] || [])]
+    .map(term => term.trim())
+    .filter(Boolean);
+  const seen = new Set();
+
+  return terms.filter(term => {
+    const key = term.toLowerCase();
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  }).join(', ');
+}
+
+/**
+ * Render the positive and negative prompt as separate texts, one per engine input
+ * @param {Object} structured - Validated structured prompt
+ * @param {string} engine - Target engine ID
+ * @param {Object} params - Output of resolveEngineParams
+ * @returns {Object} { prompt, negativePrompt }
+ */
+export function renderPromptPair(structured, engine, params = {}) {
+  return {
+    prompt: renderEnginePrompt({ ...structured, negativePrompt: '' }, engine, params),
+    negativePrompt: buildNegativePrompt(structured, engine)
+  };
+}
@@ -0,0 +1,144 @@
+// backend/utils/promptTemplate.js
+/**
+ * Meta-prompt template variables
+ * Templates can reference request values as {{name}} and wrap text in
+ * {{#name}}...{{/name}} (kept when the value is set) or {{^name}}...{{/name}}
+ * (kept when it isn't). Templates are validated when they are loaded or
+ * stored, so a typo in a variable name is reported instead of rendered
+ */
+
+// Every variable a template may reference
+export const TEMPLATE_VARIABLES = {
+  imageCount: 'Number of uploaded images',
+  multipleImages: 'Set when more than one image was uploaded; meant for sections',
+  aspectRatio: 'Closest common aspect ratio of the first image, e.g. 16:9',
+  palette: 'Measured dominant colors with their share of the image area',
+  userFocus: 'What the user asked to focus on, if anything',
+  language: 'Language the prompt should be written in, if one was requested',
+  maxLength: 'Character limit of the target engine, if it has one'
+};
+
+// Added after templates that don't place these values themselves, so templates written before variables keep working
+const FALLBACK_SECTIONS = {
+  userFocus: 'Additional focus: {{userFocus}}',
+  palette: 'Measured dominant colors of the uploaded images, with their share of the image area: {{palette}}. Base the palette on these measured colors and name them precisely.',
+  language: 'Write every text field in {{language}}.',
+  maxLength: 'Keep the finished prompt under {{maxLength}} characters.'
+};
+
+const TAG_PATTERN = /\{\{(.*?)\}\}/g;
+const TAG_CONTENT = /^\s*([#^/]?)\s*([A-Za-z][A-Za-z0-9]*)\s*$/;
+
+/**
+ * Parse a template into a tree of text, variable and section nodes
+ * @param {string} body - Template text
+ * @returns {Object} { nodes, variables, errors } - variables is every name referenced
+ */
+export function parseTemplate(body) {
+  const root = { children: [] };
+  const stack = [root];
+  const variables = new Set();
+  const errors = [];
+  const text = String(body);
+  let lastIndex = 0;
+
+  for (const match of text.matchAll(TAG_PATTERN)) {
+    const current = stack[stack.length - 1];
+    if (match.index > lastIndex) {
+      current.children.push({ type: 'text', value: text.slice(lastIndex, match.index) });
+    }
+    lastIndex = match.index + match[0].length;
+
+    const tag = TAG_CONTENT.exec(match[1]);
+    if (!tag) {
+      errors.push(`malformed tag "${match[0]}"`);
+      continue;
+    }
+
+    const [, kind, name] = tag;
+    if (kind === '/') {
+      if (stack.length === 1 || current.name !== name) {
+        errors.push(`"{{/${name}}}" does not close an open section`);
+        continue;
+      }
+      stack.pop();
+      continue;
+    }
+
+    variables.add(name);
+    if (kind) {
+      const section = { type: 'section', name, inverted: kind === '^', children: [] };
+      current.children.push(section);
+      stack.push(section);
+    } else {
+      current.children.push({ type: 'variable', name });
+    }
+  }
+
+  if (lastIndex < text.length) {
+    stack[stack.length - 1].children.push({ type: 'text', value: text.slice(lastIndex) });
+  }
+  stack.slice(1).forEach(section => errors.push(`section "${section.name}" is never closed`));
+
+  return { nodes: root.children, variables: [...variables], errors };
+}
+
+/**
+ * Check a template's syntax and that it only references known variables
+ * @param {string} body - Template text
+ * @returns {string[]} Problems; empty when valid
+ */
+export function validateTemplate(body) {
+  if (typeof body !== 'string' || !body.trim()) {
+    return ['template is empty'];
+  }
+
+  const { variables, errors } = parseTemplate(body);
+  const unknown = variables.filter(name => !(name in TEMPLATE_VARIABLES));
+  if (unknown.length > 0) {
+    errors.push(`unknown variable${unknown.length > 1 ? 's' : ''} ${unknown.map(name => `"${name}"`).join(', ')}; known: ${Object.keys(TEMPLATE_VARIABLES).join(', ')}`);
+  }
+  return errors;
+}
+
+const isSet = (value) => value !== undefined && value !== null && value !== false && value !== '' && value !== 0;
+
+function renderNodes(nodes, values) {
+  return nodes.map((node) => {
+    if (node.type === 'text') {
+      return node.value;
+    }
+    if (node.type === 'variable') {
+      return isSet(values[node.name]) ? String(values[node.name]) : '';
+    }
+    return isSet(values[node.name]) !== node.inverted ? renderNodes(node.children, values) : '';
+  }).join('');
+}
+
+/**
+ * Fill in a template
+ * Sections that were dropped can leave runs of blank lines, which are collapsed
+ * @param {string} body - Template text; callers validate it first
+ * @param {Object} values - Variable values
+ * @returns {string}
+ */
+export function renderTemplate(body, values) {
+  return renderNodes(parseTemplate(body).nodes, values)
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Render a meta-prompt, adding the standard sections for set values the template doesn't place itself
+ * @param {string} body - Template text
+ * @param {Object} values - Variable values
+ * @returns {string[]} The rendered template followed by any fallback sections
+ */
+export function composeTemplate(body, values) {
+  const { variables } = parseTemplate(body);
+  const fallbacks = Object.entries(FALLBACK_SECTIONS)
+    .filter(([name]) => !variables.includes(name) && isSet(values[name]))
+    .map(([, section]) => renderTemplate(section, values));
+
+  return [renderTemplate(body, values), ...fallbacks];
+}
@@ -0,0 +1,89 @@
+// backend/utils/promptVariations.js
+/**
+ * Prompt variations
+ * One request can ask for several alternative prompts that differ in emphasis.
+ * Each variation adds an emphasis instruction to the meta-prompt and runs with
+ * its own temperature and seed, which are returned so a result can be reproduced
+ */
+
+import crypto from 'crypto';
+
+export const MAX_VARIATIONS = 5;
+
+// Generated in this order; requests for more variations than emphases start over with a new seed
+export const VARIATION_EMPHASES = [
+  {
+    emphasis: 'faithful',
+    label: 'Faithful',
+    temperature: 0.4,
+    instruction: 'Stay as close to the image as possible. Describe exactly what is there and add nothing.'
+  },
+  {
+    emphasis: 'stylized',
+    label: 'Stylized',
+    temperature: 1.0,
+    instruction: 'Keep the subject but push the style further: bolder artistic choices, more expressive lighting and mood.'
+  },
+  {
+    emphasis: 'minimal',
+    label: 'Minimal',
+    temperature: 0.6,
+    instruction: 'Keep every field as short as possible. Name only the subject and the few details that matter most.'
+  },
+  {
+    emphasis: 'detailed',
+    label: 'Detailed',
+    temperature: 0.7,
+    instruction: 'Be exhaustive. Describe materials, textures, secondary elements and small details alongside the subject.'
+  }
+];
+
+// Largest seed every provider accepts (signed 32-bit)
+const MAX_SEED = 2147483647;
+
+/**
+ * Parse the requested number of variations
+ * @param {*} raw - Request value; form fields arrive as strings
+ * @returns {Object} { value, error } - value is 1 when nothing was requested
+ */
+export function parseVariationCount(raw) {
+  if (raw === undefined || raw === null || raw === '') {
+    return { value: 1, error: null };
+  }
+
+  const value = Number(raw);
+  if (!Number.isInteger(value) || value < 1 || value > MAX_VARIATIONS) {
+    return { value: null, error: `"variations" must be a whole number from 1 to ${MAX_VARIATIONS}` };
+  }
+  return { value, error: null };
+}
+
+/**
+ * Pick the emphasis, temperature and seed of each variation
+ * @param {number} count - Number of variations
+ * @returns {Array} [{ id, emphasis, label, temperature, seed, instruction }]
+ */
+export function planVariations(count) {
+  return Array.from({ length: count }, (_, index) => {
+    const base = VARIATION_EMPHASES[index % VARIATION_EMPHASES.length];
+    const round = Math.floor(index / VARIATION_EMPHASES.length);
+
+    return {
+      ...base,
+      id: round === 0 ? base.emphasis : `${base.emphasis}_${round + 1}`,
+      label: round === 0 ? base.label : `${base.label} ${round + 1}`,
+      // Repeats sample a little more freely so they don't converge on the first take
+      temperature: Math.min(base.temperature + round * 0.3, 2),
+      seed: crypto.randomInt(MAX_SEED)
+    };
+  });
+}
+
+/**
+ * Meta-prompt section steering one variation
+ * @param {Object} variation - Entry from planVariations
+ * @returns {string}
+ */
+export function buildVariationInstructions(variation) {
+  return `This is the "${variation.label}" variation, one of several alternatives. ${variation.instruction}`;
+}
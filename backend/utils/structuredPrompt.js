@@ -0,0 +1,144 @@
+// backend/utils/structuredPrompt.js
+/**
+ * Structured prompt output
+ * The model answers with a JSON object describing the image; it is validated
+ * here and rendered per engine by promptRenderers.js, so nothing has to be
+ * scraped out of free-form text
+ */
+
+// Free-text fields in the order they appear in a rendered prompt
+export const DESCRIPTIVE_FIELDS = ['subject', 'pose', 'background', 'style', 'lighting', 'composition', 'camera'];
+const TEXT_FIELDS = [...DESCRIPTIVE_FIELDS, 'negativePrompt'];
+const MAX_FIELD_LENGTH = 2000;
+
+/**
+ * Instructions appended to every analysis prompt
+ * @param {string} engine - Target engine ID
+ * @param {string[]} parameterKeys - Parameter names the engine's renderer understands
+ * @param {Object} options - { differenceCount } images to describe individually when comparing several
+ * @returns {string}
+ */
+export const buildStructuredOutputInstructions = (engine, parameterKeys = [], { differenceCount = 0 } = {}) => `Respond with a single JSON object and nothing else. Use exactly these fields:
+- "subject" (string, required): the main subject
+- "pose" (string): the subject's pose, action or expression, or ""
+- "background" (string): the setting behind the subject, or ""
+- "style" (string): artistic style, medium and influences
+- "lighting" (string): light sources, quality and mood
+- "composition" (string): framing, layout and perspective
+- "camera" (string): lens, shot type and depth of field, or "" if not photographic
+- "palette" (array of strings): dominant colors, most prominent first
+- "negativePrompt" (string): comma-separated things a recreation should avoid, including flaws you can see in the image such as blur, noise, watermarks or distorted anatomy, or ""
+- "parameters" (object): generation parameters suited to ${engine} using only these keys: ${parameterKeys.join(', ') || 'none'}, with string or number values${differenceCount > 0 ? `
+- "differences" (array of exactly ${differenceCount} strings): for each image in upload order, what sets it apart from the others` : ''}
+Write every text field as prompt-ready phrases for ${engine}. Do not use markdown.`;
+
+/**
+ * Validate a parsed model response and normalize it
+ * @param {*} candidate - Parsed JSON value
+ * @param {Object} options - { differenceCount } number of per-image differences required, if any
+ * @returns {Object} { value, errors } - value is null when errors is non-empty
+ */
+export function validateStructuredPrompt(candidate, { differenceCount = 0 } = {}) {
+  if (!candidate || typeof candidate !== 'object' || Array.isArray(candidate)) {
+    return { value: null, errors: ['Response must be a JSON object'] };
+  }
+
+  const errors = [];
+  const value = {};
+
+  for (const field of TEXT_FIELDS) {
+    const raw = candidate[field] ?? '';
+    if (typeof raw !== 'string') {
+      errors.push(`"${field}" must be a string`);
+    } else if (raw.length > MAX_FIELD_LENGTH) {
+      errors.push(`"${field}" is longer than ${MAX_FIELD_LENGTH} characters`);
+    } else {
+      value[field] = raw.trim();
+    }
+  }
+
+  if (value.subject === '') {
+    errors.push('"subject" is required');
+  }
+
+  // Models sometimes send the palette as one comma-separated string
+  const palette = typeof candidate.palette === 'string'
+    ? candidate.palette.split(',')
+    : candidate.palette ?? [];
+  if (!Array.isArray(palette) || palette.some(color => typeof color !== 'string')) {
+    errors.push('"palette" must be an array of strings');
+  } else {
+    value.palette = palette.map(color => color.trim()).filter(Boolean);
+  }
+
+  // Per-image notes, only asked for when comparing several images
+  const differences = candidate.differences ?? [];
+  if (!Array.isArray(differences) || differences.some(item => typeof item !== 'string')) {
+    errors.push('"differences" must be an array of strings');
+  } else if (differenceCount > 0 && differences.length !== differenceCount) {
+    errors.push(`"differences" must have one entry per image (${differenceCount})`);
+  } else {
+    value.differences = differences.map(item => item.trim());
+  }
+
+  const parameters = candidate.parameters ?? {};
+  if (typeof parameters !== 'object' || Array.isArray(parameters)) {
+    errors.push('"parameters" must be an object');
+  } else {
+    const invalidKeys = Object.keys(parameters)
+      .filter(key => !['string', 'number', 'boolean'].includes(typeof parameters[key]));
+    if (invalidKeys.length > 0) {
+      errors.push(`"parameters" values must be strings or numbers (${invalidKeys.join(', ')})`);
+    } else {
+      value.parameters = { ...parameters };
+    }
+  }
+
+  return errors.length > 0 ? { value: null, errors } : { value, errors };
+}
+
+/**
+ * Parse raw model text into a validated structured prompt
+ * Tolerates code fences or stray text around the JSON object
+ * @param {string} text - Raw model output
+ * @param {Object} options - Passed to validateStructuredPrompt
+ * @returns {Object} { value, errors }
+ */
+export function parseStructuredPrompt(text, options = {}) {
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+
+  if (start === -1 || end <= start) {
+    return { value: null, errors: ['Response did not contain a JSON object'] };
+  }
+
+  let candidate;
+  try {
+    candidate = JSON.parse(text.slice(start, end + 1));
+  } catch (error) {
+    return { value: null, errors: [`Invalid JSON: ${error.message}`] };
+  }
+
+  return validateStructuredPrompt(candidate, options);
+}
+
+/**
+ * Pull text fields whose values are complete out of a partial JSON stream
+ * Lets streaming clients preview fields before the object is finished
+ * @param {string} partial - JSON received so far
+ * @returns {Object} Map of field name to value
+ */
+export function extractCompletedFields(partial) {
+  const fields = {};
+  const pattern = new RegExp(`"(${TEXT_FIELDS.join('|')})"\\s*:\\s*"((?:[^"\\\\]|\\\\.)*)"`, 'g');
+
+  for (const [, field, encoded] of partial.matchAll(pattern)) {
+    try {
+      fields[field] = JSON.parse(`"${encoded}"`);
+    } catch {
+      // Skip values with broken escapes
+    }
+  }
+
+  return fields;
+}
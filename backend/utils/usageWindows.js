@@ -0,0 +1,151 @@
+// backend/utils/usageWindows.js
+/**
+ * Daily, weekly and monthly usage window boundaries
+ * Used by the backend's lazy rollover (FirestoreConfigService). An ESM copy of
+ * functions/usageWindows.js, which the reconcileUsageWindows job deploys with;
+ * tests/unit/usageWindows.test.js checks that both compute the same windows
+ */
+
+import { getZonedParts, zonedTimeToUtc } from './timeZone.js';
+
+// [window, limit key, usage counter key, last reset key, window end key] in the order they are checked
+export const USAGE_WINDOWS = [
+  ['daily', 'dailyLimit', 'dailyUsage', 'lastDailyReset', 'dailyResetAt'],
+  ['weekly', 'weeklyLimit', 'weeklyUsage', 'lastWeeklyReset', 'weeklyResetAt'],
+  ['monthly', 'monthlyLimit', 'monthlyUsage', 'lastMonthlyReset', 'monthlyResetAt']
+];
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Shortest each window can be on a local clock (a DST day has 23 hours)
+const MIN_WINDOW_MS = {
+  daily: 23 * HOUR_MS,
+  weekly: 7 * DAY_MS - HOUR_MS,
+  monthly: 28 * DAY_MS - HOUR_MS
+};
+
+const toDate = (value) => {
+  if (!value) return null;
+  return typeof value.toDate === 'function' ? value.toDate() : new Date(value);
+};
+
+// Reset instant on a local calendar day; day offsets roll over months like Date.UTC
+const getDailyResetDate = ({ year, month, day }, dayOffset, { resetHour = 0, timeZone = 'UTC' }) => (
+  zonedTimeToUtc({ year, month, day: day + dayOffset, hour: resetHour }, timeZone)
+);
+
+// Reset date in the given local month, clamped for short months (resetDate 31 in February)
+const getMonthlyResetDate = (year, month, { resetHour = 0, resetDate = 1, timeZone = 'UTC' }) => {
+  const firstOfMonth = new Date(Date.UTC(year, month, 1));
+  const normalizedYear = firstOfMonth.getUTCFullYear();
+  const normalizedMonth = firstOfMonth.getUTCMonth();
+  const daysInMonth = new Date(Date.UTC(normalizedYear, normalizedMonth + 1, 0)).getUTCDate();
+
+  return zonedTimeToUtc({
+    year: normalizedYear,
+    month: normalizedMonth,
+    day: Math.min(resetDate, daysInMonth),
+    hour: resetHour
+  }, timeZone);
+};
+
+/**
+ * Get the start of the current window for a given period
+ * Boundaries are computed on the wall clock of the schedule's time zone (UTC by default)
+ * @param {string} period - daily, weekly or monthly
+ * @param {Date} now - Reference time
+ * @param {Object} schedule - { resetHour, resetDay (0 = Sunday), resetDate, timeZone }
+ * @returns {Date} Most recent reset boundary at or before now
+ */
+export const getWindowStart = (period, now = new Date(), schedule = {}) => {
+  const { resetDay = 1, timeZone = 'UTC' } = schedule;
+  const local = getZonedParts(now, timeZone);
+
+  switch (period) {
+    case 'weekly': {
+      const daysSinceReset = (local.weekday - resetDay + 7) % 7;
+      const start = getDailyResetDate(local, -daysSinceReset, schedule);
+      return start > now ? getDailyResetDate(local, -daysSinceReset - 7, schedule) : start;
+    }
+    case 'monthly': {
+      const start = getMonthlyResetDate(local.year, local.month, schedule);
+      return start > now ? getMonthlyResetDate(local.year, local.month - 1, schedule) : start;
+    }
+    case 'daily':
+    default: {
+      const start = getDailyResetDate(local, 0, schedule);
+      return start > now ? getDailyResetDate(local, -1, schedule) : start;
+    }
+  }
+};
+
+/**
+ * Get next reset time for a given period
+ * @param {string} period - daily, weekly or monthly
+ * @param {Date} now - Reference time
+ * @param {Object} schedule - { resetHour, resetDay, resetDate, timeZone }
+ * @returns {Date} Next reset boundary after now
+ */
+export const getNextResetTime = (period, now = new Date(), schedule = {}) => {
+  const { timeZone = 'UTC' } = schedule;
+  const start = getZonedParts(getWindowStart(period, now, schedule), timeZone);
+
+  switch (period) {
+    case 'weekly':
+      return getDailyResetDate(start, 7, schedule);
+    case 'monthly':
+      return getMonthlyResetDate(start.year, start.month + 1, schedule);
+    case 'daily':
+    default:
+      return getDailyResetDate(start, 1, schedule);
+  }
+};
+
+/**
+ * End of the window a rollover at `now` starts
+ * After a time zone change the first boundary on the new clock can come within
+ * hours of the previous one, so boundaries are skipped until the window has its
+ * full length. Switching zones back and forth can only lengthen windows.
+ * @param {Date|null} previousEnd - End of the window being rolled over
+ * @returns {Date}
+ */
+const getWindowEnd = (period, now, schedule, previousEnd) => {
+  const earliest = previousEnd ? previousEnd.getTime() + MIN_WINDOW_MS[period] : 0;
+  let end = getNextResetTime(period, now, schedule);
+  while (end.getTime() < earliest) {
+    end = getNextResetTime(period, end, schedule);
+  }
+  return end;
+};
+
+/**
+ * Roll over usage windows whose stored end has passed
+ * Each window keeps the end it was given when it started, so a change of time
+ * zone or reset schedule only takes effect from the next window
+ * @param {Object} userData - User document data
+ * @param {Object} schedule - { resetHour, resetDay, resetDate, timeZone }
+ * @param {Date} now - Evaluation time
+ * @returns {Object} { userData, updates } - rolled data and the fields to persist
+ */
+export const applyWindowResets = (userData, schedule = {}, now = new Date()) => {
+  const updates = {};
+
+  for (const [window, , usageKey, resetKey, endKey] of USAGE_WINDOWS) {
+    const lastReset = toDate(userData[resetKey]);
+    const storedEnd = toDate(userData[endKey]);
+    // Documents from before window ends were stored get one from their last reset
+    const windowEnd = storedEnd || (lastReset && getNextResetTime(window, lastReset, schedule));
+
+    // Missing stamps come from legacy documents; start them fresh
+    if (!windowEnd || now >= windowEnd) {
+      updates[usageKey] = 0;
+      updates[resetKey] = now;
+      updates[endKey] = getWindowEnd(window, now, schedule, windowEnd);
+    } else if (!storedEnd) {
+      updates[endKey] = windowEnd;
+    }
+  }
+
+  return { userData: { ...userData, ...updates }, updates };
+};
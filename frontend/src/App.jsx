@@ -8,13 +8,15 @@ import {
   Search, 
   Shield, 
   Heart, 
-  Clock
+  Clock,
+  History
 } from 'lucide-react';
 
 // Import components
 import AnalysisForm from './components/AnalysisForm';
 import Navigation from './components/Navigation';
 import UsageCounter from './components/UsageCounter';
+import HistorySidebar from './components/HistorySidebar';
 import { useAuth } from './components/AuthContext';
 import { SimpleMotion, preloadMotion } from './components/SimpleMotion';
 
@@ -25,6 +27,9 @@ import { SimpleMotion, preloadMotion } from './components/SimpleMotion';
 function App() {
   const [hasAnalysis, setHasAnalysis] = useState(false);
   const [usageController, setUsageController] = useState(null);
+  const [isHistoryOpen, setIsHistoryOpen] = useState(false);
+  const [historySelection, setHistorySelection] = useState(null);
+  const [historyRefreshKey, setHistoryRefreshKey] = useState(0);
   const { currentUser, loading, isOfflineMode } = useAuth();
 
   // Preload motion after component mounts
@@ -39,10 +44,13 @@ function App() {
   const handleAnalysisComplete = (results) => {
     setHasAnalysis(true);
     
-    // Increment usage counter
+    // Increment usage counter by the units the analysis cost
     if (usageController && usageController.incrementUsage) {
-      usageController.incrementUsage();
+      usageController.incrementUsage(results?.metadata?.usage_units || 1);
     }
+
+    // New analyses are saved to history, so refetch it next time it's shown
+    setHistoryRefreshKey(key => key + 1);
     
     setTimeout(() => {
       document.querySelector('#analysis-results')?.scrollIntoView({ 
@@ -58,6 +66,17 @@ function App() {
     }
   };
 
+  // A fresh object each time so picking the same entry twice still applies
+  const handleOpenHistoryEntry = useCallback((entry) => {
+    setHistorySelection({ action: 'open', entry });
+    setIsHistoryOpen(false);
+  }, []);
+
+  const handleRerunHistoryEntry = useCallback((entry) => {
+    setHistorySelection({ action: 'rerun', entry });
+    setIsHistoryOpen(false);
+  }, []);
+
   // Scroll to upload section (keeping for potential future use)
   const scrollToUpload = useCallback(() => {
     document.querySelector('#upload-section')?.scrollIntoView({ 
@@ -96,6 +115,20 @@ function App() {
       {/* Usage Counter Component */}
       <UsageCounter onUsageUpdate={handleUsageUpdate} />
 
+      {/* History Toggle */}
+      {currentUser && !loading && (
+        <div className="flex justify-center mb-8">
+          <button
+            type="button"
+            onClick={() => setIsHistoryOpen(true)}
+            className="flex items-center space-x-2 px-4 py-2 text-sm text-gray-300 hover:text-white bg-white/5 hover:bg-white/10 border border-white/10 rounded-full transition-colors"
+          >
+            <History className="w-4 h-4" />
+            <span>History</span>
+          </button>
+        </div>
+      )}
+
       {/* Simple Offline Mode Notice - only show if needed */}
       {isOfflineMode && (
         <div className="max-w-2xl mx-auto mb-8">
@@ -120,6 +153,7 @@ function App() {
     >
       <AnalysisForm
         onAnalysisComplete={handleAnalysisComplete}
+        historySelection={historySelection}
         apiUrl={import.meta.env.VITE_API_URL}
       />
     </SimpleMotion>
@@ -143,7 +177,7 @@ function App() {
             </h4>
             <p className="text-gray-400 text-sm">
               Your images are processed securely and deleted immediately after analysis. 
-              We never store or share your data.
+              Pro history keeps only small thumbnails, which you can delete at any time. We never share your data.
             </p>
           </div>
         </div>
@@ -186,6 +220,15 @@ function App() {
           {renderFooter()}
         </SimpleMotion>
       </div>
+
+      <HistorySidebar
+        isOpen={isHistoryOpen}
+        onClose={() => setIsHistoryOpen(false)}
+        onOpenEntry={handleOpenHistoryEntry}
+        onRerunEntry={handleRerunHistoryEntry}
+        refreshKey={historyRefreshKey}
+        apiUrl={import.meta.env.VITE_API_URL}
+      />
     </div>
   );
 }
@@ -3,7 +3,7 @@
 // File: frontend/src/components/AnalysisForm.jsx - REPLACE EXISTING
 // =============================================================================
 
-import React, { useState, useCallback, useRef } from 'react';
+import React, { useState, useCallback, useRef, useEffect } from 'react';
 import PropTypes from 'prop-types';
 import { motion, AnimatePresence } from 'framer-motion';
 
@@ -13,7 +13,8 @@ import {
   AlertCircle,
   Clock,
   Sparkles,
-  ArrowRight
+  ArrowRight,
+  RotateCcw
 } from 'lucide-react';
 
 // Component imports
@@ -24,6 +25,15 @@ import FinalOutput from './FinalOutput';
 // Auth context
 import { useAuth } from './AuthContext';
 
+// Streaming and async job clients
+import { streamAnalysis, supportsStreaming } from '../utils/analysisStream';
+import { runAnalysisJob } from '../utils/analysisJobs';
+import { reportOutcome } from '../utils/analysisOutcomes';
+import { requestRefinement } from '../utils/refinement';
+import { countPromptTokens, CLIP_CHUNK_SIZE } from '../utils/tokenCount';
+import { getGoalMinImages, getEngineRenderer } from '../utils/registry';
+import { useRegistry } from '../hooks/useRegistry';
+
 // =============================================================================
 // LAZY LOADERS FOR HEAVY DEPENDENCIES
 // =============================================================================
@@ -43,6 +53,71 @@ const loadAxios = async () => {
   }
 };
 
+// =============================================================================
+// STREAM STAGE LABELS
+// =============================================================================
+
+const STREAM_STAGE_LABELS = {
+  upload: 'Uploading your images...',
+  image_processing: 'Processing images...',
+  model_call: 'Analyzing your images and writing the prompt...',
+  validating: 'Checking the final prompt...'
+};
+
+const JOB_STATUS_LABELS = {
+  queued: 'Your analysis is queued and will start shortly...',
+  processing: 'Analyzing your images and generating the perfect prompt...'
+};
+
+const MAX_FOCUS_LENGTH = 500;
+// The backend also caps variations per tier
+const MAX_VARIATIONS = 5;
+// Stable Diffusion prompts can be compressed to fit whole CLIP chunks
+const TOKEN_BUDGETS = [CLIP_CHUNK_SIZE, CLIP_CHUNK_SIZE * 2];
+
+// Structured prompt fields shown while streaming, in prompt order
+const PREVIEW_FIELDS = ['subject', 'pose', 'background', 'style', 'lighting', 'composition', 'camera'];
+
+const getStreamPreview = (fields) => (
+  PREVIEW_FIELDS.map(field => fields[field]).filter(Boolean).join(', ')
+);
+
+// =============================================================================
+// HISTORY HELPERS
+// =============================================================================
+
+/**
+ * Shape a saved history entry like the metadata FinalOutput receives
+ * from a fresh analysis
+ */
+const buildHistoryResults = (entry) => ({
+  analysis: entry.prompt,
+  prompts: entry.prompts,
+  // Entries saved before these were stored have neither
+  negativePrompt: entry.negativePrompt ?? null,
+  promptPairs: entry.promptPairs || {},
+  structured: entry.structured,
+  params: entry.params,
+  variations: entry.variations || null,
+  goal: entry.goal,
+  engine: entry.engine,
+  focus: entry.focus || '',
+  submitted_at: entry.createdAt,
+  image_count: entry.imageCount,
+  history_id: entry.id,
+  history_entry: entry,
+  metadata: {
+    image_count: entry.imageCount,
+    goal: entry.goal,
+    engine: entry.engine,
+    engines: entry.engines,
+    focus: entry.focus || '',
+    processing_time: entry.processingTime,
+    output_type: 'prompt',
+    history_id: entry.id
+  }
+});
+
 // =============================================================================
 // LAZY MOTION COMPONENTS
 // =============================================================================
@@ -82,6 +157,7 @@ const LazyAnimatePresence = ({ children, ...props }) => {
 const AnalysisForm = ({
   apiUrl = import.meta.env.VITE_API_URL || 'http://localhost:5000',
   onAnalysisComplete,
+  historySelection = null,
   initialState = {}
 }) => {
   // =============================================================================
@@ -92,8 +168,16 @@ const AnalysisForm = ({
     images: initialState.images || [],
     selected_goal: initialState.selected_goal || '',
     selected_engine: initialState.selected_engine || '',
+    selected_engines: initialState.selected_engine ? [initialState.selected_engine] : [],
+    compare_engines: false,
+    focus_text: initialState.focus_text || '',
+    variation_count: 1,
+    token_budget: '',
+    rerun_source: null,
     is_loading: false,
     results: null,
+    stream: null,
+    job_status: null,
     error: null
   });
 
@@ -104,11 +188,16 @@ const AnalysisForm = ({
   });
 
   const resultsRef = useRef(null);
+  const streamAbortRef = useRef(null);
   const [axiosLoaded, setAxiosLoaded] = useState(false);
 
   // Get user from auth context
   const { currentUser, loading } = useAuth();
 
+  // Goals, engines and the compare cap are served by the backend
+  const registry = useRegistry(apiUrl);
+  const minImages = getGoalMinImages(registry, formState.selected_goal);
+
   // =============================================================================
   // API CONFIGURATION
   // =============================================================================
@@ -119,6 +208,15 @@ const AnalysisForm = ({
     return `${baseUrl}${cleanEndpoint}`;
   }, [apiUrl]);
 
+  // Cancel an in-flight stream when the form unmounts
+  useEffect(() => {
+    return () => {
+      if (streamAbortRef.current) {
+        streamAbortRef.current.abort();
+      }
+    };
+  }, []);
+
   // =============================================================================
   // EVENT HANDLERS
   // =============================================================================
@@ -130,8 +228,16 @@ const AnalysisForm = ({
       images: [],
       selected_goal: '',
       selected_engine: '',
+      selected_engines: [],
+      compare_engines: false,
+      focus_text: '',
+      variation_count: 1,
+      token_budget: '',
+      rerun_source: null,
       is_loading: false,
       results: null,
+      stream: null,
+      job_status: null,
       error: null
     });
 
@@ -147,6 +253,95 @@ const AnalysisForm = ({
     console.log('✅ New analysis state reset complete');
   }, []);
 
+  /**
+   * Send a result outcome for prompt experiments
+   */
+  const handleOutcome = useCallback(async (signal, engine) => {
+    const analysisId = formState.results?.metadata?.analysis_id;
+    if (!currentUser || !analysisId) return;
+
+    const idToken = await currentUser.getIdToken();
+    await reportOutcome(getApiEndpoint('/api/analyze/outcomes'), idToken, { analysisId, engine, signal });
+  }, [currentUser, formState.results, getApiEndpoint]);
+
+  const handleRefine = useCallback(async (engine, instruction, fromVersion) => {
+    const analysisId = formState.results?.metadata?.analysis_id;
+    if (!currentUser || !analysisId) {
+      throw new Error('Please sign in to refine prompts');
+    }
+
+    const idToken = await currentUser.getIdToken();
+    return requestRefinement(getApiEndpoint('/api/analyze/refine'), idToken, { analysisId, engine, instruction, fromVersion });
+  }, [currentUser, formState.results, getApiEndpoint]);
+
+  const handleCountTokens = useCallback(async (text) => {
+    if (!currentUser) return null;
+
+    const idToken = await currentUser.getIdToken();
+    return countPromptTokens(getApiEndpoint('/api/analyze/tokens'), idToken, text);
+  }, [currentUser, getApiEndpoint]);
+
+  /**
+   * Start another run with the same goal, engine, focus and number of variations
+   * Images are kept when re-running a fresh result; history entries only
+   * store thumbnails, so those runs ask for the images again
+   */
+  const handleRerun = useCallback((entry = null) => {
+    console.log('🔁 Re-running analysis', entry ? `from history entry ${entry.id}` : 'with current settings');
+
+    const entryEngines = entry ? entry.engines || [entry.engine] : null;
+
+    setFormState(prev => ({
+      ...prev,
+      images: entry ? [] : prev.images,
+      selected_goal: entry ? entry.goal : prev.selected_goal,
+      selected_engine: entry ? entry.engine : prev.selected_engine,
+      selected_engines: entryEngines || prev.selected_engines,
+      compare_engines: entryEngines ? entryEngines.length > 1 : prev.compare_engines,
+      focus_text: entry ? entry.focus || '' : prev.focus_text,
+      variation_count: entry ? entry.variations?.length || 1 : prev.variation_count,
+      rerun_source: entry,
+      is_loading: false,
+      results: null,
+      stream: null,
+      job_status: null,
+      error: null
+    }));
+
+    setValidation({
+      images: { is_valid: true, message: '' },
+      goal: { is_valid: true, message: '' },
+      engine: { is_valid: true, message: '' }
+    });
+  }, []);
+
+  // Open or re-run an entry picked from the history sidebar
+  useEffect(() => {
+    if (!historySelection?.entry) return;
+
+    if (streamAbortRef.current) {
+      streamAbortRef.current.abort();
+      streamAbortRef.current = null;
+    }
+
+    if (historySelection.action === 'rerun') {
+      handleRerun(historySelection.entry);
+      return;
+    }
+
+    // Saved entries have no original files, so stale uploads are dropped
+    setFormState(prev => ({
+      ...prev,
+      images: [],
+      results: buildHistoryResults(historySelection.entry),
+      rerun_source: null,
+      is_loading: false,
+      stream: null,
+      job_status: null,
+      error: null
+    }));
+  }, [historySelection, handleRerun]);
+
   const handleImagesChange = useCallback((newImages) => {
     setFormState(prev => ({
       ...prev,
@@ -173,12 +368,46 @@ const AnalysisForm = ({
     }));
   }, []);
 
-  const handleEngineChange = useCallback((engineId) => {
+  const handleFocusChange = useCallback((e) => {
+    const focusText = e.target.value.slice(0, MAX_FOCUS_LENGTH);
     setFormState(prev => ({
       ...prev,
-      selected_engine: engineId,
-      error: null
+      focus_text: focusText
     }));
+  }, []);
+
+  const handleVariationCountChange = useCallback((e) => {
+    setFormState(prev => ({
+      ...prev,
+      variation_count: Number(e.target.value)
+    }));
+  }, []);
+
+  const handleTokenBudgetChange = useCallback((e) => {
+    setFormState(prev => ({
+      ...prev,
+      token_budget: e.target.value
+    }));
+  }, []);
+
+  const handleEngineChange = useCallback((engineId) => {
+    setFormState(prev => {
+      if (!prev.compare_engines) {
+        return { ...prev, selected_engine: engineId, selected_engines: [engineId], error: null };
+      }
+
+      // Compare mode toggles engines; the first one stays the primary engine
+      const selected_engines = prev.selected_engines.includes(engineId)
+        ? prev.selected_engines.filter(id => id !== engineId)
+        : [...prev.selected_engines, engineId];
+
+      return {
+        ...prev,
+        selected_engines,
+        selected_engine: selected_engines[0] || '',
+        error: null
+      };
+    });
 
     setValidation(prev => ({
       ...prev,
@@ -186,6 +415,15 @@ const AnalysisForm = ({
     }));
   }, []);
 
+  const handleCompareEnginesChange = useCallback((enabled) => {
+    setFormState(prev => ({
+      ...prev,
+      compare_engines: enabled,
+      // Leaving compare mode keeps only the primary engine
+      selected_engines: prev.selected_engine ? [prev.selected_engine] : []
+    }));
+  }, []);
+
   // =============================================================================
   // VALIDATION LOGIC
   // =============================================================================
@@ -214,6 +452,11 @@ const AnalysisForm = ({
         is_valid: false,
         message: 'Please select an analysis goal'
       };
+    } else if (formState.images.length < minImages) {
+      newValidation.goal = {
+        is_valid: false,
+        message: `This goal needs at least ${minImages} images`
+      };
     }
 
     if (!formState.selected_engine) {
@@ -225,7 +468,7 @@ const AnalysisForm = ({
 
     setValidation(newValidation);
     return Object.values(newValidation).every(field => field.is_valid);
-  }, [formState]);
+  }, [formState, minImages]);
 
   // =============================================================================
   // 🔥 FIXED FORM SUBMISSION WITH PROPER ERROR HANDLING
@@ -282,11 +525,6 @@ const AnalysisForm = ({
     }));
 
     try {
-      // Load Axios
-      console.log('🚀 Loading Axios for form submission...');
-      const axios = await loadAxios();
-      setAxiosLoaded(true);
-
       // Get auth token
       const idToken = await currentUser.getIdToken();
       console.log('🔐 Auth token obtained');
@@ -299,33 +537,114 @@ const AnalysisForm = ({
 
       // Send parameters
       formData.append('goal', formState.selected_goal);
-      formData.append('engine', formState.selected_engine);
+
+      const requestedEngines = formState.compare_engines ? formState.selected_engines : [formState.selected_engine];
+      if (requestedEngines.length > 1) {
+        requestedEngines.forEach((engineId) => {
+          formData.append('engines[]', engineId);
+        });
+      } else {
+        formData.append('engine', formState.selected_engine);
+      }
+
+      const focusText = formState.focus_text.trim();
+      if (focusText) {
+        formData.append('prompt', focusText);
+      }
+
+      // Variations are for a single engine; compare mode already returns several prompts
+      const variationCount = requestedEngines.length > 1 ? 1 : formState.variation_count;
+      if (variationCount > 1) {
+        formData.append('variations', String(variationCount));
+      }
+
+      // Only Stable Diffusion prompts are measured in CLIP tokens
+      if (formState.token_budget && requestedEngines.some(engineId => getEngineRenderer(registry, engineId) === 'stable_diffusion')) {
+        formData.append('tokenBudget', formState.token_budget);
+      }
+
+      // Browsers that cannot read streamed responses submit a background job and poll it
+      const useStreaming = supportsStreaming();
+      const endpoint = getApiEndpoint(useStreaming ? '/api/analyze/stream' : '/api/analyze/jobs');
 
       console.log('🚀 Sending analysis request:', {
         imageCount: formState.images.length,
         goal: formState.selected_goal,
-        engine: formState.selected_engine,
-        endpoint: getApiEndpoint('/api/analyze')
+        engines: requestedEngines,
+        hasFocus: Boolean(focusText),
+        streaming: useStreaming,
+        endpoint
       });
 
-      const response = await axios.post(
-        getApiEndpoint('/api/analyze'),
-        formData,
-        {
-          headers: {
-            'Content-Type': 'multipart/form-data',
-            'Authorization': `Bearer ${idToken}`,
-          },
-          timeout: 120000,
-        }
-      );
+      let responseData;
+
+      if (useStreaming) {
+        streamAbortRef.current = new AbortController();
+        setFormState(prev => ({
+          ...prev,
+          stream: { text: '', stage: 'upload', prompts: {}, engine_count: Math.max(requestedEngines.length, variationCount) }
+        }));
+
+        responseData = await streamAnalysis(endpoint, {
+          formData,
+          idToken,
+          signal: streamAbortRef.current.signal,
+          onEvent: ({ event, data }) => {
+            if (event === 'stage') {
+              setFormState(prev => ({
+                ...prev,
+                stream: { ...prev.stream, stage: data.stage }
+              }));
+            } else if (event === 'field') {
+              // Fields arrive as the model completes them; preview them in order
+              setFormState(prev => {
+                const fields = { ...prev.stream?.fields, [data.field]: data.value };
+                return {
+                  ...prev,
+                  stream: { ...prev.stream, fields, text: getStreamPreview(fields) }
+                };
+              });
+            } else if (event === 'engine') {
+              // Multi-engine runs deliver each prompt whole as it finishes
+              setFormState(prev => ({
+                ...prev,
+                stream: { ...prev.stream, prompts: { ...prev.stream?.prompts, [data.engine]: data.analysis } }
+              }));
+            } else if (event === 'variation') {
+              // Variations arrive the same way, keyed by variation
+              setFormState(prev => ({
+                ...prev,
+                stream: { ...prev.stream, prompts: { ...prev.stream?.prompts, [data.id]: data.analysis } }
+              }));
+            }
+          }
+        });
+
+        streamAbortRef.current = null;
+      } else {
+        // Load Axios
+        console.log('🚀 Loading Axios for form submission...');
+        const axios = await loadAxios();
+        setAxiosLoaded(true);
+
+        responseData = await runAnalysisJob(axios, endpoint, {
+          formData,
+          idToken,
+          onStatus: (status) => {
+            setFormState(prev => ({ ...prev, job_status: status }));
+          }
+        });
+      }
 
       const results = {
-        ...response.data,
+        ...responseData,
         goal: formState.selected_goal,
         engine: formState.selected_engine,
+        engines: requestedEngines,
+        focus: focusText,
         submitted_at: new Date().toISOString(),
-        image_count: formState.images.length
+        image_count: formState.images.length,
+        history_id: responseData.metadata?.history_id || null
       };
 
       console.log('✅ Analysis completed:', {
@@ -338,6 +657,9 @@ const AnalysisForm = ({
       setFormState(prev => ({
         ...prev,
         results,
+        rerun_source: null,
+        stream: null,
+        job_status: null,
         is_loading: false,
         error: null
       }));
@@ -357,6 +679,11 @@ const AnalysisForm = ({
 
     } catch (error) {
       console.error('❌ Analysis failed:', error);
+      streamAbortRef.current = null;
+
+      if (error.name === 'AbortError') {
+        return;
+      }
 
       let errorMessage = 'Analysis failed. Please try again.';
 
@@ -377,10 +704,12 @@ const AnalysisForm = ({
       setFormState(prev => ({
         ...prev,
         error: errorMessage,
+        stream: null,
+        job_status: null,
         is_loading: false
       }));
     }
-  }, [formState, currentUser, loading, validateForm, getApiEndpoint, onAnalysisComplete]);
+  }, [formState, currentUser, loading, validateForm, getApiEndpoint, onAnalysisComplete, registry]);
 
   // =============================================================================
   // RENDER HELPER FUNCTIONS
@@ -444,8 +773,45 @@ const AnalysisForm = ({
     );
   };
 
+  const renderRerunNotice = () => {
+    // Once images are back the usual steps take over
+    if (!formState.rerun_source || formState.images.length > 0) return null;
+
+    return (
+      <motion.div
+        className="glass-effect border-blue-400/40 bg-blue-500/10 p-4 rounded-lg"
+        initial={{ opacity: 0, y: -10 }}
+        animate={{ opacity: 1, y: 0 }}
+        exit={{ opacity: 0, y: -10 }}
+      >
+        <div className="flex items-start space-x-3">
+          <RotateCcw className="w-5 h-5 text-blue-400 flex-shrink-0 mt-0.5" />
+          <div className="flex-1">
+            <h4 className="text-blue-300 font-medium mb-1">Running a past analysis again</h4>
+            <p className="text-gray-300 text-sm">
+              Goal, engine{formState.focus_text ? ' and focus' : ''} are loaded. Upload your images to continue.
+            </p>
+          </div>
+        </div>
+      </motion.div>
+    );
+  };
+
+  const getStreamStatus = () => {
+    const { stage, prompts = {}, engine_count: engineCount = 1 } = formState.stream;
+    const readyCount = Object.keys(prompts).length;
+
+    if (engineCount > 1 && stage === 'model_call') {
+      return `${readyCount} of ${engineCount} prompts ready...`;
+    }
+    return STREAM_STAGE_LABELS[stage] || 'Working on it...';
+  };
+
   const renderLoadingState = () => {
-    if (!formState.is_loading) return null;
+    // Once fields arrive the streaming output replaces the overlay
+    if (!formState.is_loading || formState.stream?.text) return null;
+
+    const isPreparing = !axiosLoaded && !formState.stream;
 
     return (
       <motion.div
@@ -462,12 +828,14 @@ const AnalysisForm = ({
         >
           <div className="spinner w-12 h-12 mx-auto mb-4"></div>
           <h3 className="text-xl font-semibold text-white mb-2">
-            {axiosLoaded ? 'Creating Your Prompt...' : 'Loading...'}
+            {isPreparing ? 'Loading...' : 'Creating Your Prompt...'}
           </h3>
           <p className="text-gray-300 text-sm">
-            {axiosLoaded 
-              ? 'Analyzing your images and generating the perfect prompt. This usually takes 30-60 seconds.'
-              : 'Preparing the analysis tools...'
+            {isPreparing
+              ? 'Preparing the analysis tools...'
+              : formState.stream
+                ? getStreamStatus()
+                : JOB_STATUS_LABELS[formState.job_status] || 'Analyzing your images and generating the perfect prompt. This usually takes 30-60 seconds.'
             }
           </p>
           <div className="mt-4 flex items-center justify-center space-x-2 text-blue-400">
@@ -483,20 +851,54 @@ const AnalysisForm = ({
   // MAIN RENDER
   // =============================================================================
 
+  const hasEnoughImages = formState.images.length >= minImages;
+
+  // Show the prompt as it streams in
+  if (formState.stream?.text && !formState.results) {
+    return (
+      <div ref={resultsRef}>
+        <FinalOutput
+          analysis={formState.stream.text}
+          metadata={{
+            image_count: formState.images.length,
+            goal: formState.selected_goal,
+            engine: formState.selected_engine,
+            focus: formState.focus_text.trim(),
+            output_type: 'prompt'
+          }}
+          isStreaming
+          streamStage={STREAM_STAGE_LABELS[formState.stream.stage]}
+          onNewAnalysis={handleNewAnalysis}
+        />
+      </div>
+    );
+  }
+
   // Show final output if available
   if (formState.results) {
     return (
       <div ref={resultsRef}>
         <FinalOutput
+          key={formState.results.history_id || formState.results.submitted_at}
           analysis={formState.results.analysis}
-          metadata={formState.results.metadata || {
+          prompts={formState.results.prompts}
+          structured={formState.results.structured}
+          params={formState.results.params}
+          variations={formState.results.variations}
+          metadata={{
             image_count: formState.images.length,
             goal: formState.selected_goal,
             engine: formState.selected_engine,
             processing_time: formState.results.processingTime,
-            output_type: 'prompt'
+            output_type: 'prompt',
+            ...formState.results.metadata,
+            focus: formState.results.focus
           }}
           onNewAnalysis={handleNewAnalysis}
+          onRerun={() => handleRerun(formState.results.history_entry || null)}
+          onOutcome={handleOutcome}
+          onRefine={handleRefine}
+          onCountTokens={handleCountTokens}
         />
       </div>
     );
@@ -508,6 +910,10 @@ const AnalysisForm = ({
       initial={{ opacity: 0 }}
       animate={{ opacity: 1 }}
     >
+      <LazyAnimatePresence>
+        {renderRerunNotice()}
+      </LazyAnimatePresence>
+
       <form onSubmit={handleSubmit} className="space-y-8">
         {/* Step 1: Image Upload */}
         <LazyMotionDiv>
@@ -542,13 +948,86 @@ const AnalysisForm = ({
               }}
             >
               <GoalEngineSelection
+                goals={registry.goals}
+                engines={registry.engines}
+                registryStatus={registry.status}
                 selectedGoal={formState.selected_goal}
                 selectedEngine={formState.selected_engine}
+                selectedEngines={formState.selected_engines}
                 onGoalChange={handleGoalChange}
                 onEngineChange={handleEngineChange}
+                multiEngine={formState.compare_engines}
+                onMultiEngineChange={handleCompareEnginesChange}
+                maxEngines={registry.multiEngine.maxEngines}
                 disabled={formState.is_loading || loading}
                 imageCount={formState.images.length}
               />
+
+              {/* Optional focus for the model */}
+              <div className="glass-effect p-6 rounded-xl mt-8">
+                <label htmlFor="analysis-focus" className="block text-white font-medium mb-2">
+                  Focus <span className="text-gray-400 text-sm font-normal">(optional)</span>
+                </label>
+                <textarea
+                  id="analysis-focus"
+                  value={formState.focus_text}
+                  onChange={handleFocusChange}
+                  disabled={formState.is_loading || loading}
+                  rows={2}
+                  maxLength={MAX_FOCUS_LENGTH}
+                  placeholder="e.g. keep the neon lighting, ignore the text in the background"
+                  className="w-full bg-white/5 border border-white/10 rounded-lg p-3 text-white text-sm placeholder-gray-500 focus:outline-none focus:border-blue-400/50 resize-none disabled:opacity-50"
+                />
+                <div className="text-right text-xs text-gray-500 mt-1">
+                  {formState.focus_text.length}/{MAX_FOCUS_LENGTH}
+                </div>
+
+                {/* Several alternative prompts for one engine */}
+                {!formState.compare_engines && (
+                  <div className="flex items-center justify-between mt-4">
+                    <label htmlFor="analysis-variations" className="text-white font-medium">
+                      Variations <span className="text-gray-400 text-sm font-normal">(faithful, stylized, minimal, detailed)</span>
+                    </label>
+                    <select
+                      id="analysis-variations"
+                      value={formState.variation_count}
+                      onChange={handleVariationCountChange}
+                      disabled={formState.is_loading || loading}
+                      className="bg-white/5 border border-white/10 rounded-lg px-3 py-2 text-white text-sm focus:outline-none focus:border-blue-400/50 disabled:opacity-50"
+                    >
+                      {Array.from({ length: MAX_VARIATIONS }, (_, index) => index + 1).map(count => (
+                        <option key={count} value={count}>
+                          {count === 1 ? '1 prompt' : `${count} prompts`}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                )}
+
+                {/* Keep Stable Diffusion prompts inside whole CLIP chunks */}
+                {(formState.compare_engines ? formState.selected_engines : [formState.selected_engine])
+                  .some(engineId => getEngineRenderer(registry, engineId) === 'stable_diffusion') && (
+                  <div className="flex items-center justify-between mt-4">
+                    <label htmlFor="analysis-token-budget" className="text-white font-medium">
+                      Token budget <span className="text-gray-400 text-sm font-normal">(Stable Diffusion, subject and style kept first)</span>
+                    </label>
+                    <select
+                      id="analysis-token-budget"
+                      value={formState.token_budget}
+                      onChange={handleTokenBudgetChange}
+                      disabled={formState.is_loading || loading}
+                      className="bg-white/5 border border-white/10 rounded-lg px-3 py-2 text-white text-sm focus:outline-none focus:border-blue-400/50 disabled:opacity-50"
+                    >
+                      <option value="">No limit</option>
+                      {TOKEN_BUDGETS.map(budget => (
+                        <option key={budget} value={budget}>
+                          {budget} tokens ({budget / CLIP_CHUNK_SIZE} chunk{budget > CLIP_CHUNK_SIZE ? 's' : ''})
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                )}
+              </div>
             </motion.div>
           )}
         </AnimatePresence>
@@ -575,6 +1054,7 @@ const AnalysisForm = ({
                 disabled={
                   formState.is_loading || 
                   formState.images.length === 0 || 
+                  !hasEnoughImages ||
                   !formState.selected_goal || 
                   !formState.selected_engine || 
                   loading ||
@@ -584,6 +1064,7 @@ const AnalysisForm = ({
                   glow-button flex items-center space-x-3 px-10 py-4 text-lg font-semibold
                   ${formState.is_loading || 
                     formState.images.length === 0 || 
+                    !hasEnoughImages ||
                     !formState.selected_goal || 
                     !formState.selected_engine || 
                     loading ||
@@ -596,7 +1077,7 @@ const AnalysisForm = ({
                 {formState.is_loading ? (
                   <>
                     <div className="spinner w-5 h-5"></div>
-                    <span>{axiosLoaded ? 'Creating...' : 'Loading...'}</span>
+                    <span>{axiosLoaded || formState.stream ? 'Creating...' : 'Loading...'}</span>
                   </>
                 ) : (
                   <>
@@ -659,10 +1140,15 @@ const AnalysisForm = ({
 AnalysisForm.propTypes = {
   apiUrl: PropTypes.string,
   onAnalysisComplete: PropTypes.func,
+  historySelection: PropTypes.shape({
+    action: PropTypes.oneOf(['open', 'rerun']).isRequired,
+    entry: PropTypes.object.isRequired
+  }),
   initialState: PropTypes.shape({
     images: PropTypes.array,
     selected_goal: PropTypes.string,
-    selected_engine: PropTypes.string
+    selected_engine: PropTypes.string,
+    focus_text: PropTypes.string
   })
 };
 
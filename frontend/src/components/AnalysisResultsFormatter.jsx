@@ -19,6 +19,10 @@ import {
 } from 'lucide-react';
 import PropTypes from 'prop-types';
 
+import PaletteSwatches from './PaletteSwatches';
+import { findGoal, formatEngineLabel } from '../utils/registry';
+import { useRegistry } from '../hooks/useRegistry';
+
 /**
  * Clean AnalysisResultsFormatter Component
  * Consistent snake_case naming throughout
@@ -37,32 +41,15 @@ const AnalysisResultsFormatter = ({
   // =============================================================================
   
   const [copy_status, setCopyStatus] = useState('idle');
+  const registry = useRegistry();
 
   // =============================================================================
   // UTILITY FUNCTIONS - Clean, single version
   // =============================================================================
 
-  const formatGoalName = (goal) => {
-    const goalNames = {
-      'find_common_features': 'Feature Analysis',
-      'copy_image': 'Image Recreation Prompt',
-      'copy_character': 'Character Generation Prompt',
-      'copy_style': 'Style Guide Creation'
-    };
-    return goalNames[goal] || goal?.replace(/_/g, ' ').trim() || 'Analysis';
-  };
+  const formatGoalName = (goal) => findGoal(registry, goal)?.resultTitle || goal?.replace(/_/g, ' ').trim() || 'Analysis';
 
-  const formatEngineName = (engine) => {
-    const engineNames = {
-      'midjourney': 'Midjourney',
-      'dalle': 'DALL-E 3',
-      'stable_diffusion': 'Stable Diffusion',
-      'gemini_imagen': 'Gemini Imagen',
-      'flux': 'Flux',
-      'leonardo': 'Leonardo AI'
-    };
-    return engineNames[engine] || engine?.replace(/_/g, ' ') || '';
-  };
+  const formatEngineName = (engine) => formatEngineLabel(registry, engine);
 
   // =============================================================================
   // PARSING LOGIC
@@ -337,6 +324,8 @@ const AnalysisResultsFormatter = ({
             </span>
           </div>
         )}
+
+        <PaletteSwatches colors={metadata.palette} className="mt-4" />
       </motion.div>
     );
   };
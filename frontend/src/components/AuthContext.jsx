@@ -11,6 +11,7 @@ import React, { createContext, useContext, useEffect, useState, useCallback } fr
 
 // Import the lazy Firebase functions - this keeps the optimization working
 import { lazyFirebaseAuth, lazyFirebaseFirestore, isFirebaseConfigured } from '../firebase/firebase';
+import { getBrowserTimeZone } from '../utils/timeZone';
 
 // =============================================================================
 // AUTH CONTEXT SETUP
@@ -85,14 +86,19 @@ export const AuthProvider = ({ children }) => {
           const userSnap = await lazyFirebaseFirestore.getDoc(userRef);
 
           if (userSnap.exists()) {
-            // User exists - update last login only
+            // User exists - update last login and the browser's time zone
+            // (usage limits reset at midnight on the user's own clock; a new
+            // zone only applies from the next window, see usageWindows.js)
+            const timeZone = getBrowserTimeZone();
             await lazyFirebaseFirestore.setDoc(userRef, {
-              lastLogin: new Date()
+              lastLogin: new Date(),
+              ...(timeZone && { timeZone })
             }, { merge: true });
             console.log('✅ User login updated in Firestore');
           } else {
             // User doesn't exist - DON'T CREATE HERE
-            // Backend will create user with proper scheme on first API call
+            // Backend will create user with proper scheme on first API call,
+            // taking the time zone from the X-Time-Zone header
             console.log('ℹ️ New user detected - will be created by backend on first API call');
           }
         } catch (firestoreError) {
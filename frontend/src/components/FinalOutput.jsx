@@ -12,52 +12,157 @@ import {
   Target,
   Zap,
   Clock,
+  Maximize2,
+  RotateCcw,
+  SlidersHorizontal,
+  ThumbsUp,
+  ThumbsDown,
   X
 } from 'lucide-react';
 import PropTypes from 'prop-types';
 
+import {
+  normalizeParamValue,
+  resolveEngineParams,
+  renderEnginePrompt,
+  renderPromptPair,
+  measurePromptLength
+} from '../utils/promptRenderers';
+import { findGoal, findEngine, formatEngineLabel, getEngineRenderer } from '../utils/registry';
+import { useRegistry } from '../hooks/useRegistry';
+import { describeRefinementCost } from '../utils/refinement';
+import { describeTokenCount } from '../utils/tokenCount';
+import PaletteSwatches from './PaletteSwatches';
+import RefinementChat from './RefinementChat';
+import VariationCards from './VariationCards';
+
+// Wait for a pause in typing before counting tokens again
+const TOKEN_COUNT_DELAY = 400;
+
 /**
  * FinalOutput Component - Clean, Professional Prompt Display
  * Shows ONLY the final prompt/analysis in a beautiful, copy-ready format
  */
 const FinalOutput = ({
   analysis,
+  prompts = null,
+  structured = null,
+  params = null,
+  variations = null,
   metadata = {},
   // REMOVED: onClear prop (was causing issues)
   onNewAnalysis,
+  onRerun,
+  onOutcome,
+  onRefine,
+  onCountTokens,
+  isStreaming = false,
+  streamStage = '',
   className = ''
 }) => {
   const [copy_status, setCopyStatus] = useState('idle');
   const [is_expanded, setIsExpanded] = useState(true);
+  const [active_engine, setActiveEngine] = useState(null);
+  const [is_params_open, setIsParamsOpen] = useState(false);
+  const [character_copied, setCharacterCopied] = useState(false);
+  // Which half of a positive/negative prompt pair was just copied
+  const [pair_copied, setPairCopied] = useState(null);
+  // Thumbs up/down per engine tab
+  const [feedback, setFeedback] = useState({});
+  // Raw input values per engine; invalid entries are kept so typing isn't interrupted
+  const [param_inputs, setParamInputs] = useState({});
+  // Refined versions per engine (version 0 is the original) and the one on screen
+  const [refinements, setRefinements] = useState({});
+  const [selected_versions, setSelectedVersions] = useState({});
+  const [refine_status, setRefineStatus] = useState({ is_refining: false, error: '' });
+  const [refinement_info, setRefinementInfo] = useState(metadata.refinement || null);
+  // Hand edits to the prompt text per engine; parameter changes re-render and replace them
+  const [edited_texts, setEditedTexts] = useState({});
+  // Latest CLIP token count of the Stable Diffusion text on screen
+  const [token_count, setTokenCount] = useState(null);
+  // Text that count belongs to, so unchanged text is never sent to be counted again
+  const countedTextRef = useRef(null);
+  // Variation shown in the main output; the first one is the regular result
+  const [selected_variation, setSelectedVariation] = useState(variations?.[0]?.id || null);
   const textareaRef = useRef(null);
+  const registry = useRegistry();
+
+  // Multi-engine results show one tab per engine; single results keep using `analysis`
+  const engineTabs = prompts ? Object.keys(prompts) : [];
+  const hasEngineTabs = engineTabs.length > 1;
+  const currentEngine = hasEngineTabs && engineTabs.includes(active_engine) ? active_engine : engineTabs[0] || metadata.engine;
+
+  const engineVersions = refinements[currentEngine] || [];
+  const selectedVersion = engineVersions.find(entry => entry.version === selected_versions[currentEngine]) || null;
+  const selectedVariation = variations?.find(variation => variation.id === selected_variation) || null;
+  // Refinements build on the regular result, so they only apply while the first variation is shown
+  const isPrimaryVariation = !selectedVariation || selectedVariation.id === variations[0].id;
+  const shownResult = selectedVersion || (!isPrimaryVariation && {
+    prompt: selectedVariation.analysis,
+    structured: selectedVariation.structured,
+    params: selectedVariation.params
+  }) || null;
+
+  // Parameter changes re-render the structured prompt locally, no model call needed
+  const currentStructured = shownResult?.structured || structured?.[currentEngine] || null;
+  // Engines added in the registry render with one of the built-in formats; /config serves its parameter schema
+  const currentEngineConfig = findEngine(registry, currentEngine);
+  const currentRenderer = getEngineRenderer(registry, currentEngine);
+  const parameterSchema = currentStructured ? currentEngineConfig?.parameters || null : null;
+  const currentInputs = param_inputs[currentEngine] || {};
+  const invalidParams = new Set();
+  const paramOverrides = {};
+  Object.entries(currentInputs).forEach(([key, raw]) => {
+    if (raw === '') {
+      paramOverrides[key] = null;
+      return;
+    }
+    const normalized = normalizeParamValue(parameterSchema[key], raw);
+    if (normalized.error) {
+      invalidParams.add(key);
+    } else {
+      paramOverrides[key] = normalized.value;
+    }
+  });
+  const baseParams = currentStructured
+    ? shownResult?.params || params?.[currentEngine] || resolveEngineParams(currentEngineConfig, currentStructured.parameters)
+    : {};
+  const currentParams = parameterSchema ? resolveEngineParams(currentEngineConfig, baseParams, paramOverrides) : baseParams;
+  const hasParamChanges = Object.keys(currentInputs).length > 0;
+
+  const serverText = shownResult?.prompt ?? (hasEngineTabs ? prompts[currentEngine] : analysis);
+  const generatedText = hasParamChanges && currentStructured
+    ? renderEnginePrompt(currentStructured, currentEngineConfig, currentParams) ?? serverText
+    : serverText;
+  const isEdited = edited_texts[currentEngine] !== undefined;
+  const currentText = isEdited ? edited_texts[currentEngine] : generatedText;
+  // Stable Diffusion reads prompts in CLIP token chunks, so its text gets a live token count
+  const countsTokens = currentRenderer === 'stable_diffusion' && Boolean(onCountTokens) && !isStreaming;
+
+  // Engines with a dedicated negative input get the two halves as separate texts
+  const currentPair = currentEngineConfig?.negativePrompt && currentStructured && !isStreaming
+    ? renderPromptPair(currentStructured, currentEngineConfig, currentParams)
+    : null;
+
+  // Character limits of the selected engine, from the registry
+  // Like the backend, the limit covers only the text pasted into the prompt box, not a separate negative prompt
+  const characterLimit = currentEngineConfig?.maxLength || null;
+  const measuredText = currentPair && !isEdited ? currentPair.prompt : currentText;
+  const measuredLength = measuredText ? measurePromptLength(measuredText, currentEngineConfig, currentParams) : 0;
+  const isOverLimit = Boolean(characterLimit) && measuredLength > characterLimit;
+  const negativeLimit = currentPair ? currentEngineConfig?.maxNegativeLength || null : null;
 
   // =============================================================================
-  // UTILITY FUNCTIONS - REMOVED find_common_features and copy_character
+  // UTILITY FUNCTIONS
   // =============================================================================
 
-  const formatGoalName = (goal) => {
-    const goalNames = {
-      'copy_image': 'Image Recreation Prompt',
-      'copy_style': 'Style Guide'
-    };
-    return goalNames[goal] || 'Analysis Result';
-  };
+  const formatGoalName = (goal) => findGoal(registry, goal)?.resultTitle || 'Analysis Result';
 
-  const formatEngineName = (engine) => {
-    const engineNames = {
-      'midjourney': 'Midjourney',
-      'dalle': 'DALL-E 3',
-      'stable_diffusion': 'Stable Diffusion',
-      'gemini_imagen': 'Gemini Imagen',
-      'flux': 'Flux',
-      'leonardo': 'Leonardo AI'
-    };
-    return engineNames[engine] || '';
-  };
+  const formatEngineName = (engine) => (engine ? formatEngineLabel(registry, engine) : '');
 
   const getOutputTitle = () => {
     const goalName = formatGoalName(metadata.goal);
-    const engineName = formatEngineName(metadata.engine);
+    const engineName = formatEngineName(hasEngineTabs ? currentEngine : metadata.engine);
     
     return engineName ? `${goalName} for ${engineName}` : goalName;
   };
@@ -66,21 +171,83 @@ const FinalOutput = ({
     return 'Copy this prompt and paste it into your AI generator for best results';
   };
 
+  // =============================================================================
+  // OUTCOME SIGNALS
+  // =============================================================================
+
+  // Only prompts produced under an experiment report outcomes
+  const reportOutcome = (signal) => {
+    if (onOutcome && metadata.prompt_versions?.[currentEngine]?.experiment) {
+      onOutcome(signal, currentEngine);
+    }
+  };
+
+  const handleFeedback = (signal) => {
+    if (feedback[currentEngine]) return;
+    setFeedback(prev => ({ ...prev, [currentEngine]: signal }));
+    reportOutcome(signal);
+  };
+
+  const handleRerun = () => {
+    reportOutcome('regenerate');
+    onRerun();
+  };
+
+  // =============================================================================
+  // REFINEMENT
+  // =============================================================================
+
+  const handleRefine = async (instruction) => {
+    setRefineStatus({ is_refining: true, error: '' });
+
+    try {
+      const fromVersion = selected_versions[currentEngine] ?? null;
+      const result = await onRefine(currentEngine, instruction, fromVersion);
+
+      setRefinements(prev => ({ ...prev, [currentEngine]: result.versions }));
+      setSelectedVersions(prev => ({ ...prev, [currentEngine]: result.version }));
+      setRefinementInfo(result.refinement);
+      // Overrides were made for the previous version's parameters
+      handleResetParams();
+      setRefineStatus({ is_refining: false, error: '' });
+      return true;
+    } catch (error) {
+      setRefineStatus({ is_refining: false, error: error.message });
+      return false;
+    }
+  };
+
+  const handleSelectVersion = (version) => {
+    setSelectedVersions(prev => ({ ...prev, [currentEngine]: version }));
+    handleResetParams();
+  };
+
+  const handleSelectVariation = (variationId) => {
+    setSelectedVariation(variationId);
+    // A refined version would otherwise keep covering the chosen variation
+    setSelectedVersions(prev => {
+      const next = { ...prev };
+      delete next[currentEngine];
+      return next;
+    });
+    handleResetParams();
+  };
+
   // =============================================================================
   // COPY FUNCTIONALITY
   // =============================================================================
 
   const handleCopyToClipboard = async () => {
-    if (!analysis) return;
+    if (!currentText || isStreaming) return;
 
     setCopyStatus('copying');
 
     try {
       if (navigator.clipboard && window.isSecureContext) {
-        await navigator.clipboard.writeText(analysis);
+        await navigator.clipboard.writeText(currentText);
       } else {
         const textArea = document.createElement('textarea');
-        textArea.value = analysis;
+        textArea.value = currentText;
         textArea.style.position = 'fixed';
         textArea.style.left = '-999999px';
         textArea.style.top = '-999999px';
@@ -93,6 +260,7 @@ const FinalOutput = ({
 
       setCopyStatus('success');
       setTimeout(() => setCopyStatus('idle'), 3000);
+      reportOutcome('copy');
 
     } catch (error) {
       console.error('Failed to copy to clipboard:', error);
@@ -101,9 +269,60 @@ const FinalOutput = ({
     }
   };
 
+  const handleCopyCharacter = async () => {
+    try {
+      await navigator.clipboard.writeText(currentStructured.subject);
+      setCharacterCopied(true);
+      setTimeout(() => setCharacterCopied(false), 2000);
+    } catch (error) {
+      console.error('Failed to copy character description:', error);
+    }
+  };
+
+  const handleCopyPairField = async (field) => {
+    try {
+      await navigator.clipboard.writeText(currentPair[field]);
+      setPairCopied(field);
+      setTimeout(() => setPairCopied(null), 2000);
+      reportOutcome('copy');
+    } catch (error) {
+      console.error('Failed to copy prompt:', error);
+    }
+  };
+
+  const handleTextEdit = (event) => {
+    setEditedTexts(prev => ({ ...prev, [currentEngine]: event.target.value }));
+  };
+
+  const handleRevertEdits = () => {
+    setEditedTexts(prev => {
+      const next = { ...prev };
+      delete next[currentEngine];
+      return next;
+    });
+  };
+
+  const handleParamChange = (key, raw) => {
+    setParamInputs(prev => ({
+      ...prev,
+      [currentEngine]: { ...prev[currentEngine], [key]: raw }
+    }));
+    handleRevertEdits();
+  };
+
+  const handleResetParams = () => {
+    setParamInputs(prev => {
+      const next = { ...prev };
+      delete next[currentEngine];
+      return next;
+    });
+    handleRevertEdits();
+  };
+
   const handleDownload = () => {
-    const filename = `${metadata.goal || 'analysis'}-${Date.now()}.txt`;
-    const blob = new Blob([analysis], { type: 'text/plain' });
+    const enginePart = hasEngineTabs ? `-${currentEngine}` : '';
+    const filename = `${metadata.goal || 'analysis'}${enginePart}-${Date.now()}.txt`;
+    const blob = new Blob([currentText], { type: 'text/plain' });
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
@@ -112,16 +331,47 @@ const FinalOutput = ({
     a.click();
     document.body.removeChild(a);
     URL.revokeObjectURL(url);
+    reportOutcome('download');
   };
 
   // Auto-resize textarea
   useEffect(() => {
-    if (textareaRef.current && analysis) {
+    if (textareaRef.current && currentText) {
       const textarea = textareaRef.current;
       textarea.style.height = 'auto';
       textarea.style.height = `${Math.max(textarea.scrollHeight, 200)}px`;
     }
-  }, [analysis]);
+  }, [currentText]);
+
+  // Count tokens once typing pauses; a slower earlier request never overwrites a newer count
+  useEffect(() => {
+    if (!countsTokens || !currentText) {
+      countedTextRef.current = null;
+      setTokenCount(null);
+      return undefined;
+    }
+    if (currentText === countedTextRef.current) {
+      return undefined;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const result = await onCountTokens(currentText);
+        if (!cancelled) {
+          countedTextRef.current = currentText;
+          setTokenCount(result);
+        }
+      } catch (error) {
+        console.error('Failed to count tokens:', error);
+      }
+    }, TOKEN_COUNT_DELAY);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [countsTokens, currentText, onCountTokens]);
 
   // =============================================================================
   // ANIMATION VARIANTS
@@ -178,10 +428,23 @@ const FinalOutput = ({
         {metadata.engine && (
           <div className="flex items-center space-x-2 text-green-300">
             <Zap className="w-4 h-4" />
-            <span>{formatEngineName(metadata.engine)}</span>
+            <span>
+              {hasEngineTabs ? `${engineTabs.length} engines` : formatEngineName(metadata.engine)}
+            </span>
           </div>
         )}
         
+        {/* Source size of the first upload, which sets the suggested aspect ratio */}
+        {metadata.image_dimensions?.length > 0 && (
+          <div
+            className="flex items-center space-x-2 text-gray-300"
+            title={metadata.image_dimensions.map(({ width, height }) => `${width}×${height}`).join(', ')}
+          >
+            <Maximize2 className="w-4 h-4" />
+            <span>{metadata.image_dimensions[0].width}×{metadata.image_dimensions[0].height}</span>
+          </div>
+        )}
+
         {metadata.processing_time && (
           <div className="flex items-center space-x-2 text-gray-300">
             <Clock className="w-4 h-4" />
@@ -191,18 +454,77 @@ const FinalOutput = ({
       </div>
 
       <div className="flex items-center space-x-2">
-        {metadata.has_custom_prompt && (
-          <span className="text-xs px-2 py-1 bg-yellow-500/20 text-yellow-300 rounded-full">
+        {(metadata.has_custom_prompt || metadata.focus) && (
+          <span
+            className="text-xs px-2 py-1 bg-yellow-500/20 text-yellow-300 rounded-full"
+            title={metadata.focus ? `Focus: ${metadata.focus}` : undefined}
+          >
             Enhanced
           </span>
         )}
         <span className="text-xs text-gray-400">
-          {analysis?.length || 0} chars
+          {currentText?.length || 0} chars
         </span>
       </div>
     </motion.div>
   );
 
+  const renderCharacterCount = () => {
+    if ((!characterLimit && !negativeLimit) || isStreaming) return null;
+
+    const isNearLimit = !isOverLimit && measuredLength > characterLimit * 0.9;
+    // The server only shortened the regular result, not variations, refinements or hand edits
+    const wasShortened = metadata.length_checks?.[currentEngine]?.shortened && !shownResult && !isEdited;
+
+    return (
+      <div className="flex flex-wrap items-center gap-x-4 gap-y-1 mt-2 text-xs" aria-live="polite">
+        {characterLimit && (
+          <span className={isOverLimit ? 'text-red-400' : isNearLimit ? 'text-amber-300' : 'text-gray-400'}>
+            {measuredLength} / {characterLimit} characters{currentPair && !isEdited ? ' in the prompt' : ''}
+          </span>
+        )}
+        {negativeLimit && (
+          <span className="text-gray-400">
+            {currentPair.negativePrompt.length} / {negativeLimit} characters in the negative prompt
+          </span>
+        )}
+        {isOverLimit && (
+          <span className="text-red-400">
+            Over the {formatEngineName(currentEngine)} limit; the prompt may be rejected or cut off
+          </span>
+        )}
+        {wasShortened && !isOverLimit && (
+          <span className="text-gray-400">Shortened to fit the {formatEngineName(currentEngine)} limit</span>
+        )}
+      </div>
+    );
+  };
+
+  const renderTokenCount = () => {
+    if (!countsTokens || !token_count) return null;
+
+    const { chunkSize, prompt, negativePrompt } = token_count;
+    const isOverChunk = prompt.count > chunkSize || negativePrompt.count > chunkSize;
+
+    return (
+      <div className="flex flex-wrap items-center gap-x-4 gap-y-1 mt-2 text-xs" aria-live="polite">
+        <span className={prompt.count > chunkSize ? 'text-amber-300' : 'text-gray-400'}>
+          Prompt: {describeTokenCount(prompt, chunkSize)}
+        </span>
+        {negativePrompt.count > 0 && (
+          <span className={negativePrompt.count > chunkSize ? 'text-amber-300' : 'text-gray-400'}>
+            Negative: {describeTokenCount(negativePrompt, chunkSize)}
+          </span>
+        )}
+        {isOverChunk && (
+          <span className="text-amber-300">
+            Past {chunkSize} tokens, some tools cut the prompt off or split it into chunks
+          </span>
+        )}
+      </div>
+    );
+  };
+
   const renderOutputBox = () => (
     <motion.div 
       className="space-y-4"
@@ -227,9 +549,44 @@ const FinalOutput = ({
         </button>
       </div>
 
-      <p className="text-sm text-gray-400">
-        {getOutputDescription()}
-      </p>
+      <div className="flex items-center justify-between">
+        <p className="text-sm text-gray-400">
+          {isStreaming ? streamStage || 'Writing your prompt...' : getOutputDescription()}
+        </p>
+        {isEdited && (
+          <button
+            type="button"
+            onClick={handleRevertEdits}
+            className="text-xs text-blue-300 hover:text-blue-200 transition-colors"
+          >
+            Revert edits
+          </button>
+        )}
+      </div>
+
+      {/* Engine Tabs */}
+      {hasEngineTabs && (
+        <div className="flex flex-wrap gap-2" role="tablist">
+          {engineTabs.map((engineId) => (
+            <button
+              key={engineId}
+              type="button"
+              role="tab"
+              aria-selected={engineId === currentEngine}
+              onClick={() => setActiveEngine(engineId)}
+              className={`
+                px-4 py-2 rounded-lg text-sm font-medium transition-colors border
+                ${engineId === currentEngine
+                  ? 'bg-blue-600/30 border-blue-400 text-white'
+                  : 'bg-white/5 border-white/10 text-gray-300 hover:bg-white/10'
+                }
+              `}
+            >
+              {formatEngineName(engineId) || engineId}
+            </button>
+          ))}
+        </div>
+      )}
 
       <AnimatePresence>
         {is_expanded && (
@@ -242,9 +599,11 @@ const FinalOutput = ({
             <div className="relative">
               <textarea
                 ref={textareaRef}
-                value={analysis}
-                readOnly
-                className="w-full p-6 bg-gradient-to-br from-slate-900/50 to-slate-800/50 border border-white/20 rounded-xl text-white placeholder-gray-400 resize-none focus:outline-none focus:ring-2 focus:ring-blue-500/50 focus:border-blue-500/50 transition-all duration-300 backdrop-blur-sm"
+                value={currentText}
+                onChange={handleTextEdit}
+                readOnly={isStreaming}
+                aria-label="Prompt text"
+                className={`w-full p-6 bg-gradient-to-br from-slate-900/50 to-slate-800/50 border ${isOverLimit ? 'border-red-400/60' : 'border-white/20'} rounded-xl text-white placeholder-gray-400 resize-none focus:outline-none focus:ring-2 focus:ring-blue-500/50 focus:border-blue-500/50 transition-all duration-300 backdrop-blur-sm`}
                 style={{
                   minHeight: '250px',
                   fontFamily: 'ui-sans-serif, system-ui, -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, "Helvetica Neue", Arial, "Noto Sans", sans-serif',
@@ -258,12 +617,210 @@ const FinalOutput = ({
               {/* Subtle gradient overlay for depth */}
               <div className="absolute inset-0 bg-gradient-to-t from-black/5 to-transparent pointer-events-none rounded-xl" />
             </div>
+            {renderCharacterCount()}
+            {renderTokenCount()}
           </motion.div>
         )}
       </AnimatePresence>
     </motion.div>
   );
 
+  const renderParamInput = (key, spec) => {
+    const value = currentInputs[key] ?? (currentParams[key] !== undefined ? String(currentParams[key]) : '');
+    const inputClass = `w-full px-3 py-2 bg-white/5 border rounded-lg text-white text-sm focus:outline-none focus:ring-2 focus:ring-blue-500/50 ${
+      invalidParams.has(key) ? 'border-red-400' : 'border-white/20'
+    }`;
+
+    if (spec.type === 'select') {
+      return (
+        <select
+          id={`param-${key}`}
+          value={value}
+          onChange={(event) => handleParamChange(key, event.target.value)}
+          className={inputClass}
+        >
+          <option value="">Not set</option>
+          {spec.options.map(option => (
+            <option key={option} value={option}>{option}</option>
+          ))}
+        </select>
+      );
+    }
+
+    return (
+      <input
+        id={`param-${key}`}
+        type={spec.type === 'number' ? 'number' : 'text'}
+        value={value}
+        min={spec.min}
+        max={spec.max}
+        step={spec.step}
+        placeholder={spec.type === 'ratio' ? '16:9' : 'Not set'}
+        onChange={(event) => handleParamChange(key, event.target.value)}
+        className={inputClass}
+      />
+    );
+  };
+
+  // Positive and negative prompt side by side, for engines with separate inputs for each
+  const renderNegativePromptBoxes = () => {
+    if (!currentPair) return null;
+
+    const boxes = [
+      { field: 'prompt', title: 'Prompt', text: currentPair.prompt, tone: 'text-blue-200' },
+      { field: 'negativePrompt', title: 'Negative Prompt', text: currentPair.negativePrompt, tone: 'text-red-200' }
+    ];
+
+    return (
+      <motion.div
+        className="grid grid-cols-1 md:grid-cols-2 gap-4"
+        variants={itemVariants}
+      >
+        {boxes.map(({ field, title, text, tone }) => (
+          <div key={field} className="p-4 bg-white/5 rounded-lg border border-white/10 space-y-2">
+            <div className="flex items-center justify-between">
+              <h4 className={`${tone} font-medium`}>{title}</h4>
+              <button
+                type="button"
+                onClick={() => handleCopyPairField(field)}
+                disabled={!text}
+                className="flex items-center space-x-1 text-xs text-gray-300 hover:text-white transition-colors disabled:opacity-50"
+              >
+                {pair_copied === field ? <Check className="w-4 h-4" /> : <Copy className="w-4 h-4" />}
+                <span>{pair_copied === field ? 'Copied!' : 'Copy'}</span>
+              </button>
+            </div>
+            <p className="text-gray-200 text-sm leading-relaxed whitespace-pre-wrap">{text || 'Nothing to avoid'}</p>
+          </div>
+        ))}
+      </motion.div>
+    );
+  };
+
+  // The character's traits alone, ready to paste into prompts for new scenes
+  const renderCharacterSheet = () => {
+    if (metadata.goal !== 'copy_character' || !currentStructured || isStreaming) return null;
+
+    return (
+      <motion.div
+        className="p-4 bg-indigo-500/10 rounded-lg border border-indigo-500/20 space-y-2"
+        variants={itemVariants}
+      >
+        <div className="flex items-center justify-between">
+          <h4 className="text-indigo-200 font-medium">Reusable Character Description</h4>
+          <button
+            type="button"
+            onClick={handleCopyCharacter}
+            className="flex items-center space-x-1 text-xs text-indigo-300 hover:text-indigo-100 transition-colors"
+          >
+            {character_copied ? <Check className="w-4 h-4" /> : <Copy className="w-4 h-4" />}
+            <span>{character_copied ? 'Copied!' : 'Copy'}</span>
+          </button>
+        </div>
+        <p className="text-gray-200 text-sm leading-relaxed">{currentStructured.subject}</p>
+        {(currentStructured.pose || currentStructured.background) && (
+          <p className="text-gray-400 text-xs">
+            Pose and background are left out so you can place the character in any scene.
+          </p>
+        )}
+      </motion.div>
+    );
+  };
+
+  // What the shared prompt leaves out, one line per uploaded image
+  const renderDifferences = () => {
+    const differences = currentStructured?.differences;
+    if (metadata.goal !== 'find_common_features' || !differences?.length || isStreaming) return null;
+
+    return (
+      <motion.div
+        className="p-4 bg-cyan-500/10 rounded-lg border border-cyan-500/20 space-y-2"
+        variants={itemVariants}
+      >
+        <h4 className="text-cyan-200 font-medium">What Sets Each Image Apart</h4>
+        <ul className="space-y-1 text-sm">
+          {differences.map((difference, index) => (
+            <li key={index} className="text-gray-200">
+              <span className="text-cyan-300 font-medium">Image {index + 1}:</span> {difference}
+            </li>
+          ))}
+        </ul>
+      </motion.div>
+    );
+  };
+
+  const renderParameterPanel = () => {
+    if (!parameterSchema || isStreaming) return null;
+
+    return (
+      <motion.div
+        className="p-4 bg-white/5 rounded-lg border border-white/10 space-y-4"
+        variants={itemVariants}
+      >
+        <div className="flex items-center justify-between">
+          <button
+            type="button"
+            onClick={() => setIsParamsOpen(!is_params_open)}
+            className="flex items-center space-x-2 text-white font-medium"
+            aria-expanded={is_params_open}
+          >
+            <SlidersHorizontal className="w-4 h-4 text-blue-400" />
+            <span>{formatEngineName(currentEngine)} Parameters</span>
+          </button>
+
+          {hasParamChanges && (
+            <button
+              type="button"
+              onClick={handleResetParams}
+              className="text-xs text-blue-300 hover:text-blue-200 transition-colors"
+            >
+              Reset to suggested
+            </button>
+          )}
+        </div>
+
+        {is_params_open && (
+          <div className="grid grid-cols-2 md:grid-cols-3 gap-4">
+            {Object.entries(parameterSchema).map(([key, spec]) => (
+              <div key={key} className="space-y-1">
+                <label htmlFor={`param-${key}`} className="block text-xs text-gray-400">
+                  {spec.label}
+                  {spec.type === 'number' && ` (${spec.min}–${spec.max})`}
+                </label>
+                {renderParamInput(key, spec)}
+              </div>
+            ))}
+          </div>
+        )}
+      </motion.div>
+    );
+  };
+
+  const renderRefinementChat = () => {
+    // Analyses without refinement settings have no session to refine (anonymous users, tiers without refinement)
+    if (!onRefine || !metadata.analysis_id || !refinement_info || isStreaming || !isPrimaryVariation) return null;
+
+    // Before the first refinement the original prompt is the only version
+    const versions = engineVersions.length > 0
+      ? engineVersions
+      : [{ version: 0, baseVersion: null, instruction: null }];
+
+    return (
+      <motion.div variants={itemVariants}>
+        <RefinementChat
+          versions={versions}
+          selectedVersion={selectedVersion?.version ?? versions[versions.length - 1].version}
+          onSelectVersion={handleSelectVersion}
+          onSubmit={handleRefine}
+          isRefining={refine_status.is_refining}
+          error={refine_status.error}
+          costNote={describeRefinementCost(refinement_info)}
+          limitReached={(refinement_info.turnsUsed || 0) >= refinement_info.maxTurns}
+        />
+      </motion.div>
+    );
+  };
+
   const renderActionButtons = () => (
     <motion.div 
       className="flex flex-wrap gap-3"
@@ -272,7 +829,7 @@ const FinalOutput = ({
       {/* Primary Copy Button */}
       <motion.button
         onClick={handleCopyToClipboard}
-        disabled={copy_status === 'copying'}
+        disabled={copy_status === 'copying' || isStreaming}
         className={`
           flex items-center space-x-2 px-6 py-3 rounded-xl font-semibold transition-all duration-300
           ${copy_status === 'success' 
@@ -320,9 +877,10 @@ const FinalOutput = ({
       {/* Secondary Actions */}
       <motion.button
         onClick={handleDownload}
-        className="flex items-center space-x-2 px-4 py-3 bg-emerald-600 hover:bg-emerald-700 text-white rounded-xl font-medium transition-all duration-300 shadow-emerald-500/25 shadow-lg hover:shadow-xl"
-        whileHover={{ scale: 1.05, y: -2 }}
-        whileTap={{ scale: 0.95 }}
+        disabled={isStreaming}
+        className="flex items-center space-x-2 px-4 py-3 bg-emerald-600 hover:bg-emerald-700 text-white rounded-xl font-medium transition-all duration-300 shadow-emerald-500/25 shadow-lg hover:shadow-xl disabled:opacity-50 disabled:cursor-not-allowed"
+        whileHover={!isStreaming ? { scale: 1.05, y: -2 } : {}}
+        whileTap={!isStreaming ? { scale: 0.95 } : {}}
       >
         <Download className="w-4 h-4" />
         <span>Download</span>
@@ -332,16 +890,60 @@ const FinalOutput = ({
 
       <motion.button
         onClick={onNewAnalysis}
-        className="flex items-center space-x-2 px-4 py-3 bg-purple-600 hover:bg-purple-700 text-white rounded-xl font-medium transition-all duration-300 shadow-purple-500/25 shadow-lg hover:shadow-xl"
-        whileHover={{ scale: 1.05, y: -2 }}
-        whileTap={{ scale: 0.95 }}
+        disabled={isStreaming}
+        className="flex items-center space-x-2 px-4 py-3 bg-purple-600 hover:bg-purple-700 text-white rounded-xl font-medium transition-all duration-300 shadow-purple-500/25 shadow-lg hover:shadow-xl disabled:opacity-50 disabled:cursor-not-allowed"
+        whileHover={!isStreaming ? { scale: 1.05, y: -2 } : {}}
+        whileTap={!isStreaming ? { scale: 0.95 } : {}}
       >
         <Sparkles className="w-4 h-4" />
         <span>New Analysis</span>
       </motion.button>
+
+      {/* Run again keeps the goal, engine and focus */}
+      {onRerun && (
+        <motion.button
+          onClick={handleRerun}
+          disabled={isStreaming}
+          className="flex items-center space-x-2 px-4 py-3 bg-white/10 hover:bg-white/20 text-white rounded-xl font-medium transition-all duration-300 border border-white/20 disabled:opacity-50 disabled:cursor-not-allowed"
+          whileHover={!isStreaming ? { scale: 1.05, y: -2 } : {}}
+          whileTap={!isStreaming ? { scale: 0.95 } : {}}
+        >
+          <RotateCcw className="w-4 h-4" />
+          <span>Run Again</span>
+        </motion.button>
+      )}
     </motion.div>
   );
 
+  const renderFeedback = () => {
+    if (isStreaming) return null;
+    const given = feedback[currentEngine];
+
+    return (
+      <motion.div
+        className="flex items-center justify-center space-x-3 text-sm text-gray-400"
+        variants={itemVariants}
+      >
+        <span>{given ? 'Thanks for the feedback!' : 'Was this prompt useful?'}</span>
+        {[['thumbs_up', ThumbsUp, 'text-green-400'], ['thumbs_down', ThumbsDown, 'text-red-400']].map(([signal, Icon, activeColor]) => (
+          <button
+            key={signal}
+            type="button"
+            onClick={() => handleFeedback(signal)}
+            disabled={Boolean(given)}
+            className={`p-2 rounded-lg border border-white/10 transition-colors disabled:cursor-default ${
+              given === signal ? activeColor : 'hover:bg-white/10'
+            }`}
+            aria-label={signal === 'thumbs_up' ? 'Useful' : 'Not useful'}
+            aria-pressed={given === signal}
+          >
+            <Icon className="w-4 h-4" />
+          </button>
+        ))}
+      </motion.div>
+    );
+  };
+
   const renderProTips = () => {
     if (!metadata.goal) return null;
 
@@ -355,7 +957,6 @@ const FinalOutput = ({
           Pro Tips
         </h4>
         <div className="text-sm text-amber-100/90 space-y-1">
-          {/* REMOVED find_common_features tips */}
           {metadata.goal === 'copy_image' && (
             <>
               <p>• Copy this prompt directly into your AI generator</p>
@@ -370,6 +971,20 @@ const FinalOutput = ({
               <p>• Experiment with different style weights in your generator</p>
             </>
           )}
+          {metadata.goal === 'copy_character' && (
+            <>
+              <p>• Paste the character description into every scene prompt</p>
+              <p>• Describe a new pose and background around it</p>
+              <p>• Add a fixed seed or character reference where your generator supports it</p>
+            </>
+          )}
+          {metadata.goal === 'find_common_features' && (
+            <>
+              <p>• The prompt keeps only what all your images share</p>
+              <p>• Add back details from one image&apos;s differences to lean towards it</p>
+              <p>• Upload more varied examples to sharpen the common theme</p>
+            </>
+          )}
         </div>
       </motion.div>
     );
@@ -396,23 +1011,34 @@ const FinalOutput = ({
         className="text-center space-y-3"
         variants={itemVariants}
       >
-        <motion.div
-          className="inline-flex items-center justify-center w-16 h-16 bg-green-500/20 rounded-full mb-4"
-          initial={{ scale: 0, rotate: -180 }}
-          animate={{ scale: 1, rotate: 0 }}
-          transition={{ duration: 0.6, type: "spring", delay: 0.2 }}
-        >
-          <Check className="w-8 h-8 text-green-400" />
-        </motion.div>
+        {isStreaming ? (
+          <div className="inline-flex items-center justify-center w-16 h-16 bg-blue-500/20 rounded-full mb-4">
+            <div className="spinner w-8 h-8"></div>
+          </div>
+        ) : (
+          <motion.div
+            className="inline-flex items-center justify-center w-16 h-16 bg-green-500/20 rounded-full mb-4"
+            initial={{ scale: 0, rotate: -180 }}
+            animate={{ scale: 1, rotate: 0 }}
+            transition={{ duration: 0.6, type: "spring", delay: 0.2 }}
+          >
+            <Check className="w-8 h-8 text-green-400" />
+          </motion.div>
+        )}
         
         <h1 className="text-3xl font-bold bg-gradient-to-r from-blue-400 via-purple-400 to-pink-400 bg-clip-text text-transparent">
-          {metadata.output_type === 'prompt' ? 'Your Prompt is Ready!' : 'Analysis Complete!'}
+          {isStreaming
+            ? 'Writing Your Prompt...'
+            : metadata.output_type === 'prompt' ? 'Your Prompt is Ready!' : 'Analysis Complete!'
+          }
         </h1>
         
         <p className="text-gray-300 text-lg">
-          {metadata.output_type === 'prompt' 
-            ? 'Copy the optimized prompt below and use it in your AI generator'
-            : 'Your detailed visual analysis is ready for review'
+          {isStreaming
+            ? 'The prompt appears below as it is generated'
+            : metadata.output_type === 'prompt' 
+              ? 'Copy the optimized prompt below and use it in your AI generator'
+              : 'Your detailed visual analysis is ready for review'
           }
         </p>
       </motion.div>
@@ -423,20 +1049,69 @@ const FinalOutput = ({
       {/* Main Output Box */}
       {renderOutputBox()}
 
+      {/* Separate Positive / Negative Prompts */}
+      {renderNegativePromptBoxes()}
+
+      {/* Character Traits */}
+      {renderCharacterSheet()}
+
+      {/* Per-Image Differences */}
+      {renderDifferences()}
+
+      {/* Engine Parameters */}
+      {renderParameterPanel()}
+
+      {/* Alternative Prompts */}
+      {!isStreaming && variations?.length > 1 && (
+        <motion.div variants={itemVariants}>
+          <VariationCards
+            variations={variations}
+            selectedId={selected_variation}
+            onSelect={handleSelectVariation}
+            filenamePrefix={metadata.goal || 'analysis'}
+            onCopy={() => reportOutcome('copy')}
+            onDownload={() => reportOutcome('download')}
+          />
+        </motion.div>
+      )}
+
+      {/* Follow-up Refinements */}
+      {renderRefinementChat()}
+
+      {/* Measured Color Palette */}
+      {!isStreaming && metadata.palette?.length > 0 && (
+        <motion.div variants={itemVariants}>
+          <PaletteSwatches colors={metadata.palette} />
+        </motion.div>
+      )}
+
       {/* Action Buttons */}
       {renderActionButtons()}
 
+      {/* Thumbs Up / Down */}
+      {renderFeedback()}
+
       {/* Pro Tips */}
-      {renderProTips()}
+      {!isStreaming && renderProTips()}
     </motion.div>
   );
 };
 
 FinalOutput.propTypes = {
   analysis: PropTypes.string.isRequired,
+  prompts: PropTypes.objectOf(PropTypes.string),
+  structured: PropTypes.objectOf(PropTypes.object),
+  params: PropTypes.objectOf(PropTypes.object),
+  variations: PropTypes.arrayOf(PropTypes.object),
   metadata: PropTypes.object,
   // REMOVED: onClear prop type (was causing issues)
   onNewAnalysis: PropTypes.func.isRequired,
+  onRerun: PropTypes.func,
+  onOutcome: PropTypes.func,
+  onRefine: PropTypes.func,
+  onCountTokens: PropTypes.func,
+  isStreaming: PropTypes.bool,
+  streamStage: PropTypes.string,
   className: PropTypes.string
 };
 
@@ -13,79 +13,35 @@ import {
   Bot, 
   Sparkles, 
   Camera, 
-  Cpu
+  Cpu,
+  Layers,
+  User,
+  Search,
+  RefreshCw,
+  AlertCircle
 } from 'lucide-react';
 import PropTypes from 'prop-types';
 
 // =============================================================================
-// GOAL DEFINITIONS
+// REGISTRY ICONS
 // =============================================================================
-const goals = [
-  {
-    id: 'copy_image',
-    title: 'Copy Image',
-    description: 'Create a prompt to recreate the entire image accurately.',
-    icon: Copy,
-    color: 'green',
-    bestFor: 'Recreating specific images'
-  },
-  {
-    id: 'copy_style',
-    title: 'Copy Style',
-    description: 'Isolate and describe the artistic style for new creations.',
-    icon: Palette,
-    color: 'orange',
-    bestFor: 'Applying style to new subjects'
-  }
-];
+// Goals and engines come from the backend registry, which names icons by key
+const ICONS = {
+  copy: Copy,
+  palette: Palette,
+  user: User,
+  search: Search,
+  bot: Bot,
+  cpu: Cpu,
+  camera: Camera,
+  zap: Zap,
+  sparkles: Sparkles
+};
 
-// =============================================================================
-// ENGINE DEFINITIONS
-// =============================================================================
-const engines = [
-  {
-    id: 'midjourney',
-    name: 'Midjourney',
-    description: 'Artistic images',
-    icon: Palette,
-    color: 'purple'
-  },
-  {
-    id: 'dalle',
-    name: 'ChatGPT (DALL-E 3)',
-    description: 'OpenAI\'s latest image generator',
-    icon: Bot,
-    color: 'green'
-  },
-  {
-    id: 'stable_diffusion',
-    name: 'Stable Diffusion',
-    description: 'Open-source model',
-    icon: Cpu,
-    color: 'blue'
-  },
-  {
-    id: 'gemini_imagen',
-    name: 'Google Gemini (Imagen)',
-    description: 'Strong photorealism',
-    icon: Camera,
-    color: 'orange'
-  },
-  {
-    id: 'flux',
-    name: 'Flux',
-    description: 'State-of-the-art model',
-    icon: Zap,
-    color: 'cyan'
-  },
-  {
-    id: 'leonardo',
-    name: 'Leonardo AI',
-    description: 'Fine-tuned control options',
-    icon: Sparkles,
-    color: 'indigo'
-  }
-];
+const getIcon = (key) => ICONS[key] || Sparkles;
+
+// "pro" -> "Pro only" for entries limited to some tiers
+const formatTiers = (tiers) => `${tiers.map(tier => tier.charAt(0).toUpperCase() + tier.slice(1)).join(' / ')} only`;
 
 // =============================================================================
 // STYLING HELPER FUNCTION
@@ -141,10 +97,17 @@ const getColorClasses = (color, isSelected = false, isHovered = false) => {
 // MAIN COMPONENT
 // =============================================================================
 function GoalEngineSelection({ 
+  goals = [],
+  engines = [],
+  registryStatus = 'ready',
   selectedGoal,
   selectedEngine,
+  selectedEngines = [],
   onGoalChange, 
   onEngineChange,
+  multiEngine = false,
+  onMultiEngineChange,
+  maxEngines = 3,
   disabled = false,
   imageCount = 0 
 }) {
@@ -154,13 +117,25 @@ function GoalEngineSelection({
   // =============================================================================
   // EVENT HANDLERS
   // =============================================================================
-  const handleGoalClick = (goalId) => {
-    if (disabled) return;
-    onGoalChange(goalId);
+  // Goals that compare images stay locked until enough are uploaded
+  const isGoalLocked = (goal) => disabled || imageCount < (goal.minImages || 1);
+
+  const handleGoalClick = (goal) => {
+    if (isGoalLocked(goal)) return;
+    onGoalChange(goal.id);
   };
 
+  const isEngineSelected = (engineId) => (
+    multiEngine ? selectedEngines.includes(engineId) : selectedEngine === engineId
+  );
+
+  // In compare mode, unselected engines lock once the cap is reached
+  const isEngineLocked = (engineId) => (
+    multiEngine && !selectedEngines.includes(engineId) && selectedEngines.length >= maxEngines
+  );
+
   const handleEngineClick = (engineId) => {
-    if (disabled) return;
+    if (disabled || isEngineLocked(engineId)) return;
     onEngineChange(engineId);
   };
 
@@ -233,9 +208,10 @@ function GoalEngineSelection({
       <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
         <AnimatePresence mode="wait">
           {goals.map((goal) => {
-          const Icon = goal.icon;
+          const Icon = getIcon(goal.icon);
           const isSelected = selectedGoal === goal.id;
           const isHovered = hoveredGoal === goal.id;
+          const isLocked = isGoalLocked(goal);
           const colorClasses = getColorClasses(goal.color, isSelected, isHovered);
 
           return (
@@ -244,14 +220,15 @@ function GoalEngineSelection({
               className={`
                 relative p-5 rounded-lg border-2 cursor-pointer transition-all duration-200
                 ${colorClasses.border} ${colorClasses.bg}
-                ${disabled ? 'opacity-50 cursor-not-allowed' : 'hover:scale-[1.02]'}
+                ${isLocked ? 'opacity-50 cursor-not-allowed' : 'hover:scale-[1.02]'}
               `}
               variants={cardVariants}
-              onClick={() => handleGoalClick(goal.id)}
-              onMouseEnter={() => !disabled && setHoveredGoal(goal.id)}
+              onClick={() => handleGoalClick(goal)}
+              onMouseEnter={() => !isLocked && setHoveredGoal(goal.id)}
               onMouseLeave={() => setHoveredGoal(null)}
-              whileHover={!disabled ? { scale: 1.02, y: -2 } : {}}
-              whileTap={!disabled ? { scale: 0.98 } : {}}
+              whileHover={!isLocked ? { scale: 1.02, y: -2 } : {}}
+              whileTap={!isLocked ? { scale: 0.98 } : {}}
+              aria-disabled={isLocked}
             >
               {/* Selection Indicator */}
               <AnimatePresence>
@@ -274,7 +251,7 @@ function GoalEngineSelection({
                 </div>
                 <div>
                   <h4 className={`font-semibold ${colorClasses.text}`}>
-                    {goal.title}
+                    {goal.name}
                   </h4>
                   <p className="text-xs text-gray-400">
                     {goal.bestFor}
@@ -285,6 +262,18 @@ function GoalEngineSelection({
               <p className="text-sm text-gray-300">
                 {goal.description}
               </p>
+
+              {goal.tiers && (
+                <p className="text-xs text-amber-300 mt-2">
+                  {formatTiers(goal.tiers)}
+                </p>
+              )}
+
+              {goal.minImages > 1 && imageCount < goal.minImages && (
+                <p className="text-xs text-yellow-300 mt-2">
+                  Add at least {goal.minImages} images to use this goal
+                </p>
+              )}
             </motion.div>
           );
                   })}
@@ -303,15 +292,39 @@ function GoalEngineSelection({
           Optimize for AI Engine
         </h3>
         <p className="text-gray-300 text-sm">
-          Choose which AI model you'll use so we can optimize your prompt accordingly
+          {multiEngine
+            ? `Pick up to ${maxEngines} engines to get a tailored prompt for each`
+            : 'Choose which AI model you\'ll use so we can optimize your prompt accordingly'
+          }
         </p>
+
+        {onMultiEngineChange && (
+          <button
+            type="button"
+            onClick={() => !disabled && onMultiEngineChange(!multiEngine)}
+            disabled={disabled}
+            className={`
+              mt-3 inline-flex items-center space-x-2 px-3 py-1.5 rounded-full text-xs border transition-colors
+              ${multiEngine
+                ? 'bg-blue-500/20 border-blue-400 text-blue-200'
+                : 'bg-white/5 border-white/20 text-gray-300 hover:bg-white/10'
+              }
+              ${disabled ? 'opacity-50 cursor-not-allowed' : ''}
+            `}
+            aria-pressed={multiEngine}
+          >
+            <Layers className="w-3.5 h-3.5" />
+            <span>Compare engines</span>
+          </button>
+        )}
       </div>
 
       <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-6 gap-3">
         <AnimatePresence mode="wait">
           {engines.map((engine) => {
-          const Icon = engine.icon;
-          const isSelected = selectedEngine === engine.id;
+          const Icon = getIcon(engine.icon);
+          const isSelected = isEngineSelected(engine.id);
+          const isLocked = disabled || isEngineLocked(engine.id);
           const isHovered = hoveredEngine === engine.id;
           const colorClasses = getColorClasses(engine.color, isSelected, isHovered);
 
@@ -321,14 +334,14 @@ function GoalEngineSelection({
               className={`
                 relative p-4 rounded-lg border-2 cursor-pointer transition-all duration-200 text-center
                 ${colorClasses.border} ${colorClasses.bg}
-                ${disabled ? 'opacity-50 cursor-not-allowed' : 'hover:scale-[1.05]'}
+                ${isLocked ? 'opacity-50 cursor-not-allowed' : 'hover:scale-[1.05]'}
               `}
               variants={cardVariants}
               onClick={() => handleEngineClick(engine.id)}
-              onMouseEnter={() => !disabled && setHoveredEngine(engine.id)}
+              onMouseEnter={() => !isLocked && setHoveredEngine(engine.id)}
               onMouseLeave={() => setHoveredEngine(null)}
-              whileHover={!disabled ? { scale: 1.05, y: -3 } : {}}
-              whileTap={!disabled ? { scale: 0.95 } : {}}
+              whileHover={!isLocked ? { scale: 1.05, y: -3 } : {}}
+              whileTap={!isLocked ? { scale: 0.95 } : {}}
             >
               {/* Selection Indicator */}
               <AnimatePresence>
@@ -358,6 +371,12 @@ function GoalEngineSelection({
               <p className="text-xs text-gray-400 mb-2 line-clamp-2">
                 {engine.description}
               </p>
+
+              {engine.tiers && (
+                <p className="text-xs text-amber-300">
+                  {formatTiers(engine.tiers)}
+                </p>
+              )}
             </motion.div>
           );
                   })}
@@ -366,9 +385,36 @@ function GoalEngineSelection({
     </motion.div>
   );
 
+  // Goals and engines only come from the backend, so there is nothing to pick until they load
+  const renderRegistryStatus = () => (
+    <motion.div
+      className="glass-effect p-6 rounded-lg text-center text-sm"
+      variants={containerVariants}
+      initial="hidden"
+      animate="visible"
+      aria-live="polite"
+    >
+      {registryStatus === 'loading' ? (
+        <div className="flex items-center justify-center space-x-2 text-gray-300">
+          <RefreshCw className="w-4 h-4 animate-spin" />
+          <span>Loading goals and engines...</span>
+        </div>
+      ) : (
+        <div className="flex items-center justify-center space-x-2 text-red-300">
+          <AlertCircle className="w-4 h-4" />
+          <span>Goals and engines couldn&apos;t be loaded. Check your connection and reload the page.</span>
+        </div>
+      )}
+    </motion.div>
+  );
+
   // =============================================================================
   // MAIN RENDER
   // =============================================================================
+  if (registryStatus !== 'ready') {
+    return renderRegistryStatus();
+  }
+
   return (
     <motion.div
       className="glass-effect p-6 rounded-lg space-y-8"
@@ -393,7 +439,12 @@ function GoalEngineSelection({
         </div>
         <div className={`flex items-center space-x-2 ${selectedEngine ? 'text-green-400' : 'text-gray-500'}`}>
           <div className={`w-3 h-3 rounded-full ${selectedEngine ? 'bg-green-400' : 'bg-gray-600'}`} />
-          <span>Engine Selected</span>
+          <span>
+            {multiEngine && selectedEngines.length > 1
+              ? `${selectedEngines.length} Engines Selected`
+              : 'Engine Selected'
+            }
+          </span>
         </div>
       </div>
     </motion.div>
@@ -403,11 +454,27 @@ function GoalEngineSelection({
 // =============================================================================
 // PROP TYPES
 // =============================================================================
+const registryEntryShape = PropTypes.shape({
+  id: PropTypes.string.isRequired,
+  name: PropTypes.string.isRequired,
+  description: PropTypes.string,
+  icon: PropTypes.string,
+  color: PropTypes.string,
+  tiers: PropTypes.arrayOf(PropTypes.string)
+});
+
 GoalEngineSelection.propTypes = {
+  goals: PropTypes.arrayOf(registryEntryShape),
+  engines: PropTypes.arrayOf(registryEntryShape),
+  registryStatus: PropTypes.oneOf(['loading', 'ready', 'unavailable']),
   selectedGoal: PropTypes.string,
   selectedEngine: PropTypes.string,
+  selectedEngines: PropTypes.arrayOf(PropTypes.string),
   onGoalChange: PropTypes.func.isRequired,
   onEngineChange: PropTypes.func.isRequired,
+  multiEngine: PropTypes.bool,
+  onMultiEngineChange: PropTypes.func,
+  maxEngines: PropTypes.number,
   disabled: PropTypes.bool,
   imageCount: PropTypes.number
 };
@@ -0,0 +1,334 @@
+// =============================================================================
+// ANALYSIS HISTORY SIDEBAR
+// File: frontend/src/components/HistorySidebar.jsx
+// =============================================================================
+
+import { useState, useCallback, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { motion, AnimatePresence } from 'framer-motion';
+import {
+  History,
+  X,
+  Copy,
+  Check,
+  RotateCcw,
+  Trash2,
+  Eye,
+  Image as ImageIcon,
+  Lock
+} from 'lucide-react';
+
+import { useAuth } from './AuthContext';
+import {
+  fetchHistory,
+  deleteHistoryEntry,
+  isHistoryUnavailable
+} from '../utils/analysisHistory';
+import { formatGoalLabel, formatEngineLabel } from '../utils/registry';
+import { useRegistry } from '../hooks/useRegistry';
+
+const formatTimestamp = (isoTime) => {
+  if (!isoTime) return '';
+  return new Date(isoTime).toLocaleString(undefined, {
+    dateStyle: 'medium',
+    timeStyle: 'short'
+  });
+};
+
+// =============================================================================
+// HISTORY SIDEBAR COMPONENT
+// =============================================================================
+
+const HistorySidebar = ({
+  apiUrl = import.meta.env.VITE_API_URL || 'http://localhost:5000',
+  isOpen,
+  onClose,
+  onOpenEntry,
+  onRerunEntry,
+  refreshKey = 0
+}) => {
+  const [history_state, setHistoryState] = useState({
+    entries: [],
+    next_cursor: null,
+    is_loading: false,
+    is_unavailable: false,
+    error: null
+  });
+  const [copied_id, setCopiedId] = useState(null);
+  const registry = useRegistry(apiUrl);
+  const [deleting_id, setDeletingId] = useState(null);
+  const { currentUser, loading } = useAuth();
+
+  const baseUrl = apiUrl.replace(/\/$/, '');
+
+  // =============================================================================
+  // DATA LOADING
+  // =============================================================================
+
+  const loadPage = useCallback(async (cursor = null) => {
+    if (!currentUser || loading) return;
+
+    setHistoryState(prev => ({ ...prev, is_loading: true, error: null }));
+
+    try {
+      const idToken = await currentUser.getIdToken();
+      const { entries, nextCursor } = await fetchHistory(baseUrl, idToken, { cursor });
+
+      setHistoryState(prev => ({
+        entries: cursor ? [...prev.entries, ...entries] : entries,
+        next_cursor: nextCursor,
+        is_loading: false,
+        is_unavailable: false,
+        error: null
+      }));
+    } catch (error) {
+      console.error('❌ Failed to load analysis history:', error);
+
+      setHistoryState(prev => ({
+        ...prev,
+        is_loading: false,
+        is_unavailable: isHistoryUnavailable(error),
+        error: isHistoryUnavailable(error) ? null : 'Could not load your history. Please try again.'
+      }));
+    }
+  }, [baseUrl, currentUser, loading]);
+
+  // Reload from the first page when opened or after a new analysis
+  useEffect(() => {
+    if (isOpen) {
+      loadPage();
+    }
+  }, [isOpen, refreshKey, loadPage]);
+
+  // =============================================================================
+  // EVENT HANDLERS
+  // =============================================================================
+
+  const handleCopy = async (entry) => {
+    try {
+      await navigator.clipboard.writeText(entry.prompt);
+      setCopiedId(entry.id);
+      setTimeout(() => setCopiedId(null), 2000);
+    } catch (error) {
+      console.error('❌ Copy failed:', error);
+    }
+  };
+
+  const handleDelete = async (entry) => {
+    setDeletingId(entry.id);
+
+    try {
+      const idToken = await currentUser.getIdToken();
+      await deleteHistoryEntry(baseUrl, idToken, entry.id);
+
+      setHistoryState(prev => ({
+        ...prev,
+        entries: prev.entries.filter(item => item.id !== entry.id)
+      }));
+    } catch (error) {
+      console.error('❌ Failed to delete history entry:', error);
+      setHistoryState(prev => ({ ...prev, error: 'Could not delete that entry. Please try again.' }));
+    } finally {
+      setDeletingId(null);
+    }
+  };
+
+  // =============================================================================
+  // RENDER HELPERS
+  // =============================================================================
+
+  const renderEntry = (entry) => (
+    <motion.li
+      key={entry.id}
+      className="p-3 bg-white/5 rounded-lg border border-white/10 space-y-3"
+      initial={{ opacity: 0, y: 10 }}
+      animate={{ opacity: 1, y: 0 }}
+      exit={{ opacity: 0, x: 40 }}
+      layout
+    >
+      <button
+        type="button"
+        onClick={() => onOpenEntry(entry)}
+        className="flex w-full items-start space-x-3 text-left"
+      >
+        <div className="w-16 h-16 flex-shrink-0 rounded-md overflow-hidden bg-white/10 flex items-center justify-center">
+          {entry.thumbnail ? (
+            <img
+              src={entry.thumbnail.data}
+              alt=""
+              className="w-full h-full object-cover"
+            />
+          ) : (
+            <ImageIcon className="w-6 h-6 text-gray-500" />
+          )}
+        </div>
+
+        <div className="flex-1 min-w-0">
+          <div className="flex flex-wrap gap-1 mb-1">
+            <span className="text-xs px-2 py-0.5 bg-purple-500/20 text-purple-300 rounded-full">
+              {formatGoalLabel(registry, entry.goal)}
+            </span>
+            {(entry.engines || [entry.engine]).map(engineId => (
+              <span key={engineId} className="text-xs px-2 py-0.5 bg-green-500/20 text-green-300 rounded-full">
+                {formatEngineLabel(registry, engineId)}
+              </span>
+            ))}
+          </div>
+          <p className="text-gray-300 text-sm line-clamp-2">{entry.prompt}</p>
+          <p className="text-gray-500 text-xs mt-1">
+            {formatTimestamp(entry.createdAt)}
+            {entry.imageCount > 1 && ` • ${entry.imageCount} images`}
+          </p>
+        </div>
+      </button>
+
+      <div className="flex items-center justify-end space-x-1 text-gray-400">
+        <button
+          type="button"
+          onClick={() => onOpenEntry(entry)}
+          className="p-1.5 rounded hover:bg-white/10 hover:text-white transition-colors"
+          title="Open prompt"
+          aria-label="Open prompt"
+        >
+          <Eye className="w-4 h-4" />
+        </button>
+        <button
+          type="button"
+          onClick={() => handleCopy(entry)}
+          className="p-1.5 rounded hover:bg-white/10 hover:text-white transition-colors"
+          title="Copy prompt"
+          aria-label="Copy prompt"
+        >
+          {copied_id === entry.id ? <Check className="w-4 h-4 text-green-400" /> : <Copy className="w-4 h-4" />}
+        </button>
+        <button
+          type="button"
+          onClick={() => onRerunEntry(entry)}
+          className="p-1.5 rounded hover:bg-white/10 hover:text-white transition-colors"
+          title="Run again"
+          aria-label="Run again"
+        >
+          <RotateCcw className="w-4 h-4" />
+        </button>
+        <button
+          type="button"
+          onClick={() => handleDelete(entry)}
+          disabled={deleting_id === entry.id}
+          className="p-1.5 rounded hover:bg-red-500/20 hover:text-red-300 transition-colors disabled:opacity-50"
+          title="Delete"
+          aria-label="Delete"
+        >
+          <Trash2 className="w-4 h-4" />
+        </button>
+      </div>
+    </motion.li>
+  );
+
+  const renderBody = () => {
+    if (history_state.is_unavailable) {
+      return (
+        <div className="text-center py-12 px-4">
+          <Lock className="w-8 h-8 text-yellow-400 mx-auto mb-3" />
+          <h4 className="text-white font-medium mb-1">History is a Pro feature</h4>
+          <p className="text-gray-400 text-sm">
+            Upgrade to keep your past analyses and run them again any time.
+          </p>
+        </div>
+      );
+    }
+
+    if (!history_state.is_loading && !history_state.error && history_state.entries.length === 0) {
+      return (
+        <div className="text-center py-12 px-4 text-gray-400 text-sm">
+          Your analyses will show up here.
+        </div>
+      );
+    }
+
+    return (
+      <>
+        <ul className="space-y-3">
+          <AnimatePresence initial={false}>
+            {history_state.entries.map(renderEntry)}
+          </AnimatePresence>
+        </ul>
+
+        {history_state.error && (
+          <p className="text-red-300 text-sm text-center mt-4">{history_state.error}</p>
+        )}
+
+        {history_state.is_loading ? (
+          <div className="flex justify-center py-6">
+            <div className="spinner w-6 h-6"></div>
+          </div>
+        ) : history_state.next_cursor && (
+          <button
+            type="button"
+            onClick={() => loadPage(history_state.next_cursor)}
+            className="w-full mt-4 py-2 text-sm text-blue-300 hover:text-blue-200 bg-white/5 hover:bg-white/10 rounded-lg transition-colors"
+          >
+            Load more
+          </button>
+        )}
+      </>
+    );
+  };
+
+  // =============================================================================
+  // MAIN RENDER
+  // =============================================================================
+
+  return (
+    <AnimatePresence>
+      {isOpen && (
+        <>
+          <motion.div
+            className="fixed inset-0 bg-black/40 z-40"
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+            onClick={onClose}
+          />
+          <motion.aside
+            className="fixed top-0 right-0 h-full w-full max-w-sm z-50 glass-effect bg-slate-900/95 border-l border-white/10 flex flex-col"
+            initial={{ x: '100%' }}
+            animate={{ x: 0 }}
+            exit={{ x: '100%' }}
+            transition={{ type: 'tween', duration: 0.25 }}
+            aria-label="Analysis history"
+          >
+            <div className="flex items-center justify-between p-4 border-b border-white/10">
+              <h3 className="text-white font-semibold flex items-center">
+                <History className="w-5 h-5 mr-2 text-blue-400" />
+                History
+              </h3>
+              <button
+                type="button"
+                onClick={onClose}
+                className="text-gray-400 hover:text-white transition-colors"
+                aria-label="Close history"
+              >
+                <X className="w-5 h-5" />
+              </button>
+            </div>
+
+            <div className="flex-1 overflow-y-auto p-4">
+              {renderBody()}
+            </div>
+          </motion.aside>
+        </>
+      )}
+    </AnimatePresence>
+  );
+};
+
+HistorySidebar.propTypes = {
+  apiUrl: PropTypes.string,
+  isOpen: PropTypes.bool.isRequired,
+  onClose: PropTypes.func.isRequired,
+  onOpenEntry: PropTypes.func.isRequired,
+  onRerunEntry: PropTypes.func.isRequired,
+  refreshKey: PropTypes.number
+};
+
+export default HistorySidebar;
@@ -0,0 +1,77 @@
+// =============================================================================
+// COLOR PALETTE SWATCHES
+// File: frontend/src/components/PaletteSwatches.jsx
+// =============================================================================
+
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { Palette, Check } from 'lucide-react';
+
+/**
+ * Measured palette from the backend, one swatch per color
+ * Clicking a swatch copies its hex code
+ */
+const PaletteSwatches = ({ colors, className = '' }) => {
+  const [copied_hex, setCopiedHex] = useState(null);
+
+  if (!colors || colors.length === 0) {
+    return null;
+  }
+
+  const handleCopy = async (hex) => {
+    try {
+      await navigator.clipboard.writeText(hex);
+      setCopiedHex(hex);
+      setTimeout(() => setCopiedHex(null), 2000);
+    } catch (error) {
+      console.error('❌ Copy failed:', error);
+    }
+  };
+
+  return (
+    <div className={`p-4 bg-white/5 rounded-lg border border-white/10 space-y-3 ${className}`}>
+      <h4 className="text-white font-medium flex items-center">
+        <Palette className="w-4 h-4 mr-2 text-pink-400" />
+        Color Palette
+      </h4>
+
+      {/* Share of the image area per color */}
+      <div className="flex h-3 rounded-full overflow-hidden">
+        {colors.map(({ hex, proportion }) => (
+          <div key={hex} style={{ backgroundColor: hex, width: `${proportion * 100}%` }} />
+        ))}
+      </div>
+
+      <div className="flex flex-wrap gap-2">
+        {colors.map(({ hex, proportion }) => (
+          <button
+            key={hex}
+            type="button"
+            onClick={() => handleCopy(hex)}
+            className="flex items-center space-x-2 px-2 py-1.5 bg-white/5 hover:bg-white/10 rounded-lg border border-white/10 transition-colors"
+            title={`Copy ${hex}`}
+          >
+            <span
+              className="w-6 h-6 rounded border border-white/20 flex items-center justify-center"
+              style={{ backgroundColor: hex }}
+            >
+              {copied_hex === hex && <Check className="w-4 h-4 text-white mix-blend-difference" />}
+            </span>
+            <span className="text-xs font-mono text-gray-200">{hex}</span>
+            <span className="text-xs text-gray-500">{Math.round(proportion * 100)}%</span>
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+PaletteSwatches.propTypes = {
+  colors: PropTypes.arrayOf(PropTypes.shape({
+    hex: PropTypes.string.isRequired,
+    proportion: PropTypes.number.isRequired
+  })),
+  className: PropTypes.string
+};
+
+export default PaletteSwatches;
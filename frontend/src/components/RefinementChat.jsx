@@ -0,0 +1,130 @@
+// =============================================================================
+// PROMPT REFINEMENT CHAT
+// File: frontend/src/components/RefinementChat.jsx
+// =============================================================================
+
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { MessageSquare, Send, RotateCcw, Check } from 'lucide-react';
+
+/**
+ * Follow-up instructions for a generated prompt, one version per turn
+ * Picking an earlier version reverts to it; the next instruction builds on it
+ */
+const RefinementChat = ({
+  versions,
+  selectedVersion,
+  onSelectVersion,
+  onSubmit,
+  isRefining = false,
+  error = '',
+  costNote = '',
+  limitReached = false,
+  className = ''
+}) => {
+  const [instruction, setInstruction] = useState('');
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    const trimmed = instruction.trim();
+    if (!trimmed || isRefining || limitReached) return;
+
+    if (await onSubmit(trimmed)) {
+      setInstruction('');
+    }
+  };
+
+  return (
+    <div className={`p-4 bg-white/5 rounded-lg border border-white/10 space-y-4 ${className}`}>
+      <div className="flex items-center justify-between">
+        <h4 className="text-white font-medium flex items-center">
+          <MessageSquare className="w-4 h-4 mr-2 text-blue-400" />
+          Refine This Prompt
+        </h4>
+        {costNote && <span className="text-xs text-gray-400">{costNote}</span>}
+      </div>
+
+      {/* Version history, oldest first */}
+      <ol className="space-y-2">
+        {versions.map(({ version, baseVersion, instruction: versionInstruction }) => {
+          const isSelected = version === selectedVersion;
+
+          return (
+            <li key={version}>
+              <button
+                type="button"
+                onClick={() => onSelectVersion(version)}
+                aria-pressed={isSelected}
+                className={`w-full text-left px-3 py-2 rounded-lg border text-sm transition-colors ${
+                  isSelected
+                    ? 'bg-blue-600/20 border-blue-400 text-white'
+                    : 'bg-white/5 border-white/10 text-gray-300 hover:bg-white/10'
+                }`}
+              >
+                <div className="flex items-center justify-between">
+                  <span className="font-medium">
+                    {version === 0 ? 'Original prompt' : `v${version}: “${versionInstruction}”`}
+                  </span>
+                  <span className="flex items-center space-x-1 text-xs text-gray-400">
+                    {isSelected ? <Check className="w-3 h-3 text-blue-300" /> : <RotateCcw className="w-3 h-3" />}
+                    <span>{isSelected ? 'Showing' : 'Revert'}</span>
+                  </span>
+                </div>
+                {version > 0 && baseVersion !== version - 1 && (
+                  <p className="text-xs text-gray-500 mt-1">Built on {baseVersion === 0 ? 'the original' : `v${baseVersion}`}</p>
+                )}
+              </button>
+            </li>
+          );
+        })}
+      </ol>
+
+      <form onSubmit={handleSubmit} className="flex items-center space-x-2">
+        <input
+          type="text"
+          value={instruction}
+          onChange={(event) => setInstruction(event.target.value)}
+          maxLength={500}
+          disabled={isRefining || limitReached}
+          placeholder={limitReached ? 'Refinement limit reached for this analysis' : 'e.g. make it moodier, drop the text in the background'}
+          className="flex-1 px-3 py-2 bg-white/5 border border-white/20 rounded-lg text-white text-sm placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-blue-500/50 disabled:opacity-50"
+          aria-label="Refinement instruction"
+        />
+        <button
+          type="submit"
+          disabled={!instruction.trim() || isRefining || limitReached}
+          className="flex items-center space-x-2 px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg text-sm font-medium transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {isRefining ? <div className="spinner w-4 h-4"></div> : <Send className="w-4 h-4" />}
+          <span>{isRefining ? 'Refining...' : 'Refine'}</span>
+        </button>
+      </form>
+
+      {selectedVersion !== versions[versions.length - 1]?.version && (
+        <p className="text-xs text-gray-400">
+          Your next instruction builds on {selectedVersion === 0 ? 'the original prompt' : `v${selectedVersion}`}.
+        </p>
+      )}
+
+      {error && <p className="text-sm text-red-400">{error}</p>}
+    </div>
+  );
+};
+
+RefinementChat.propTypes = {
+  versions: PropTypes.arrayOf(PropTypes.shape({
+    version: PropTypes.number.isRequired,
+    baseVersion: PropTypes.number,
+    instruction: PropTypes.string
+  })).isRequired,
+  selectedVersion: PropTypes.number.isRequired,
+  onSelectVersion: PropTypes.func.isRequired,
+  onSubmit: PropTypes.func.isRequired,
+  isRefining: PropTypes.bool,
+  error: PropTypes.string,
+  costNote: PropTypes.string,
+  limitReached: PropTypes.bool,
+  className: PropTypes.string
+};
+
+export default RefinementChat;
@@ -3,11 +3,35 @@ import React, { useState, useEffect } from 'react';
 import { TrendingUp, Clock, AlertCircle } from 'lucide-react';
 import { useAuth } from './AuthContext';
 import { SimpleMotion } from './SimpleMotion';
+import { getTimeZoneHeaders } from '../utils/timeZone';
+
+const WINDOW_LABELS = {
+  weekly: 'this week',
+  monthly: 'this month'
+};
+
+const decrementRemaining = (remaining, units = 1) => (
+  remaining === 'unlimited' ? 'unlimited' : Math.max(0, remaining - units)
+);
+
+/**
+ * Format the time until an ISO timestamp, e.g. "3h 12m" or "2d 5h"
+ */
+const formatTimeUntil = (isoTime, now) => {
+  const minutes = Math.max(0, Math.ceil((new Date(isoTime).getTime() - now) / 60000));
+  const days = Math.floor(minutes / 1440);
+  const hours = Math.floor((minutes % 1440) / 60);
+
+  if (days > 0) return `${days}d ${hours}h`;
+  if (hours > 0) return `${hours}h ${minutes % 60}m`;
+  return `${minutes}m`;
+};
 
 const UsageCounter = ({ onUsageUpdate }) => {
   const [usageStats, setUsageStats] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState(null);
+  const [now, setNow] = useState(Date.now());
   const { currentUser, loading } = useAuth();
 
   const fetchUsage = async () => {
@@ -34,7 +58,8 @@ const UsageCounter = ({ onUsageUpdate }) => {
         method: 'GET',
         headers: {
           'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json'
+          'Content-Type': 'application/json',
+          ...getTimeZoneHeaders()
         }
       });
 
@@ -80,13 +105,26 @@ const UsageCounter = ({ onUsageUpdate }) => {
     fetchUsage();
   }, [currentUser, loading]);
 
+  // Keep the "resets in" countdown current
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 60000);
+    return () => clearInterval(timer);
+  }, []);
+
   // Increment usage locally (called from parent)
-  const incrementUsage = () => {
+  // Multi-engine analyses can cost more than one unit
+  const incrementUsage = (units = 1) => {
     if (usageStats && typeof usageStats.current === 'number') {
       setUsageStats(prev => ({
         ...prev,
-        current: prev.current + 1,
-        remaining: prev.remaining === 'unlimited' ? 'unlimited' : Math.max(0, prev.remaining - 1)
+        current: prev.current + units,
+        remaining: decrementRemaining(prev.remaining, units),
+        windows: prev.windows && Object.fromEntries(
+          Object.entries(prev.windows).map(([window, stats]) => [
+            window,
+            { ...stats, used: stats.used + units, remaining: decrementRemaining(stats.remaining, units) }
+          ])
+        )
       }));
     }
   };
@@ -141,28 +179,60 @@ const UsageCounter = ({ onUsageUpdate }) => {
 
   // Show usage stats
   if (usageStats) {
+    // Longer windows are only worth showing once they are tighter than the daily one
+    // Count down to whichever window is blocking, otherwise to the daily reset
+    const resetWindow = usageStats.windows?.[usageStats.exceededWindow || 'daily'];
+    const showReset = resetWindow?.resetTime && resetWindow.remaining !== 'unlimited';
+
+    const longerWindows = Object.entries(WINDOW_LABELS)
+      .map(([window, label]) => ({ window, label, stats: usageStats.windows?.[window] }))
+      .filter(({ stats }) => stats && stats.remaining !== 'unlimited' &&
+        (usageStats.remaining === 'unlimited' || stats.remaining < usageStats.remaining));
+
     return (
       <SimpleMotion
-        className="flex items-center justify-center text-gray-400 text-sm mb-4"
+        className="flex flex-col items-center justify-center text-gray-400 text-sm mb-4"
         initial={{ opacity: 0, y: 10 }}
         animate={{ opacity: 1, y: 0 }}
         transition={{ duration: 0.5, delay: 0.3 }}
       >
-        <TrendingUp className="w-4 h-4 mr-2 text-blue-400" />
-        <span>
-          {usageStats.current} / {usageStats.limit === 'unlimited' ? '∞' : usageStats.limit} uses
-          {usageStats.remaining !== 'unlimited' && usageStats.remaining !== undefined && (
-            <span className="ml-2 text-green-400">
-              • {usageStats.remaining} remaining
-            </span>
-          )}
-          {usageStats.isPro && (
-            <span className="ml-2 text-purple-400">• Pro</span>
-          )}
-          {usageStats.isAnonymous && (
-            <span className="ml-2 text-yellow-400">• Anonymous</span>
-          )}
-        </span>
+        <div className="flex items-center">
+          <TrendingUp className="w-4 h-4 mr-2 text-blue-400" />
+          <span>
+            {usageStats.current} / {usageStats.limit === 'unlimited' ? '∞' : usageStats.limit} uses
+            {usageStats.remaining !== 'unlimited' && usageStats.remaining !== undefined && (
+              <span className="ml-2 text-green-400">
+                • {usageStats.remaining} remaining
+              </span>
+            )}
+            {showReset && (
+              <span
+                className="ml-2 text-gray-500"
+                title={`Resets at ${new Date(resetWindow.resetTime).toLocaleString()}${usageStats.timeZone ? ` (${usageStats.timeZone})` : ''}`}
+              >
+                • resets in {formatTimeUntil(resetWindow.resetTime, now)}
+              </span>
+            )}
+            {usageStats.isPro && (
+              <span className="ml-2 text-purple-400">• Pro</span>
+            )}
+            {usageStats.isAnonymous && (
+              <span className="ml-2 text-yellow-400">• Anonymous</span>
+            )}
+          </span>
+        </div>
+        {longerWindows.length > 0 && (
+          <span className="mt-1 text-xs text-gray-500">
+            {longerWindows.map(({ window, label, stats }) => (
+              <span
+                key={window}
+                className={`ml-2 first:ml-0 ${stats.remaining === 0 ? 'text-red-400' : ''}`}
+              >
+                {stats.remaining} left {label}
+              </span>
+            ))}
+          </span>
+        )}
       </SimpleMotion>
     );
   }
@@ -0,0 +1,129 @@
+// =============================================================================
+// PROMPT VARIATION CARDS
+// File: frontend/src/components/VariationCards.jsx
+// =============================================================================
+
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { Shuffle, Copy, Check, Download } from 'lucide-react';
+
+/**
+ * Alternative prompts from one analysis, one card per variation
+ * Clicking a card shows it in the main output; each card can be copied or downloaded on its own
+ */
+const VariationCards = ({
+  variations,
+  selectedId,
+  onSelect,
+  filenamePrefix = 'prompt',
+  onCopy,
+  onDownload,
+  className = ''
+}) => {
+  const [copied_id, setCopiedId] = useState(null);
+
+  if (!variations || variations.length < 2) {
+    return null;
+  }
+
+  const handleCopy = async (variation) => {
+    try {
+      await navigator.clipboard.writeText(variation.analysis);
+      setCopiedId(variation.id);
+      setTimeout(() => setCopiedId(null), 2000);
+      if (onCopy) onCopy(variation);
+    } catch (error) {
+      console.error('❌ Copy failed:', error);
+    }
+  };
+
+  const handleDownload = (variation) => {
+    const blob = new Blob([variation.analysis], { type: 'text/plain' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `${filenamePrefix}-${variation.id}-${Date.now()}.txt`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+    if (onDownload) onDownload(variation);
+  };
+
+  return (
+    <div className={`space-y-3 ${className}`}>
+      <h4 className="text-white font-medium flex items-center">
+        <Shuffle className="w-4 h-4 mr-2 text-purple-400" />
+        {variations.length} Variations
+      </h4>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+        {variations.map((variation) => {
+          const isSelected = variation.id === selectedId;
+
+          return (
+            <div
+              key={variation.id}
+              className={`p-4 rounded-lg border transition-colors space-y-3 ${
+                isSelected ? 'bg-purple-600/20 border-purple-400' : 'bg-white/5 border-white/10 hover:bg-white/10'
+              }`}
+            >
+              <button
+                type="button"
+                onClick={() => onSelect(variation.id)}
+                aria-pressed={isSelected}
+                className="w-full text-left space-y-2"
+              >
+                <div className="flex items-center justify-between">
+                  <span className="text-white font-medium">{variation.label}</span>
+                  {/* Sampling settings, so a favourite can be reproduced */}
+                  <span className="text-xs text-gray-400">
+                    temp {variation.temperature} · seed {variation.seed}
+                  </span>
+                </div>
+                <p className="text-gray-300 text-sm line-clamp-2">{variation.analysis}</p>
+              </button>
+
+              <div className="flex items-center space-x-3 text-xs">
+                <button
+                  type="button"
+                  onClick={() => handleCopy(variation)}
+                  className="flex items-center space-x-1 text-blue-300 hover:text-blue-100 transition-colors"
+                >
+                  {copied_id === variation.id ? <Check className="w-4 h-4" /> : <Copy className="w-4 h-4" />}
+                  <span>{copied_id === variation.id ? 'Copied!' : 'Copy'}</span>
+                </button>
+                <button
+                  type="button"
+                  onClick={() => handleDownload(variation)}
+                  className="flex items-center space-x-1 text-emerald-300 hover:text-emerald-100 transition-colors"
+                >
+                  <Download className="w-4 h-4" />
+                  <span>Download</span>
+                </button>
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+VariationCards.propTypes = {
+  variations: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    label: PropTypes.string.isRequired,
+    analysis: PropTypes.string.isRequired,
+    temperature: PropTypes.number,
+    seed: PropTypes.number
+  })),
+  selectedId: PropTypes.string,
+  onSelect: PropTypes.func.isRequired,
+  filenamePrefix: PropTypes.string,
+  onCopy: PropTypes.func,
+  onDownload: PropTypes.func,
+  className: PropTypes.string
+};
+
+export default VariationCards;
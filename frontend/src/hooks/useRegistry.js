@@ -0,0 +1,46 @@
+// =============================================================================
+// GOAL + ENGINE REGISTRY HOOK
+// File: frontend/src/hooks/useRegistry.js
+// =============================================================================
+
+import { useState, useEffect } from 'react';
+import { EMPTY_REGISTRY, fetchRegistry } from '../utils/registry';
+
+// One request per page load, shared by every component that needs the registry
+let registryRequest = null;
+
+/**
+ * Goals and engines served by the backend
+ * Empty with status 'loading' until the config has loaded, and 'unavailable' if it can't be
+ *
+ * @param {string} [apiUrl] - API base URL
+ * @returns {{goals: Array, engines: Array, multiEngine: Object, status: string}}
+ */
+export function useRegistry(apiUrl = import.meta.env.VITE_API_URL || 'http://localhost:5000') {
+  const [registry, setRegistry] = useState(EMPTY_REGISTRY);
+
+  useEffect(() => {
+    let isActive = true;
+
+    if (!registryRequest) {
+      registryRequest = fetchRegistry(apiUrl).catch((error) => {
+        console.warn('⚠️ Could not load goal/engine registry:', error.message);
+        // Let the next mount try again
+        registryRequest = null;
+        return { ...EMPTY_REGISTRY, status: 'unavailable' };
+      });
+    }
+
+    registryRequest.then((loaded) => {
+      if (isActive) setRegistry(loaded);
+    });
+
+    return () => {
+      isActive = false;
+    };
+  }, [apiUrl]);
+
+  return registry;
+}
+
+export default useRegistry;
@@ -0,0 +1,69 @@
+// =============================================================================
+// ANALYSIS HISTORY CLIENT
+// File: frontend/src/utils/analysisHistory.js
+// =============================================================================
+
+/**
+ * Call a history endpoint and return its JSON body
+ * Errors are shaped like axios errors so callers can share handling
+ */
+const requestHistory = async (url, idToken, options = {}) => {
+  const response = await fetch(url, {
+    ...options,
+    headers: {
+      'Authorization': `Bearer ${idToken}`,
+      'Content-Type': 'application/json'
+    }
+  });
+
+  let data = {};
+  try {
+    data = await response.json();
+  } catch {
+    // Non-JSON body
+  }
+
+  if (!response.ok) {
+    const error = new Error(data.error || `HTTP ${response.status}`);
+    error.response = { status: response.status, data };
+    throw error;
+  }
+
+  return data;
+};
+
+/**
+ * Load one page of history entries, newest first
+ *
+ * @param {string} apiUrl - API base URL
+ * @param {string} idToken - Firebase ID token
+ * @param {Object} [options]
+ * @param {string} [options.cursor] - nextCursor from the previous page
+ * @param {number} [options.limit] - Page size
+ * @returns {Promise<{entries: Array, nextCursor: string|null}>}
+ */
+export const fetchHistory = async (apiUrl, idToken, { cursor, limit = 20 } = {}) => {
+  const params = new URLSearchParams({ limit: String(limit) });
+  if (cursor) {
+    params.set('cursor', cursor);
+  }
+
+  const data = await requestHistory(`${apiUrl}/api/analyze/history?${params}`, idToken);
+  return { entries: data.entries || [], nextCursor: data.nextCursor || null };
+};
+
+/**
+ * Delete a history entry
+ */
+export const deleteHistoryEntry = async (apiUrl, idToken, entryId) => {
+  await requestHistory(`${apiUrl}/api/analyze/history/${encodeURIComponent(entryId)}`, idToken, {
+    method: 'DELETE'
+  });
+};
+
+/**
+ * Whether an error means the user's plan doesn't include history
+ */
+export const isHistoryUnavailable = (error) => (
+  error?.response?.status === 403 && error.response.data?.code === 'FEATURE_NOT_AVAILABLE'
+);
@@ -0,0 +1,72 @@
+// =============================================================================
+// ASYNC ANALYSIS JOB CLIENT
+// File: frontend/src/utils/analysisJobs.js
+// =============================================================================
+
+import { getTimeZoneHeaders } from './timeZone';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Submit an analysis job and poll its status until it finishes
+ *
+ * @param {Object} axios - Loaded axios instance
+ * @param {string} jobsUrl - Jobs endpoint (e.g. https://api/api/analyze/jobs)
+ * @param {Object} options
+ * @param {FormData} options.formData - Same multipart payload as /api/analyze
+ * @param {string} options.idToken - Firebase ID token
+ * @param {Function} [options.onStatus] - Called with each polled job status
+ * @param {number} [options.pollInterval] - Milliseconds between polls
+ * @param {number} [options.maxWait] - Give up after this many milliseconds
+ * @returns {Promise<Object>} Same shape as a /api/analyze response
+ */
+export const runAnalysisJob = async (axios, jobsUrl, {
+  formData,
+  idToken,
+  onStatus,
+  pollInterval = 2000,
+  maxWait = 10 * 60 * 1000
+}) => {
+  const authHeaders = { 'Authorization': `Bearer ${idToken}` };
+
+  const submission = await axios.post(jobsUrl, formData, {
+    headers: {
+      ...authHeaders,
+      ...getTimeZoneHeaders(),
+      'Content-Type': 'multipart/form-data'
+    },
+    timeout: 120000
+  });
+
+  const { jobId } = submission.data;
+  console.log('🗂️ Analysis job queued:', jobId);
+  if (onStatus) onStatus('queued');
+
+  const deadline = Date.now() + maxWait;
+
+  while (Date.now() < deadline) {
+    await sleep(pollInterval);
+
+    const { data } = await axios.get(`${jobsUrl}/${jobId}`, {
+      headers: authHeaders,
+      timeout: 30000
+    });
+    const { job } = data;
+
+    if (onStatus) onStatus(job.status);
+
+    if (job.status === 'done') {
+      return { success: true, ...job.result };
+    }
+
+    if (job.status === 'failed') {
+      const error = new Error(job.error?.error || 'Analysis failed');
+      error.response = { status: 500, data: job.error || {} };
+      throw error;
+    }
+  }
+
+  const timeoutError = new Error('Analysis job timed out');
+  timeoutError.code = 'ECONNABORTED';
+  throw timeoutError;
+};
@@ -0,0 +1,34 @@
+// =============================================================================
+// ANALYSIS OUTCOME SIGNALS
+// File: frontend/src/utils/analysisOutcomes.js
+// =============================================================================
+
+/**
+ * Report what the user did with a result (copy, download, thumbs up/down, regenerate)
+ * Signals feed prompt experiments, so failures are logged and never surface to the user
+ *
+ * @param {string} outcomesUrl - Outcomes endpoint (e.g. https://api/api/analyze/outcomes)
+ * @param {string} idToken - Firebase ID token
+ * @param {Object} outcome
+ * @param {string} outcome.analysisId - metadata.analysis_id of the result
+ * @param {string} outcome.engine - Engine whose prompt the signal is about
+ * @param {string} outcome.signal - copy, download, thumbs_up, thumbs_down or regenerate
+ */
+export const reportOutcome = async (outcomesUrl, idToken, { analysisId, engine, signal }) => {
+  try {
+    const response = await fetch(outcomesUrl, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${idToken}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ analysisId, engine, signal })
+    });
+
+    if (!response.ok) {
+      console.warn(`⚠️ Outcome "${signal}" not recorded: HTTP ${response.status}`);
+    }
+  } catch (error) {
+    console.warn(`⚠️ Outcome "${signal}" not recorded:`, error.message);
+  }
+};
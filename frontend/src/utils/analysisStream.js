@@ -0,0 +1,124 @@
+// =============================================================================
+// STREAMING ANALYSIS CLIENT
+// File: frontend/src/utils/analysisStream.js
+// =============================================================================
+
+import { getTimeZoneHeaders } from './timeZone';
+
+/**
+ * Whether the browser can read a streamed fetch response body
+ */
+export const supportsStreaming = () => (
+  typeof window !== 'undefined' &&
+  typeof window.fetch === 'function' &&
+  typeof window.ReadableStream === 'function' &&
+  typeof window.TextDecoder === 'function'
+);
+
+/**
+ * Parse one raw SSE block ("event: x\ndata: {...}") into { event, data }
+ */
+const parseEventBlock = (block) => {
+  let event = 'message';
+  const dataLines = [];
+
+  block.split('\n').forEach((line) => {
+    if (line.startsWith('event:')) {
+      event = line.slice(6).trim();
+    } else if (line.startsWith('data:')) {
+      dataLines.push(line.slice(5).trim());
+    }
+  });
+
+  if (dataLines.length === 0) return null;
+
+  try {
+    return { event, data: JSON.parse(dataLines.join('\n')) };
+  } catch {
+    console.warn('⚠️ Skipping malformed stream event:', block);
+    return null;
+  }
+};
+
+/**
+ * Build an error shaped like an axios error so callers can share handling
+ */
+const createStreamError = (message, status, data = {}) => {
+  const error = new Error(message);
+  error.response = { status, data };
+  return error;
+};
+
+/**
+ * POST multipart data to an SSE endpoint and dispatch events as they arrive
+ *
+ * @param {string} url - Streaming endpoint
+ * @param {Object} options
+ * @param {FormData} options.formData - Request body
+ * @param {string} options.idToken - Firebase ID token
+ * @param {Function} options.onEvent - Called with every { event, data }
+ * @param {AbortSignal} [options.signal] - Cancels the request
+ * @returns {Promise<Object>} Payload of the final "done" event
+ */
+export const streamAnalysis = async (url, { formData, idToken, onEvent, signal }) => {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${idToken}`,
+      'Accept': 'text/event-stream',
+      ...getTimeZoneHeaders()
+    },
+    body: formData,
+    signal
+  });
+
+  // Validation and limit errors arrive as plain JSON before the stream opens
+  if (!response.ok) {
+    let data = {};
+    try {
+      data = await response.json();
+    } catch {
+      // Non-JSON error body
+    }
+    throw createStreamError(data.error || `HTTP ${response.status}`, response.status, data);
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let result = null;
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+
+    let boundary = buffer.indexOf('\n\n');
+    while (boundary !== -1) {
+      const parsed = parseEventBlock(buffer.slice(0, boundary));
+      buffer = buffer.slice(boundary + 2);
+      boundary = buffer.indexOf('\n\n');
+
+      if (!parsed) continue;
+
+      if (parsed.event === 'error') {
+        throw createStreamError(parsed.data.error || 'Analysis failed', 500, parsed.data);
+      }
+
+      if (parsed.event === 'done') {
+        result = parsed.data;
+      }
+
+      if (onEvent) {
+        onEvent(parsed);
+      }
+    }
+  }
+
+  if (!result) {
+    throw new Error('Stream ended before the analysis completed');
+  }
+
+  return result;
+};
@@ -0,0 +1,266 @@
+// =============================================================================
+// ENGINE PROMPT RENDERERS
+// File: frontend/src/utils/promptRenderers.js
+// =============================================================================
+
+/**
+ * Browser side of backend/utils/promptRenderers.js so a structured prompt can
+ * be re-rendered with new parameters without another model call.
+ * Parameter schemas and common negatives are not copied here: they come with
+ * each engine from /api/analyze/config ({ renderer, parameters, commonNegatives }).
+ */
+
+const DESCRIPTIVE_FIELDS = ['subject', 'pose', 'background', 'style', 'lighting', 'composition', 'camera'];
+
+const DALLE_SIZE_NAMES = {
+  '1024x1024': 'square',
+  '1792x1024': 'wide landscape',
+  '1024x1792': 'tall portrait'
+};
+
+/**
+ * Normalize one parameter value against its spec
+ * @returns {Object} { value } or { error }
+ */
+export const normalizeParamValue = (spec, raw) => {
+  switch (spec.type) {
+    case 'number': {
+      const value = typeof raw === 'string' && raw.trim() !== '' ? Number(raw) : raw;
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        return { error: 'must be a number' };
+      }
+      if (spec.integer && !Number.isInteger(value)) {
+        return { error: 'must be a whole number' };
+      }
+      if (value < spec.min || value > spec.max) {
+        return { error: `must be between ${spec.min} and ${spec.max}` };
+      }
+      return { value };
+    }
+    case 'select': {
+      const value = String(raw).trim();
+      return spec.options.includes(value)
+        ? { value }
+        : { error: `must be one of ${spec.options.join(', ')}` };
+    }
+    case 'ratio': {
+      const value = String(raw).replace(/\s+/g, '');
+      const match = value.match(/^(\d+):(\d+)$/);
+      return match && Number(match[1]) > 0 && Number(match[2]) > 0
+        ? { value }
+        : { error: 'must be a ratio like 16:9' };
+    }
+    default:
+      return { error: 'is not supported' };
+  }
+};
+
+/**
+ * Combine the model's suggested parameters with user overrides
+ * An override of null drops the parameter
+ * @param {Object} engine - Registry engine entry with its served `parameters`
+ * @returns {Object} Effective parameters in render order
+ */
+export const resolveEngineParams = (engine, modelParams = {}, overrides = {}) => {
+  const resolved = {};
+
+  Object.entries(engine?.parameters || {}).forEach(([key, spec]) => {
+    if (overrides[key] === null) return;
+
+    if (overrides[key] !== undefined) {
+      resolved[key] = overrides[key];
+    } else if (modelParams[key] !== undefined) {
+      const normalized = normalizeParamValue(spec, modelParams[key]);
+      if (!normalized.error) {
+        resolved[key] = normalized.value;
+      }
+    }
+  });
+
+  return resolved;
+};
+
+// =============================================================================
+// TEXT HELPERS
+// =============================================================================
+
+const describeAsTags = (structured) => {
+  const parts = DESCRIPTIVE_FIELDS.map(field => structured[field]).filter(Boolean);
+  if (structured.palette.length > 0) {
+    parts.push(`color palette of ${structured.palette.join(', ')}`);
+  }
+  return parts.join(', ');
+};
+
+const toSentence = (text) => {
+  const trimmed = text.trim().replace(/[\s.]+$/, '');
+  return trimmed ? `${trimmed.charAt(0).toUpperCase()}${trimmed.slice(1)}.` : '';
+};
+
+const joinList = (items) => (
+  items.length > 1
+    ? `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}`
+    : items.join('')
+);
+
+const describeAsParagraph = (structured) => [
+  toSentence(structured.subject),
+  structured.pose && toSentence(structured.pose),
+  structured.background && toSentence(`the background is ${structured.background}`),
+  structured.style && toSentence(`the style is ${structured.style}`),
+  structured.lighting && toSentence(`the lighting is ${structured.lighting}`),
+  structured.composition && toSentence(`the composition is ${structured.composition}`),
+  structured.camera && toSentence(`shot with ${structured.camera}`),
+  structured.palette.length > 0 && toSentence(`the color palette features ${joinList(structured.palette)}`),
+  structured.negativePrompt && toSentence(`avoid ${structured.negativePrompt}`)
+].filter(Boolean).join(' ');
+
+const formatSettings = (parameters, params, keys) => keys
+  .filter(key => params[key] !== undefined)
+  .map(key => `${parameters[key].label}: ${params[key]}`)
+  .join(', ');
+
+const escapeSdText = (text) => text.replace(/([()])/g, '\\$1');
+
+// Formats that end their prompt with a settings line, and the parameters it lists
+const SETTINGS_LINES = {
+  stable_diffusion: ['steps', 'sampler', 'cfgScale', 'seed', 'size'],
+  flux: ['guidance', 'steps', 'aspectRatio'],
+  leonardo: ['presetStyle', 'guidanceScale', 'aspectRatio']
+};
+
+// =============================================================================
+// RENDERERS
+// =============================================================================
+
+// Niji is a separate Midjourney model with its own flag, not a --v value
+const formatMidjourneyFlag = (parameters, key, value) => (
+  key === 'version' && value.startsWith('niji ')
+    ? `--${value}`
+    : `--${parameters[key].flag} ${value}`
+);
+
+const RENDERERS = {
+  midjourney: (structured, params, parameters) => {
+    const flags = Object.entries(params).map(([key, value]) => formatMidjourneyFlag(parameters, key, value));
+    if (structured.negativePrompt) {
+      flags.push(`--no ${structured.negativePrompt}`);
+    }
+    return [describeAsTags(structured), ...flags].join(' ');
+  },
+
+  stable_diffusion: (structured, params, parameters) => {
+    const weight = params.subjectWeight;
+    const subject = weight !== undefined && weight !== 1
+      ? `(${escapeSdText(structured.subject)}:${Number(weight.toFixed(2))})`
+      : structured.subject;
+
+    const lines = [describeAsTags({ ...structured, subject })];
+    if (structured.negativePrompt) {
+      lines.push(`Negative prompt: ${structured.negativePrompt}`);
+    }
+    const settings = formatSettings(parameters, params, SETTINGS_LINES.stable_diffusion);
+    if (settings) {
+      lines.push(settings);
+    }
+    return lines.join('\n');
+  },
+
+  dalle: (structured, params) => {
+    const sentences = [describeAsParagraph(structured)];
+    if (params.size) {
+      sentences.push(`Compose it as a ${DALLE_SIZE_NAMES[params.size]} image (${params.size}).`);
+    }
+    if (params.style) {
+      sentences.push(params.style === 'vivid'
+        ? 'Keep the look vivid and dramatic.'
+        : 'Keep the look natural and understated.');
+    }
+    return sentences.join(' ');
+  },
+
+  gemini_imagen: (structured, params) => {
+    const paragraph = describeAsParagraph(structured);
+    return params.aspectRatio ? `${paragraph} Use a ${params.aspectRatio} aspect ratio.` : paragraph;
+  },
+
+  flux: (structured, params, parameters) => {
+    const description = describeAsTags(structured);
+    const prompt = structured.negativePrompt ? `${description}. Avoid: ${structured.negativePrompt}.` : description;
+    const settings = formatSettings(parameters, params, SETTINGS_LINES.flux);
+    return settings ? `${prompt}\n${settings}` : prompt;
+  },
+
+  leonardo: (structured, params, parameters) => {
+    const lines = [describeAsTags(structured)];
+    if (structured.negativePrompt) {
+      lines.push(`Negative prompt: ${structured.negativePrompt}`);
+    }
+    const settings = formatSettings(parameters, params, SETTINGS_LINES.leonardo);
+    if (settings) {
+      lines.push(settings);
+    }
+    return lines.join('\n');
+  }
+};
+
+/**
+ * Render a structured prompt with already-resolved parameters
+ * @param {Object} engine - Registry engine entry with its served `parameters`
+ * @returns {string|null} null when the engine has no renderer or its metadata hasn't loaded
+ */
+export const renderEnginePrompt = (structured, engine, params = {}) => {
+  const render = RENDERERS[engine?.renderer];
+  return render && engine.parameters ? render(structured, params, engine.parameters) : null;
+};
+
+/**
+ * Length of the text that goes in the prompt box, without a trailing settings line
+ * The settings are entered in the engine's own controls, so the backend leaves them out of `maxLength` too
+ * @param {Object} engine - Registry engine entry with its served `parameters`
+ * @returns {number}
+ */
+export const measurePromptLength = (text, engine, params = {}) => {
+  const keys = SETTINGS_LINES[engine?.renderer];
+  const settings = keys && engine.parameters ? formatSettings(engine.parameters, params, keys) : '';
+  return settings && text.endsWith(`\n${settings}`) ? text.length - settings.length - 1 : text.length;
+};
+
+// =============================================================================
+// NEGATIVE PROMPTS
+// =============================================================================
+
+/**
+ * Negative prompt for engines with a dedicated negative input
+ * Trailing terms are dropped to fit the engine's `maxNegativeLength`, as the backend does
+ * @param {Object} engine - Registry engine entry with its served `commonNegatives`
+ * @returns {string} Observed exclusions, then the format's common ones, without duplicates
+ */
+export const buildNegativePrompt = (structured, engine) => {
+  const terms = [...(structured.negativePrompt || '').split(','), ...(engine?.commonNegatives || [])]
+    .map(term => term.trim())
+    .filter(Boolean);
+  const seen = new Set();
+
+  const unique = terms.filter(term => {
+    const key = term.toLowerCase();
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+
+  const limit = engine?.maxNegativeLength;
+  while (limit && unique.length > 0 && unique.join(', ').length > limit) {
+    unique.pop();
+  }
+  return unique.join(', ');
+};
+
+/**
+ * Render the positive and negative prompt as separate texts, one per engine input
+ * @returns {Object|null} { prompt, negativePrompt }, null when the engine has no renderer
+ */
+export const renderPromptPair = (structured, engine, params = {}) => {
+  const prompt = renderEnginePrompt({ ...structured, negativePrompt: '' }, engine, params);
+  return prompt === null ? null : { prompt, negativePrompt: buildNegativePrompt(structured, engine) };
+};
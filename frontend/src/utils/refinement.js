@@ -0,0 +1,54 @@
+// =============================================================================
+// PROMPT REFINEMENT CLIENT
+// File: frontend/src/utils/refinement.js
+// =============================================================================
+
+/**
+ * Ask the backend to revise one engine's prompt from a finished analysis
+ *
+ * @param {string} refineUrl - Refinement endpoint (e.g. https://api/api/analyze/refine)
+ * @param {string} idToken - Firebase ID token
+ * @param {Object} request
+ * @param {string} request.analysisId - metadata.analysis_id of the result
+ * @param {string} request.engine - Engine whose prompt is refined
+ * @param {string} request.instruction - What to change, e.g. "make it moodier"
+ * @param {number|null} request.fromVersion - Version to build on; null for the latest
+ * @returns {Promise<Object>} { version, versions, refinement, metadata, ... }
+ * @throws {Error} With the backend's message when the refinement is rejected
+ */
+export const requestRefinement = async (refineUrl, idToken, { analysisId, engine, instruction, fromVersion = null }) => {
+  const response = await fetch(refineUrl, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${idToken}`,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({ analysisId, engine, instruction, fromVersion })
+  });
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok || !data.success) {
+    throw new Error(data.error || `HTTP ${response.status}`);
+  }
+  return data;
+};
+
+/**
+ * Explain what the next refinement costs under a tier's rule
+ *
+ * @param {Object} refinement - { costRule, freeTurns, maxTurns, turnsUsed }
+ * @returns {string}
+ */
+export const describeRefinementCost = ({ costRule, freeTurns = 0, maxTurns, turnsUsed = 0 }) => {
+  const left = Math.max(maxTurns - turnsUsed, 0);
+  const limit = `${left} of ${maxTurns} refinements left`;
+
+  if (costRule === 'free') {
+    return `Refinements are free · ${limit}`;
+  }
+  if (costRule === 'free_turns' && turnsUsed < freeTurns) {
+    const freeLeft = freeTurns - turnsUsed;
+    return `${freeLeft} free refinement${freeLeft !== 1 ? 's' : ''}, then each uses one analysis · ${limit}`;
+  }
+  return `Each refinement uses one analysis · ${limit}`;
+};
@@ -0,0 +1,56 @@
+// =============================================================================
+// GOAL + ENGINE REGISTRY CLIENT
+// File: frontend/src/utils/registry.js
+// =============================================================================
+
+/**
+ * Goals and engines come from /api/analyze/config, where they are read from
+ * the Firestore registry. The backend is the only source of them: until the
+ * config loads (or when it can't be reached) the registry is empty and its
+ * `status` tells the form to show a loading or error state instead.
+ */
+export const EMPTY_REGISTRY = {
+  goals: [],
+  engines: [],
+  multiEngine: {},
+  status: 'loading'
+};
+
+/**
+ * Load the registry from the analysis config endpoint
+ *
+ * @param {string} apiUrl - API base URL
+ * @returns {Promise<{goals: Array, engines: Array, multiEngine: Object, status: string}>}
+ */
+export const fetchRegistry = async (apiUrl) => {
+  const response = await fetch(`${apiUrl.replace(/\/$/, '')}/api/analyze/config`);
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+
+  const data = await response.json();
+  return {
+    goals: data.goals || [],
+    engines: data.engines || [],
+    multiEngine: data.multiEngine || {},
+    status: 'ready'
+  };
+};
+
+export const findGoal = (registry, goalId) => registry.goals.find(goal => goal.id === goalId) || null;
+
+export const findEngine = (registry, engineId) => registry.engines.find(engine => engine.id === engineId) || null;
+
+/**
+ * Prompt format an engine renders with; engines added in the registry reuse a built-in one
+ */
+export const getEngineRenderer = (registry, engineId) => findEngine(registry, engineId)?.renderer || engineId;
+
+/**
+ * Minimum number of uploads a goal needs
+ */
+export const getGoalMinImages = (registry, goalId) => findGoal(registry, goalId)?.minImages || 1;
+
+export const formatGoalLabel = (registry, goalId) => findGoal(registry, goalId)?.name || goalId?.replace(/_/g, ' ') || '';
+
+export const formatEngineLabel = (registry, engineId) => findEngine(registry, engineId)?.name || engineId?.replace(/_/g, ' ') || '';
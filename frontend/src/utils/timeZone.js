@@ -0,0 +1,26 @@
+// =============================================================================
+// BROWSER TIME ZONE
+// File: frontend/src/utils/timeZone.js
+// =============================================================================
+
+/**
+ * The browser's IANA time zone, e.g. "Europe/Berlin", or null if unavailable
+ */
+export const getBrowserTimeZone = () => {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Header telling the backend which time zone to create a new user document with,
+ * so usage limits reset at the user's local midnight from the first analysis
+ *
+ * @returns {Object} { 'X-Time-Zone': zone }, or {} when the zone is unknown
+ */
+export const getTimeZoneHeaders = () => {
+  const timeZone = getBrowserTimeZone();
+  return timeZone ? { 'X-Time-Zone': timeZone } : {};
+};
@@ -0,0 +1,45 @@
+// =============================================================================
+// CLIP TOKEN COUNT CLIENT
+// File: frontend/src/utils/tokenCount.js
+// =============================================================================
+
+// Usable CLIP tokens per chunk in Stable Diffusion 1.5 and SDXL
+export const CLIP_CHUNK_SIZE = 75;
+
+/**
+ * Count the CLIP tokens of Stable Diffusion text with the backend's tokenizer
+ *
+ * @param {string} tokensUrl - Token count endpoint (e.g. https://api/api/analyze/tokens)
+ * @param {string} idToken - Firebase ID token
+ * @param {string} text - Prompt as shown, with optional "Negative prompt:" and settings lines
+ * @returns {Promise<Object>} { chunkSize, prompt: { count, chunks }, negativePrompt: { count, chunks } }
+ * @throws {Error} With the backend's message when the text is rejected
+ */
+export const countPromptTokens = async (tokensUrl, idToken, text) => {
+  const response = await fetch(tokensUrl, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${idToken}`,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({ text })
+  });
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok || !data.success) {
+    throw new Error(data.error || `HTTP ${response.status}`);
+  }
+  return data;
+};
+
+/**
+ * Summarize a token count against the chunk size
+ *
+ * @param {Object} count - { count, chunks } for one prompt
+ * @param {number} chunkSize - Usable tokens per chunk
+ * @returns {string} e.g. "82 / 75 tokens · 2 chunks"
+ */
+export const describeTokenCount = ({ count, chunks = [] }, chunkSize = CLIP_CHUNK_SIZE) => {
+  const label = `${count} / ${chunkSize} tokens`;
+  return chunks.length > 1 ? `${label} · ${chunks.length} chunks` : label;
+};
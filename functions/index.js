@@ -6,6 +6,8 @@ const { onSchedule } = require('firebase-functions/v2/scheduler');
 const { onRequest } = require('firebase-functions/v2/https');
 const { logger } = require('firebase-functions');
 const admin = require('firebase-admin');
+const { isValidTimeZone } = require('./timeZone');
+const { USAGE_WINDOWS, applyWindowResets } = require('./usageWindows');
 
 // Set global options for cost control (keeping your existing setting)
 setGlobalOptions({ maxInstances: 10 });
@@ -15,186 +17,58 @@ admin.initializeApp();
 const db = admin.firestore();
 
 // =============================================================================
-// SCHEDULED FUNCTIONS - AUTOMATIC RESETS
+// SCHEDULED FUNCTIONS - RECONCILIATION
 // =============================================================================
 
-/**
- * Daily Reset Function - Runs every day at 00:00 UTC
- * Resets dailyUsage for all users
- */
-exports.resetDailyUsage = onSchedule({
-  schedule: '0 0 * * *', // Every day at midnight UTC
-  timeZone: 'UTC',
-  region: 'us-central1'
-}, async (event) => {
-  logger.info('🔄 Starting daily usage reset...');
-  
-  try {
-    const resetTime = admin.firestore.FieldValue.serverTimestamp();
-    const batch = db.batch();
-    let userCount = 0;
-    let batchCount = 0;
-    
-    // Get all users in batches (Firestore limit is 500 operations per batch)
-    const usersSnapshot = await db.collection('users').get();
-    
-    logger.info(`📊 Found ${usersSnapshot.size} users to reset daily usage`);
-    
-    usersSnapshot.forEach((doc) => {
-      // Reset daily usage and update reset timestamp
-      batch.update(doc.ref, {
-        dailyUsage: 0,
-        lastDailyReset: resetTime
-      });
-      
-      userCount++;
-      batchCount++;
-      
-      // Commit batch every 400 operations (safe limit)
-      if (batchCount >= 400) {
-        batch.commit();
-        batchCount = 0;
-      }
-    });
-    
-    // Commit remaining operations
-    if (batchCount > 0) {
-      await batch.commit();
-    }
-    
-    // Update global reset timestamp in config
-    await db.doc('config/limits').update({
-      lastDailyReset: resetTime
-    });
-    
-    logger.info(`✅ Daily reset completed successfully for ${userCount} users`);
-    
-    return {
-      success: true,
-      usersReset: userCount,
-      timestamp: new Date().toISOString()
-    };
-    
-  } catch (error) {
-    logger.error('❌ Daily reset failed:', error);
-    throw error;
-  }
-});
+// Usage windows are rolled over lazily by the backend whenever a user's usage
+// is read or incremented (see FirestoreConfigService.applyWindowResets), so no
+// sweep is required for limits to be correct. This job only tidies up counters
+// of inactive users so admin usage reports stay accurate. Both use the window
+// boundaries in usageWindows.js.
+
+const PAGE_SIZE = 400; // Stay below the 500 operations per batch limit
 
 /**
- * Weekly Reset Function - Runs every Monday at 00:00 UTC
- * Resets weeklyUsage for all users
+ * Reconcile Usage Windows - Runs once a day when enabled
+ * Set USAGE_RECONCILIATION_ENABLED=true to turn it on
+ * The reset schedule (resetHour and the rest) is read from config/limits on each
+ * run, so the job needn't run at the reset hour: limits never depend on it
  */
-exports.resetWeeklyUsage = onSchedule({
-  schedule: '0 0 * * 1', // Every Monday at midnight UTC
+exports.reconcileUsageWindows = onSchedule({
+  schedule: '0 0 * * *', // Daily; reports catch up within a day of each user's reset
   timeZone: 'UTC',
   region: 'us-central1'
 }, async (event) => {
-  logger.info('🔄 Starting weekly usage reset...');
-  
-  try {
-    const resetTime = admin.firestore.FieldValue.serverTimestamp();
-    const batch = db.batch();
-    let userCount = 0;
-    let batchCount = 0;
-    
-    const usersSnapshot = await db.collection('users').get();
-    
-    logger.info(`📊 Found ${usersSnapshot.size} users to reset weekly usage`);
-    
-    usersSnapshot.forEach((doc) => {
-      batch.update(doc.ref, {
-        weeklyUsage: 0,
-        lastWeeklyReset: resetTime
-      });
-      
-      userCount++;
-      batchCount++;
-      
-      if (batchCount >= 400) {
-        batch.commit();
-        batchCount = 0;
-      }
-    });
-    
-    if (batchCount > 0) {
-      await batch.commit();
-    }
-    
-    // Update global reset timestamp
-    await db.doc('config/limits').update({
-      lastWeeklyReset: resetTime
-    });
-    
-    logger.info(`✅ Weekly reset completed successfully for ${userCount} users`);
-    
-    return {
-      success: true,
-      usersReset: userCount,
-      timestamp: new Date().toISOString()
-    };
-    
-  } catch (error) {
-    logger.error('❌ Weekly reset failed:', error);
-    throw error;
+  if (process.env.USAGE_RECONCILIATION_ENABLED !== 'true') {
+    logger.info('⏭️ Usage reconciliation disabled, skipping');
+    return { success: true, skipped: true };
   }
-});
 
-/**
- * Monthly Reset Function - Runs on 1st day of every month at 00:00 UTC
- * Resets monthlyUsage for all users
- */
-exports.resetMonthlyUsage = onSchedule({
-  schedule: '0 0 1 * *', // 1st day of every month at midnight UTC
-  timeZone: 'UTC',
-  region: 'us-central1'
-}, async (event) => {
-  logger.info('🔄 Starting monthly usage reset...');
-  
+  logger.info('🔄 Starting usage window reconciliation...');
+
   try {
-    const resetTime = admin.firestore.FieldValue.serverTimestamp();
-    const batch = db.batch();
-    let userCount = 0;
-    let batchCount = 0;
-    
-    const usersSnapshot = await db.collection('users').get();
-    
-    logger.info(`📊 Found ${usersSnapshot.size} users to reset monthly usage`);
-    
-    usersSnapshot.forEach((doc) => {
-      batch.update(doc.ref, {
-        monthlyUsage: 0,
-        lastMonthlyReset: resetTime
-      });
-      
-      userCount++;
-      batchCount++;
-      
-      if (batchCount >= 400) {
-        batch.commit();
-        batchCount = 0;
-      }
-    });
-    
-    if (batchCount > 0) {
-      await batch.commit();
-    }
-    
-    // Update global reset timestamp
-    await db.doc('config/limits').update({
-      lastMonthlyReset: resetTime
+    const configDoc = await db.doc('config/limits').get();
+    const schedule = configDoc.exists ? configDoc.data() : {};
+    const now = new Date();
+
+    const result = await forEachUserPage(async (docs) => {
+      // The page read is only a hint; each reset re-checks the user inside a transaction
+      const stale = docs.filter((doc) => Object.keys(getStaleWindowUpdates(doc.data(), schedule, now)).length > 0);
+      const results = await Promise.all(stale.map((doc) => resetStaleWindows(doc.ref, schedule)));
+      return results.filter(Boolean).length;
     });
-    
-    logger.info(`✅ Monthly reset completed successfully for ${userCount} users`);
-    
+
+    logger.info(`✅ Reconciliation completed: ${result.updated} of ${result.scanned} users rolled over`);
+
     return {
       success: true,
-      usersReset: userCount,
-      timestamp: new Date().toISOString()
+      usersScanned: result.scanned,
+      usersReset: result.updated,
+      timestamp: now.toISOString()
     };
-    
+
   } catch (error) {
-    logger.error('❌ Monthly reset failed:', error);
+    logger.error('❌ Usage reconciliation failed:', error);
     throw error;
   }
 });
@@ -286,9 +160,9 @@ exports.healthCheck = onRequest({
       timestamp: new Date().toISOString(),
       firestoreConnected: configDoc.exists,
       functions: {
-        resetDailyUsage: 'Scheduled: 0 0 * * * UTC',
-        resetWeeklyUsage: 'Scheduled: 0 0 * * 1 UTC',
-        resetMonthlyUsage: 'Scheduled: 0 0 1 * * UTC'
+        reconcileUsageWindows: process.env.USAGE_RECONCILIATION_ENABLED === 'true'
+          ? 'Scheduled: 0 * * * * UTC'
+          : 'Disabled (usage windows reset lazily)'
       },
       lastResets: configDoc.exists ? {
         daily: configDoc.data()?.lastDailyReset || null,
@@ -310,64 +184,107 @@ exports.healthCheck = onRequest({
 // UTILITY FUNCTIONS
 // =============================================================================
 
+/**
+ * Fields to update for every window whose reset boundary has passed
+ * Uses the user's own time zone, like the backend's resolveLimits
+ */
+function getStaleWindowUpdates(userData, schedule, now) {
+  return applyWindowResets(userData, {
+    resetHour: schedule.resetHour ?? 0,
+    resetDay: schedule.resetDay ?? 1,
+    resetDate: schedule.resetDate ?? 1,
+    timeZone: isValidTimeZone(userData.timeZone) ? userData.timeZone : 'UTC'
+  }, now).updates;
+}
+
+/**
+ * Roll over one user's stale windows in a transaction
+ * The document is re-read so a reservation or lazy rollover by the backend since the page was
+ * read is never overwritten; Firestore retries the transaction if the document changes before commit
+ * @returns {boolean} True when any window was reset
+ */
+async function resetStaleWindows(userRef, schedule) {
+  return db.runTransaction(async (transaction) => {
+    const userDoc = await transaction.get(userRef);
+    if (!userDoc.exists) {
+      return false;
+    }
+
+    const updates = getStaleWindowUpdates(userDoc.data(), schedule, new Date());
+    if (Object.keys(updates).length === 0) {
+      return false;
+    }
+
+    transaction.update(userRef, updates);
+    return true;
+  });
+}
+
+/**
+ * Walk the users collection one page at a time
+ * Each page is handled before the next one is read
+ * @param {Function} handlePage - async (docs) => number of users updated
+ */
+async function forEachUserPage(handlePage) {
+  let lastDoc = null;
+  let scanned = 0;
+  let updated = 0;
+
+  for (;;) {
+    let query = db.collection('users')
+      .orderBy(admin.firestore.FieldPath.documentId())
+      .limit(PAGE_SIZE);
+    if (lastDoc) {
+      query = query.startAfter(lastDoc);
+    }
+
+    const snapshot = await query.get();
+    if (snapshot.empty) {
+      break;
+    }
+
+    const writes = await handlePage(snapshot.docs);
+
+    scanned += snapshot.size;
+    updated += writes;
+    lastDoc = snapshot.docs[snapshot.docs.length - 1];
+
+    if (snapshot.size < PAGE_SIZE) {
+      break;
+    }
+  }
+
+  return { scanned, updated };
+}
+
 /**
  * Generic reset function used by manual triggers
+ * Unconditionally resets one window for every user
  */
 async function resetUsage(type) {
+  const [, , usageField, resetField] = USAGE_WINDOWS.find(([window]) => window === type);
   const resetTime = admin.firestore.FieldValue.serverTimestamp();
-  const batch = db.batch();
-  let userCount = 0;
-  let batchCount = 0;
-  
-  const usersSnapshot = await db.collection('users').get();
-  
-  const fieldMap = {
-    daily: 'dailyUsage',
-    weekly: 'weeklyUsage',
-    monthly: 'monthlyUsage'
-  };
-  
-  const resetFieldMap = {
-    daily: 'lastDailyReset',
-    weekly: 'lastWeeklyReset',
-    monthly: 'lastMonthlyReset'
-  };
-  
-  const configFieldMap = {
-    daily: 'lastDailyReset',
-    weekly: 'lastWeeklyReset',
-    monthly: 'lastMonthlyReset'
-  };
-  
-  usersSnapshot.forEach((doc) => {
-    const updateData = {
-      [fieldMap[type]]: 0,
-      [resetFieldMap[type]]: resetTime
-    };
-    
-    batch.update(doc.ref, updateData);
-    
-    userCount++;
-    batchCount++;
-    
-    if (batchCount >= 400) {
-      batch.commit();
-      batchCount = 0;
-    }
-  });
-  
-  if (batchCount > 0) {
+
+  const { updated } = await forEachUserPage(async (docs) => {
+    const batch = db.batch();
+    docs.forEach((doc) => {
+      batch.update(doc.ref, {
+        [usageField]: 0,
+        [resetField]: resetTime
+      });
+    });
     await batch.commit();
-  }
-  
+    return docs.length;
+  });
+
   // Update global config
   await db.doc('config/limits').update({
-    [configFieldMap[type]]: resetTime
+    [resetField]: resetTime
   });
-  
+
   return {
     success: true,
-    usersReset: userCount,
+    usersReset: updated,
     resetType: type
   };
-}
\ No newline at end of file
+}
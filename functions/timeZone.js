@@ -0,0 +1,117 @@
+// functions/timeZone.js
+/**
+ * Time zone helpers built on Intl, so reset windows can follow a user's
+ * IANA time zone without pulling in a date library
+ * CommonJS so the Cloud Functions bundle stays self-contained; the backend
+ * has an ESM copy in backend/utils/timeZone.js
+ */
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const formatters = new Map();
+
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      weekday: 'short',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * Check whether a string is an IANA time zone Intl understands
+ * @param {string} timeZone - e.g. "Asia/Tokyo"
+ * @returns {boolean}
+ */
+const isValidTimeZone = (timeZone) => {
+  if (!timeZone || typeof timeZone !== 'string') {
+    return false;
+  }
+
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Wall-clock parts of an instant in a time zone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {Object} { year, month (0-11), day, hour, minute, second, weekday (0 = Sunday) }
+ */
+const getZonedParts = (date, timeZone) => {
+  const parts = Object.fromEntries(
+    getFormatter(timeZone).formatToParts(date).map(({ type, value }) => [type, value])
+  );
+
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month) - 1,
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: WEEKDAYS.indexOf(parts.weekday)
+  };
+};
+
+/**
+ * Offset of a time zone from UTC at a given instant, in milliseconds
+ */
+const getTimeZoneOffset = (date, timeZone) => {
+  const parts = getZonedParts(date, timeZone);
+  const wallClock = Date.UTC(parts.year, parts.month, parts.day, parts.hour, parts.minute, parts.second);
+  return wallClock - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+/**
+ * Convert a wall-clock time in a time zone to the matching instant
+ * Out-of-range days and months roll over like Date.UTC (day 0 is the previous month's last day)
+ * @param {Object} wallClock - { year, month (0-11), day, hour, minute }
+ * @param {string} timeZone - IANA time zone
+ * @returns {Date}
+ */
+const zonedTimeToUtc = ({ year, month, day, hour = 0, minute = 0 }, timeZone) => {
+  const wallClock = Date.UTC(year, month, day, hour, minute);
+  // The offset can differ on either side of a DST change, so correct once
+  const firstGuess = wallClock - getTimeZoneOffset(new Date(wallClock), timeZone);
+  return new Date(wallClock - getTimeZoneOffset(new Date(firstGuess), timeZone));
+};
+
+/**
+ * Format an instant as an ISO 8601 string in a time zone's local time
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {string} e.g. "2024-03-14T00:00:00+09:00"
+ */
+const formatInTimeZone = (date, timeZone) => {
+  const parts = getZonedParts(date, timeZone);
+  const offsetMinutes = Math.round(getTimeZoneOffset(date, timeZone) / 60000);
+  const sign = offsetMinutes < 0 ? '-' : '+';
+  const absolute = Math.abs(offsetMinutes);
+
+  return `${parts.year}-${pad(parts.month + 1)}-${pad(parts.day)}` +
+    `T${pad(parts.hour)}:${pad(parts.minute)}:${pad(parts.second)}` +
+    `${sign}${pad(Math.floor(absolute / 60))}:${pad(absolute % 60)}`;
+};
+
+module.exports = {
+  isValidTimeZone,
+  getZonedParts,
+  getTimeZoneOffset,
+  zonedTimeToUtc,
+  formatInTimeZone
+};